@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// Per-video visibility:
+//   public   - anyone with the link, and may be listed/indexed
+//   unlisted - anyone with the link, but kept out of listings and search engines (default)
+//   password - viewers unlock it once with a password and get a signed cookie
+//   signed   - only links carrying a valid HMAC signature and expiry work
+// Protected videos (password and signed) keep a random `accessSalt`; changing the password
+// or visibility replaces it, which invalidates every cookie and signed link issued before.
+
+const VISIBILITIES = ['public', 'unlisted', 'password', 'signed'];
+
+function isProtected(video) {
+	return !!video && (video.visibility === 'password' || video.visibility === 'signed');
+}
+
+// scrypt hash as "scrypt$<salt>$<hash>" (base64url)
+function hashPassword(password) {
+	const salt = crypto.randomBytes(16);
+	const hash = crypto.scryptSync(String(password), salt, 32);
+	return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+function verifyPassword(password, stored) {
+	const parts = String(stored || '').split('$');
+	if (parts.length !== 3 || parts[0] !== 'scrypt') return false;
+	const expected = Buffer.from(parts[2], 'base64url');
+	const actual = crypto.scryptSync(String(password), Buffer.from(parts[1], 'base64url'), expected.length);
+	return crypto.timingSafeEqual(actual, expected);
+}
+
+function newAccessSalt() {
+	return crypto.randomBytes(12).toString('base64url');
+}
+
+function parseCookies(header) {
+	const out = {};
+	for (const part of String(header || '').split(';')) {
+		const i = part.indexOf('=');
+		if (i <= 0) continue;
+		const name = part.slice(0, i).trim();
+		try { out[name] = decodeURIComponent(part.slice(i + 1).trim()); } catch (e) {}
+	}
+	return out;
+}
+
+// Signing and checking of access grants with a server secret. A grant is (video id,
+// purpose, expiry in unix seconds) bound to the video's current accessSalt.
+function createAccess(secret) {
+	function sign(video, purpose, exp) {
+		return crypto.createHmac('sha256', secret).update(`${purpose}:${video.id}:${video.accessSalt || ''}:${exp}`).digest('base64url');
+	}
+
+	function valid(video, purpose, exp, sig) {
+		const e = Number(exp);
+		if (!Number.isInteger(e) || e * 1000 < Date.now() || typeof sig !== 'string') return false;
+		const expected = Buffer.from(sign(video, purpose, e));
+		const given = Buffer.from(sig);
+		return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+	}
+
+	function cookieName(video) {
+		return `dvh_access_${video.id}`;
+	}
+
+	return {
+		// Query string ("exp=...&sig=...") for a signed link valid for `ttlMs`.
+		signedQuery(video, ttlMs) {
+			const exp = Math.floor((Date.now() + ttlMs) / 1000);
+			return { exp, query: `exp=${exp}&sig=${sign(video, 'link', exp)}` };
+		},
+
+		checkQuery(video, query) {
+			return !!query && valid(video, 'link', query.exp, query.sig);
+		},
+
+		cookieName,
+
+		// Cookie value granting access until `exp` (unix seconds).
+		cookieValue(video, exp) {
+			return `${exp}.${sign(video, 'cookie', exp)}`;
+		},
+
+		checkCookie(video, cookieHeader) {
+			const value = parseCookies(cookieHeader)[cookieName(video)];
+			if (!value) return false;
+			const i = value.indexOf('.');
+			return i > 0 && valid(video, 'cookie', value.slice(0, i), value.slice(i + 1));
+		},
+	};
+}
+
+module.exports = { VISIBILITIES, isProtected, hashPassword, verifyPassword, newAccessSalt, parseCookies, createAccess };
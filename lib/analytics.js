@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { log } = require('./log');
+
+// Per-video, per-day view/bandwidth counters.
+//
+// Requests are tallied in memory and added to the metadata store (store.addStats) every
+// `flushMs`, so serving bytes never waits on a metadata write. A "view" is the first
+// request for a video from a client (IP + user agent, hashed with a salt that changes
+// daily) within `viewWindowMs`; the Range requests a player makes while seeking or
+// buffering don't count again. Link-preview crawlers are counted separately.
+
+function dayKey(ts) {
+	return new Date(ts).toISOString().slice(0, 10);
+}
+
+// Hostname of a Referer header, 'direct' when absent, 'other' when unparseable.
+function referrerHost(ref) {
+	if (!ref) return 'direct';
+	try { return new URL(ref).hostname || 'other'; } catch (e) { return 'other'; }
+}
+
+const MAX_REFERRERS = 50; // distinct referrers kept per video per day
+const MAX_RECENT = 100000; // client/video pairs remembered for de-duplication
+
+function createAnalytics({ store, flushMs, viewWindowMs, isCrawler }) {
+	const viewWindow = viewWindowMs || 30 * 60 * 1000;
+	const pending = new Map(); // `${videoId}|${day}` -> counters
+	const recent = new Map(); // `${videoId}|${client}` -> last seen (ms)
+	let salt = { day: null, value: null };
+	let timer = null;
+
+	function counters(videoId, now) {
+		const day = dayKey(now);
+		const key = `${videoId}|${day}`;
+		let c = pending.get(key);
+		if (!c) {
+			c = { videoId, day, views: 0, crawlerHits: 0, bytes: 0, referrers: {} };
+			pending.set(key, c);
+		}
+		return c;
+	}
+
+	function clientId(req, now) {
+		const day = dayKey(now);
+		if (salt.day !== day) salt = { day, value: crypto.randomBytes(16).toString('hex') };
+		return crypto.createHash('sha256').update(`${salt.value}|${req.ip}|${req.headers['user-agent'] || ''}`).digest('hex').slice(0, 24);
+	}
+
+	// Count a request for a video. Returns 'crawler', 'view' (a new unique view) or
+	// 'repeat' (same client within the view window).
+	function recordHit(req, videoId) {
+		const now = Date.now();
+		const c = counters(videoId, now);
+		if (isCrawler && isCrawler(req)) {
+			c.crawlerHits++;
+			return 'crawler';
+		}
+		const key = `${videoId}|${clientId(req, now)}`;
+		const last = recent.get(key);
+		recent.delete(key); // re-insert so the Map stays in least-recently-seen order
+		recent.set(key, now);
+		if (recent.size > MAX_RECENT) recent.delete(recent.keys().next().value);
+		if (last && now - last < viewWindow) return 'repeat';
+		c.views++;
+		const ref = referrerHost(req.headers.referer || req.headers.referrer);
+		if (c.referrers[ref] || Object.keys(c.referrers).length < MAX_REFERRERS) c.referrers[ref] = (c.referrers[ref] || 0) + 1;
+		return 'view';
+	}
+
+	function recordBytes(videoId, bytes) {
+		if (bytes > 0) counters(videoId, Date.now()).bytes += bytes;
+	}
+
+	function flush() {
+		if (!pending.size) return 0;
+		const rows = Array.from(pending.values());
+		pending.clear();
+		try {
+			store.addStats(rows);
+		} catch (e) {
+			log.error('Failed to save stats', { error: e.message });
+		}
+		// forget clients whose window has passed
+		const cutoff = Date.now() - viewWindow;
+		for (const [key, seen] of recent) {
+			if (seen >= cutoff) break;
+			recent.delete(key);
+		}
+		return rows.length;
+	}
+
+	return {
+		recordHit,
+		recordBytes,
+		flush,
+		start() {
+			if (timer) return;
+			timer = setInterval(flush, Math.max(1000, flushMs || 30 * 1000));
+			if (timer.unref) timer.unref();
+		},
+		stop() {
+			if (timer) clearInterval(timer);
+			timer = null;
+			flush();
+		},
+	};
+}
+
+// Sum per-day stat rows (from store.listStats) into a time series, per-video totals and
+// overall referrers. `days` is the list of day keys to report, oldest first.
+function summarizeStats(rows, days) {
+	const byDay = new Map(days.map((d) => [d, { day: d, views: 0, crawlerHits: 0, bytes: 0 }]));
+	const byVideo = new Map();
+	const referrers = {};
+	const totals = { views: 0, crawlerHits: 0, bytes: 0 };
+	for (const r of rows) {
+		const d = byDay.get(r.day);
+		if (!d) continue;
+		let v = byVideo.get(r.videoId);
+		if (!v) { v = { id: r.videoId, views: 0, crawlerHits: 0, bytes: 0, referrers: {} }; byVideo.set(r.videoId, v); }
+		for (const k of ['views', 'crawlerHits', 'bytes']) {
+			d[k] += r[k] || 0;
+			v[k] += r[k] || 0;
+			totals[k] += r[k] || 0;
+		}
+		for (const [ref, n] of Object.entries(r.referrers || {})) {
+			v.referrers[ref] = (v.referrers[ref] || 0) + n;
+			referrers[ref] = (referrers[ref] || 0) + n;
+		}
+	}
+	const top = (map) => Object.entries(map).sort((a, b) => b[1] - a[1]).slice(0, 10).map(([referrer, hits]) => ({ referrer, hits }));
+	return {
+		totals,
+		series: Array.from(byDay.values()),
+		videos: Array.from(byVideo.values())
+			.map((v) => ({ ...v, referrers: top(v.referrers) }))
+			.sort((a, b) => b.views - a.views || b.bytes - a.bytes),
+		referrers: top(referrers),
+	};
+}
+
+module.exports = { createAnalytics, summarizeStats, dayKey };
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// API keys look like `dvh_<keyId>_<secret>`. Only a SHA-256 hash of the secret is stored;
+// the key id lets us find the record without comparing hashes one by one, and the
+// secret is then checked in constant time.
+const KEY_PREFIX = 'dvh_';
+
+function sha256(s) {
+	return crypto.createHash('sha256').update(String(s)).digest();
+}
+
+// Constant-time string comparison (hashing first so length differences don't leak).
+function safeEqual(a, b) {
+	if (typeof a !== 'string' || typeof b !== 'string') return false;
+	return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+function randomToken(bytes) {
+	return crypto.randomBytes(bytes).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Create a new key for `userId`. Returns { record, key }; `key` is the only time the
+// plaintext exists, so hand it to the user and forget it.
+function generateApiKey(userId, name) {
+	const id = randomToken(9).replace(/[-_]/g, 'x');
+	const secret = randomToken(24);
+	const record = {
+		id,
+		userId,
+		name: name || 'default',
+		hash: sha256(secret).toString('hex'),
+		createdAt: Date.now(),
+		lastUsedAt: null,
+		revokedAt: null,
+	};
+	return { record, key: `${KEY_PREFIX}${id}_${secret}` };
+}
+
+function parseApiKey(key) {
+	const m = /^dvh_([A-Za-z0-9]+)_([A-Za-z0-9_-]+)$/.exec(String(key || '').trim());
+	return m ? { id: m[1], secret: m[2] } : null;
+}
+
+// Look up and check a presented key. Returns { user, key } for a live key on an enabled
+// user, or null.
+function verifyApiKey(store, presented) {
+	const parsed = parseApiKey(presented);
+	if (!parsed) return null;
+	const rec = store.getApiKey(parsed.id);
+	if (!rec || rec.revokedAt) return null;
+	const ok = crypto.timingSafeEqual(sha256(parsed.secret), Buffer.from(rec.hash, 'hex'));
+	if (!ok) return null;
+	const user = store.getUser(rec.userId);
+	if (!user || user.disabled) return null;
+	return { user, key: rec };
+}
+
+// Strip the hash before a key record leaves the server.
+function publicKey(rec) {
+	const { hash, ...rest } = rec;
+	return rest;
+}
+
+module.exports = { KEY_PREFIX, safeEqual, generateApiKey, parseApiKey, verifyApiKey, publicKey };
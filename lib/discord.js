@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const { log: defaultLog } = require('./log');
+
+// Discord bot over the interactions HTTP API. Discord POSTs every slash command to
+// /discord/interactions, signed with the application's Ed25519 key; unsigned or stale
+// requests are refused. A command is acknowledged at once with a deferred ephemeral reply
+// (the "is thinking..." message only the caller sees), and its handler then edits that
+// message through the webhook endpoints as the work goes on. `apiBase` points at Discord's
+// REST API and can be changed to a local mock for testing.
+//
+// Interaction tokens are valid for 15 minutes, so handlers must be done editing by then.
+
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const MAX_CLOCK_SKEW_S = 5 * 60;
+
+const EPHEMERAL = 64;
+const OPTION = { STRING: 3, INTEGER: 4, BOOLEAN: 5, ATTACHMENT: 11 };
+
+// The slash commands, as registered with PUT /applications/<id>/commands
+const COMMANDS = [
+	{
+		name: 'upload',
+		description: 'Host a video from an attachment or a URL',
+		options: [
+			{ type: OPTION.ATTACHMENT, name: 'file', description: 'The video file' },
+			{ type: OPTION.STRING, name: 'url', description: 'Or a link to the video file' },
+			{ type: OPTION.STRING, name: 'visibility', description: 'Who can watch it (default: the server default)', choices: ['public', 'unlisted', 'signed'].map((v) => ({ name: v, value: v })) },
+			{ type: OPTION.STRING, name: 'ttl', description: 'Delete it after e.g. 1h, 7d (default: never)' },
+			{ type: OPTION.BOOLEAN, name: 'share', description: 'Post the link in the channel when it is ready (default: yes)' },
+		],
+	},
+	{
+		name: 'clip',
+		description: 'Cut a clip out of one of your videos',
+		options: [
+			{ type: OPTION.STRING, name: 'video', description: 'Video id or link', required: true },
+			{ type: OPTION.STRING, name: 'start', description: 'Start, in seconds or [HH:]MM:SS (default: 0)' },
+			{ type: OPTION.STRING, name: 'end', description: 'End, in seconds or [HH:]MM:SS (default: the end)' },
+			{ type: OPTION.STRING, name: 'format', description: 'mp4 (default), gif or webp', choices: ['mp4', 'gif', 'webp'].map((v) => ({ name: v, value: v })) },
+			{ type: OPTION.BOOLEAN, name: 'mute', description: 'Drop the audio' },
+			{ type: OPTION.BOOLEAN, name: 'share', description: 'Post the link in the channel when it is ready (default: yes)' },
+		],
+	},
+	{ name: 'mylinks', description: 'List your videos and their links' },
+	{
+		name: 'delete',
+		description: 'Delete one of your videos',
+		options: [{ type: OPTION.STRING, name: 'video', description: 'Video id or link', required: true }],
+	},
+	{
+		name: 'link',
+		description: 'Connect your Discord account to your Video Hoster account',
+		options: [{ type: OPTION.STRING, name: 'key', description: 'One of your API keys (only you will see it)', required: true }],
+	},
+];
+
+// The key object for the hex public key shown in the Developer Portal
+function parsePublicKey(hex) {
+	const raw = Buffer.from(String(hex || '').trim(), 'hex');
+	if (raw.length !== 32) throw new Error('DISCORD_PUBLIC_KEY must be the 64 hex characters of the application public key');
+	return crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+}
+
+// Whether `signature` (hex) is the Ed25519 signature of timestamp + body, from within a
+// few minutes of now
+function verifySignature(key, signature, timestamp, body) {
+	const sig = Buffer.from(String(signature || ''), 'hex');
+	const ts = Number(timestamp);
+	if (sig.length !== 64 || !Number.isInteger(ts) || Math.abs(Date.now() / 1000 - ts) > MAX_CLOCK_SKEW_S) return false;
+	try {
+		return crypto.verify(null, Buffer.concat([Buffer.from(String(timestamp)), body]), key, sig);
+	} catch (e) {
+		return false;
+	}
+}
+
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// `handlers` maps command names to async (ctx) => {...}; see commandContext for ctx.
+function createDiscordBot({ applicationId, publicKey, botToken, apiBase = 'https://discord.com/api/v10', handlers, editIntervalMs = 1500, log }) {
+	const key = parsePublicKey(publicKey);
+	const base = String(apiBase).replace(/\/+$/, '');
+	const report = log || defaultLog;
+
+	// A Discord REST call; a 429 is retried once after its retry_after
+	async function api(method, path, body, auth) {
+		for (let attempt = 0; ; attempt++) {
+			const headers = { 'User-Agent': 'DiscordBot (Video-Hoster, 1.0)' };
+			if (auth && botToken) headers.Authorization = `Bot ${botToken}`;
+			if (body !== undefined) headers['Content-Type'] = 'application/json';
+			const r = await fetch(base + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body), signal: AbortSignal.timeout(15 * 1000) });
+			const text = await r.text();
+			let data = null;
+			try { data = text ? JSON.parse(text) : null; } catch (e) {}
+			if (r.status === 429 && attempt === 0) {
+				await sleep(Math.min(10, (data && Number(data.retry_after)) || 1) * 1000);
+				continue;
+			}
+			if (!r.ok) {
+				const err = new Error(`Discord API ${method} ${path.replace(/\/webhooks\/(\d+)\/[^/]+/, '/webhooks/$1/<token>')}: ${r.status} ${(data && data.message) || text.slice(0, 200)}`);
+				err.status = r.status;
+				throw err;
+			}
+			return data;
+		}
+	}
+
+	function optionValues(options, out = {}) {
+		for (const o of options || []) {
+			// subcommands nest their options
+			if (o.options) optionValues(o.options, out);
+			else out[o.name] = o.value;
+		}
+		return out;
+	}
+
+	// What a handler gets: the interaction, the calling user ({ id, username, ... }), its
+	// options by name, resolved attachments, and ways to answer:
+	//   update(content)  - edit the ephemeral reply, at most once per editIntervalMs
+	//   reply(payload)   - edit it now (a string or a message object); use for the final answer
+	//   followUp(payload)- post a new, public message in the channel
+	function commandContext(req, interaction) {
+		const token = interaction.token;
+		const original = `/webhooks/${applicationId}/${token}/messages/@original`;
+		const data = interaction.data || {};
+		const options = optionValues(data.options);
+		const attachments = (data.resolved && data.resolved.attachments) || {};
+		let chain = Promise.resolve();
+		let lastEdit = 0;
+		let pending = null;
+		let timer = null;
+
+		function edit(payload) {
+			const body = typeof payload === 'string' ? { content: payload } : payload;
+			chain = chain.then(() => api('PATCH', original, { allowed_mentions: { parse: [] }, ...body })).catch((e) => report.error('Discord edit failed', { error: e.message }));
+			lastEdit = Date.now();
+			return chain;
+		}
+
+		return {
+			req,
+			interaction,
+			name: data.name,
+			user: (interaction.member && interaction.member.user) || interaction.user || {},
+			guildId: interaction.guild_id || null,
+			options,
+			attachment: (name) => (options[name] ? attachments[options[name]] || null : null),
+			update(content) {
+				pending = content;
+				if (timer) return;
+				const wait = lastEdit + editIntervalMs - Date.now();
+				timer = setTimeout(() => {
+					timer = null;
+					const next = pending;
+					pending = null;
+					if (next !== null) edit(next);
+				}, Math.max(0, wait));
+			},
+			reply(payload) {
+				if (timer) { clearTimeout(timer); timer = null; }
+				pending = null;
+				return edit(payload);
+			},
+			followUp(payload) {
+				const body = typeof payload === 'string' ? { content: payload } : payload;
+				return chain.then(() => api('POST', `/webhooks/${applicationId}/${token}`, body)).catch((e) => report.error('Discord follow-up failed', { error: e.message }));
+			},
+		};
+	}
+
+	return {
+		commands: COMMANDS,
+
+		// Express handler for POST /discord/interactions; needs the raw body (express.raw)
+		handle(req, res) {
+			const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+			if (!verifySignature(key, req.get('x-signature-ed25519'), req.get('x-signature-timestamp'), body)) {
+				return res.status(401).json({ error: 'invalid request signature' });
+			}
+			let interaction;
+			try { interaction = JSON.parse(body.toString('utf8')); } catch (e) { return res.status(400).json({ error: 'invalid JSON' }); }
+			// PING: Discord checking the endpoint
+			if (interaction.type === 1) return res.json({ type: 1 });
+			if (interaction.type !== 2) return res.status(400).json({ error: 'unsupported interaction type' });
+			const handler = handlers[interaction.data && interaction.data.name];
+			if (!handler) return res.json({ type: 4, data: { content: 'Unknown command.', flags: EPHEMERAL } });
+
+			// deferred, ephemeral: the handler answers by editing this message
+			res.json({ type: 5, data: { flags: EPHEMERAL } });
+			const ctx = commandContext(req, interaction);
+			Promise.resolve().then(() => handler(ctx)).catch((e) => {
+				report.error('Discord command failed', { command: ctx.name, error: e && e.message });
+				ctx.reply('Something went wrong, please try again.');
+			});
+		},
+
+		// Register the slash commands, globally or (quicker to show up) for one guild
+		registerCommands(guildId) {
+			const path = guildId ? `/applications/${applicationId}/guilds/${guildId}/commands` : `/applications/${applicationId}/commands`;
+			return api('PUT', path, COMMANDS, true);
+		},
+	};
+}
+
+module.exports = { COMMANDS, parsePublicKey, verifySignature, createDiscordBot };
@@ -0,0 +1,120 @@
+const fs = require('fs');
+
+// Short domains: the hosts that serve short links (https://<host>/<slug>). Several can be
+// configured in a JSON file:
+//
+//   {
+//     "domains": [
+//       { "host": "lawton.au", "default": true, "rootRedirect": "https://example.com", "linkLength": 6 },
+//       { "host": "clips.example.com", "subdomains": true, "uploaders": ["alice", "bob"] }
+//     ]
+//   }
+//
+// A request matches a domain when its host is exactly `host` or, with `subdomains`, ends in
+// ".<host>". `rootRedirect` is where the bare domain sends visitors, `linkLength` the length
+// of random short ids and `uploaders` the users (names or ids) who may put videos on the
+// domain - anyone, including anonymous uploads, when it's left out. Uploads go on the
+// `default` domain (or the first one) unless they ask for another.
+
+const HOST_RE = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+
+// Lower-case host without port or trailing dot
+function normalizeHost(host) {
+	return String(host || '').trim().toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+}
+
+function parseDomain(entry, i) {
+	const where = `domains[${i}]`;
+	if (!entry || typeof entry !== 'object') throw new Error(`${where} must be an object`);
+	const host = normalizeHost(entry.host);
+	if (!HOST_RE.test(host)) throw new Error(`${where}.host is not a valid host name`);
+	let linkLength = null;
+	if (entry.linkLength !== undefined && entry.linkLength !== null) {
+		linkLength = Number(entry.linkLength);
+		if (!Number.isInteger(linkLength) || linkLength < 4 || linkLength > 32) throw new Error(`${where}.linkLength must be a whole number from 4 to 32`);
+	}
+	if (entry.rootRedirect && !/^https?:\/\//i.test(String(entry.rootRedirect))) throw new Error(`${where}.rootRedirect must be an http(s) URL`);
+	let uploaders = null;
+	if (entry.uploaders !== undefined && entry.uploaders !== null) {
+		if (!Array.isArray(entry.uploaders)) throw new Error(`${where}.uploaders must be a list of user names or ids`);
+		uploaders = new Set(entry.uploaders.map(String));
+	}
+	return {
+		host,
+		subdomains: !!entry.subdomains,
+		default: !!entry.default,
+		rootRedirect: entry.rootRedirect ? String(entry.rootRedirect) : null,
+		linkLength,
+		uploaders,
+	};
+}
+
+// Read the domains from `file` or, when it doesn't exist, use the single `fallback` domain
+// ({ host, rootRedirect }). Throws on a malformed file.
+function loadDomains({ file, fallback }) {
+	let entries = [fallback];
+	let source = 'LAWTON_SHORT_DOMAIN';
+	if (file && fs.existsSync(file)) {
+		source = file;
+		let config;
+		try { config = JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) { throw new Error(`${file}: ${e.message}`); }
+		entries = config && config.domains;
+		if (!Array.isArray(entries) || !entries.length) throw new Error(`${file}: "domains" must be a non-empty list`);
+	}
+	let list;
+	try { list = entries.map(parseDomain); } catch (e) { throw new Error(`${source}: ${e.message}`); }
+	const byHost = new Map();
+	for (const d of list) {
+		if (byHost.has(d.host)) throw new Error(`${source}: domain ${d.host} is listed twice`);
+		byHost.set(d.host, d);
+	}
+	return createDomains(list, byHost);
+}
+
+function createDomains(list, byHost) {
+	const defaultDomain = list.find((d) => d.default) || list[0];
+	// longest first, so the most specific domain wins a suffix match
+	const wildcards = list.filter((d) => d.subdomains).sort((a, b) => b.host.length - a.host.length);
+
+	// The domain a request host belongs to, or null
+	function match(host) {
+		const h = normalizeHost(host);
+		if (!h) return null;
+		if (byHost.has(h)) return byHost.get(h);
+		return wildcards.find((d) => h.endsWith(`.${d.host}`)) || null;
+	}
+
+	function allows(domain, user) {
+		if (!domain.uploaders) return true;
+		return !!user && (domain.uploaders.has(user.name) || domain.uploaders.has(user.id));
+	}
+
+	// The domain for a new video: the `requested` host or, without one, the default (or else
+	// the first the user may use). Returns { domain } or { status, error }.
+	function forUploader(requested, user) {
+		if (requested) {
+			const d = byHost.get(normalizeHost(requested));
+			if (!d) return { status: 400, error: `unknown domain "${requested}"` };
+			if (!allows(d, user)) return { status: 403, error: `you may not upload to ${d.host}` };
+			return { domain: d };
+		}
+		const d = allows(defaultDomain, user) ? defaultDomain : list.find((x) => allows(x, user));
+		if (!d) return { status: 403, error: 'you may not upload to any short domain' };
+		return { domain: d };
+	}
+
+	return {
+		list,
+		defaultDomain,
+		match,
+		allows,
+		forUploader,
+		// A configured domain by its host, or the default (for videos from before a domain was
+		// recorded, or whose domain has since been removed from the configuration)
+		get(host) {
+			return byHost.get(normalizeHost(host)) || defaultDomain;
+		},
+	};
+}
+
+module.exports = { loadDomains, normalizeHost };
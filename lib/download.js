@@ -0,0 +1,109 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { isPrivateAddress, publicLookup, blockedError } = require('./netguard');
+
+// Downloading a file from a URL someone gave us into uploads/. With `guard` (the default)
+// only public addresses are reached, including after every redirect; the body may not go
+// over `maxBytes`, and the whole download must finish within `timeoutMs`.
+
+function httpError(status, message) {
+	const err = new Error(message);
+	err.status = status;
+	return err;
+}
+
+// The URL if it's http(s) and (with `guard`) not an IP literal in a private range; throws
+// a 400/403 error otherwise
+function checkUrl(value, guard) {
+	let u;
+	try { u = new URL(String(value)); } catch (e) { throw httpError(400, 'invalid URL'); }
+	if (u.protocol !== 'http:' && u.protocol !== 'https:') throw httpError(400, 'only http and https URLs can be fetched');
+	if (u.username || u.password) throw httpError(400, 'URLs with credentials are not allowed');
+	const host = u.hostname.replace(/^\[|\]$/g, '');
+	if (guard && net.isIP(host) && isPrivateAddress(host)) throw httpError(403, blockedError(host).message);
+	return u;
+}
+
+// A file name for the download: Content-Disposition's, else the last part of the URL path
+function fileNameFor(u, headers) {
+	const cd = String(headers['content-disposition'] || '');
+	const m = /filename\*=UTF-8''([^;]+)/i.exec(cd) || /filename="?([^";]+)"?/i.exec(cd);
+	let name = '';
+	try { name = m ? decodeURIComponent(m[1]) : decodeURIComponent(path.posix.basename(u.pathname)); } catch (e) {}
+	name = path.basename(name.replace(/[\\/]/g, '_')).trim();
+	return name || 'video';
+}
+
+function get(u, guard, timeoutMs) {
+	return new Promise((resolve, reject) => {
+		const lib = u.protocol === 'https:' ? https : http;
+		const req = lib.get(u, { lookup: guard ? publicLookup : undefined, timeout: timeoutMs, headers: { 'User-Agent': 'Video-Hoster' } }, resolve);
+		req.on('timeout', () => req.destroy(httpError(504, 'the remote server timed out')));
+		req.on('error', (err) => reject(err.code === 'EBLOCKED' ? httpError(403, err.message) : err));
+	});
+}
+
+// Save `url` to `dest`. Resolves with { size, contentType, fileName, url (after redirects) };
+// rejects with err.status 400 (bad URL), 403 (not a public address), 413 (too large),
+// 502 (remote error) or 504 (timed out), and leaves no file behind.
+async function downloadToFile(url, dest, { maxBytes = null, timeoutMs = 60 * 1000, maxRedirects = 3, guard = true, onProgress } = {}) {
+	const deadline = Date.now() + timeoutMs;
+	let u = checkUrl(url, guard);
+	let res;
+	for (let hops = 0; ; hops++) {
+		try {
+			res = await get(u, guard, Math.max(1, deadline - Date.now()));
+		} catch (e) {
+			throw e.status ? e : httpError(502, `could not fetch the URL: ${e.message}`);
+		}
+		if (res.statusCode < 300 || res.statusCode >= 400 || !res.headers.location) break;
+		res.resume();
+		if (hops >= maxRedirects) throw httpError(502, 'too many redirects');
+		u = checkUrl(new URL(res.headers.location, u).href, guard);
+	}
+	if (res.statusCode !== 200) {
+		res.resume();
+		throw httpError(502, `the remote server answered ${res.statusCode}`);
+	}
+	const total = parseInt(res.headers['content-length'], 10) || null;
+	if (maxBytes && total && total > maxBytes) {
+		res.resume();
+		throw httpError(413, 'the remote file is too large');
+	}
+
+	return new Promise((resolve, reject) => {
+		const out = fs.createWriteStream(dest);
+		let size = 0;
+		let failed = null;
+		const fail = (err) => {
+			if (failed) return;
+			failed = err;
+			clearTimeout(timer);
+			res.destroy();
+			// the file may only be opened after this, so remove it once the stream has closed
+			out.once('close', () => { try { fs.unlinkSync(dest); } catch (e) {} });
+			out.destroy();
+			reject(err);
+		};
+		const timer = setTimeout(() => fail(httpError(504, 'the download took too long')), Math.max(1, deadline - Date.now()));
+		res.on('data', (chunk) => {
+			size += chunk.length;
+			if (maxBytes && size > maxBytes) return fail(httpError(413, 'the remote file is too large'));
+			if (onProgress) onProgress(size, total);
+		});
+		res.on('error', (err) => fail(httpError(502, `download failed: ${err.message}`)));
+		res.on('close', () => { if (!res.complete) fail(httpError(502, 'the remote server closed the connection')); });
+		out.on('error', (err) => fail(err));
+		out.on('finish', () => {
+			clearTimeout(timer);
+			if (failed) return;
+			resolve({ size, contentType: res.headers['content-type'] || null, fileName: fileNameFor(u, res.headers), url: u.href });
+		});
+		res.pipe(out);
+	});
+}
+
+module.exports = { checkUrl, downloadToFile };
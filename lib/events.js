@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const { log: defaultLog } = require('./log');
+
+// Outgoing event webhooks: admins subscribe URLs to lifecycle events, and every event is
+// POSTed to each subscribed URL as JSON. Deliveries are recorded in the store before they
+// are sent, so retries survive a restart; a delivery that doesn't get a 2xx answer is
+// retried with exponential backoff (backoffMs, doubling up to maxBackoffMs) until
+// maxAttempts, then marked failed. Redirects count as failures.
+//
+// Each request carries
+//   X-Webhook-Id         the delivery id (the same on every retry)
+//   X-Webhook-Event      the event name
+//   X-Webhook-Timestamp  unix seconds when this attempt was signed
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret>
+// so receivers can check where it came from and refuse replays of old requests.
+
+const EVENTS = ['video.uploaded', 'transcode.done', 'transcode.failed', 'video.removed', 'video.expired'];
+
+function httpError(status, message) {
+	const err = new Error(message);
+	err.status = status;
+	return err;
+}
+
+function newId(prefix) {
+	return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function sign(secret, timestamp, body) {
+	return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// A webhook as admins see it: everything but the secret
+function publicWebhook(hook) {
+	const { secret, ...rest } = hook;
+	return rest;
+}
+
+// The event names a webhook is created or updated with; throws a 400 for unknown ones
+function parseEvents(value) {
+	const list = Array.isArray(value) ? value : String(value || '').split(',');
+	const events = [...new Set(list.map((e) => String(e).trim()).filter(Boolean))];
+	if (!events.length) throw httpError(400, `events required (any of ${EVENTS.join(', ')}, or *)`);
+	const unknown = events.filter((e) => e !== '*' && !EVENTS.includes(e));
+	if (unknown.length) throw httpError(400, `unknown event: ${unknown[0]}`);
+	return events.includes('*') ? ['*'] : events;
+}
+
+function parseUrl(value) {
+	let u;
+	try { u = new URL(String(value)); } catch (e) { throw httpError(400, 'url must be a valid http(s) URL'); }
+	if (u.protocol !== 'http:' && u.protocol !== 'https:') throw httpError(400, 'url must be a valid http(s) URL');
+	return u.href;
+}
+
+// POST `body` and resolve with { status, body } whatever the status
+async function postJson(url, body, headers, timeoutMs) {
+	const r = await fetch(url, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', 'User-Agent': 'Video-Hoster-Webhooks', ...headers },
+		body,
+		redirect: 'manual',
+		signal: AbortSignal.timeout(timeoutMs),
+	});
+	const text = await r.text().catch(() => '');
+	return { status: r.status, body: text };
+}
+
+function createEventWebhooks({ store, maxAttempts = 8, backoffMs = 10 * 1000, maxBackoffMs = 60 * 60 * 1000, timeoutMs = 10 * 1000, concurrency = 4, request, log }) {
+	const send = request || ((url, body, headers) => postJson(url, body, headers, timeoutMs));
+	const report = log || defaultLog;
+	const pending = new Map(); // delivery id -> nextAttemptAt, for deliveries not yet finished
+	const inFlight = new Set();
+	let timer = null;
+	let started = false;
+
+	function subscribed(hook, event) {
+		return !hook.disabled && (hook.events.includes('*') || hook.events.includes(event));
+	}
+
+	function queue(delivery) {
+		store.putDelivery(delivery);
+		pending.set(delivery.id, delivery.nextAttemptAt);
+		schedule();
+	}
+
+	// Run what's due, then sleep until the next delivery is
+	function schedule() {
+		if (!started) return;
+		clearTimeout(timer);
+		timer = null;
+		const now = Date.now();
+		let next = Infinity;
+		for (const [id, at] of pending) {
+			if (inFlight.has(id)) continue;
+			if (at <= now && inFlight.size < concurrency) attempt(id);
+			else if (at > now) next = Math.min(next, at);
+		}
+		// everything due is waiting for a free slot; attempt() reschedules when one frees up
+		if (next !== Infinity) {
+			timer = setTimeout(schedule, Math.min(next - now, 2 ** 31 - 1));
+			timer.unref();
+		}
+	}
+
+	async function attempt(id) {
+		inFlight.add(id);
+		try {
+			await deliver(id);
+		} catch (e) {
+			report.error('Webhook delivery error', { delivery: id, error: e.message });
+		} finally {
+			inFlight.delete(id);
+			schedule();
+		}
+	}
+
+	async function deliver(id) {
+		const delivery = store.getDelivery(id);
+		if (!delivery || delivery.status !== 'pending') {
+			pending.delete(id);
+			return;
+		}
+		const hook = store.getWebhook(delivery.webhookId);
+		if (!hook) {
+			pending.delete(id);
+			store.putDelivery({ ...delivery, status: 'failed', lastError: 'the webhook was deleted', finishedAt: Date.now() });
+			return;
+		}
+		const body = JSON.stringify(delivery.payload);
+		const timestamp = Math.floor(Date.now() / 1000);
+		const sentAt = Date.now();
+		let result;
+		try {
+			result = await send(hook.url, body, {
+				'X-Webhook-Id': delivery.id,
+				'X-Webhook-Event': delivery.event,
+				'X-Webhook-Timestamp': String(timestamp),
+				'X-Webhook-Signature': sign(hook.secret, timestamp, body),
+			});
+		} catch (e) {
+			result = { status: null, error: e.name === 'TimeoutError' ? 'timed out' : e.message };
+		}
+		const ok = result.status >= 200 && result.status < 300;
+		const attempts = (delivery.attempts || 0) + 1;
+		const entry = { at: sentAt, status: result.status, ms: Date.now() - sentAt, error: result.error || (ok ? null : `HTTP ${result.status}`) };
+		const update = {
+			...delivery,
+			url: hook.url,
+			attempts,
+			history: [...(delivery.history || []), entry].slice(-maxAttempts),
+			lastStatus: result.status,
+			lastError: entry.error,
+			response: result.body ? String(result.body).slice(0, 500) : null,
+		};
+		if (ok) {
+			Object.assign(update, { status: 'delivered', nextAttemptAt: null, finishedAt: Date.now() });
+			pending.delete(id);
+		} else if (attempts >= maxAttempts) {
+			Object.assign(update, { status: 'failed', nextAttemptAt: null, finishedAt: Date.now() });
+			pending.delete(id);
+		} else {
+			update.nextAttemptAt = Date.now() + Math.min(maxBackoffMs, backoffMs * 2 ** (attempts - 1));
+			pending.set(id, update.nextAttemptAt);
+		}
+		store.putDelivery(update);
+	}
+
+	function newDelivery(hook, event, data) {
+		const id = newId('dlv');
+		const now = Date.now();
+		return {
+			id,
+			webhookId: hook.id,
+			event,
+			url: hook.url,
+			status: 'pending',
+			attempts: 0,
+			createdAt: now,
+			nextAttemptAt: now,
+			payload: { id, event, createdAt: new Date(now).toISOString(), data },
+		};
+	}
+
+	return {
+		EVENTS,
+
+		// Pick up deliveries left pending by the last run and start sending
+		start() {
+			if (started) return;
+			started = true;
+			for (const d of store.listDeliveries({ status: 'pending', limit: 100000 })) pending.set(d.id, d.nextAttemptAt || 0);
+			schedule();
+		},
+
+		stop() {
+			started = false;
+			clearTimeout(timer);
+			timer = null;
+		},
+
+		// Queue `event` for every webhook subscribed to it. Returns the number of deliveries.
+		emit(event, data) {
+			let n = 0;
+			for (const hook of store.listWebhooks()) {
+				if (!subscribed(hook, event)) continue;
+				queue(newDelivery(hook, event, data));
+				n++;
+			}
+			return n;
+		},
+
+		// Send a `ping` event to one webhook, whatever it's subscribed to
+		ping(id) {
+			const hook = store.getWebhook(id);
+			if (!hook) throw httpError(404, 'webhook not found');
+			const delivery = newDelivery(hook, 'ping', { webhookId: hook.id });
+			queue(delivery);
+			return delivery;
+		},
+
+		// Send a finished delivery again, as a new round of attempts with the same id
+		redeliver(id) {
+			const delivery = store.getDelivery(id);
+			if (!delivery) throw httpError(404, 'delivery not found');
+			if (delivery.status === 'pending') throw httpError(409, 'the delivery is still being attempted');
+			if (!store.getWebhook(delivery.webhookId)) throw httpError(409, 'the webhook was deleted');
+			const again = { ...delivery, status: 'pending', attempts: 0, nextAttemptAt: Date.now(), finishedAt: null };
+			queue(again);
+			return again;
+		},
+
+		// Subscribe `url` to `events`. Returns the webhook including its signing secret, which
+		// is only shown here and when it's rotated.
+		create({ url, events, description }) {
+			const hook = {
+				id: newId('wh'),
+				url: parseUrl(url),
+				events: parseEvents(events),
+				description: description ? String(description).slice(0, 200) : '',
+				secret: crypto.randomBytes(32).toString('hex'),
+				disabled: false,
+				createdAt: Date.now(),
+			};
+			return store.putWebhook(hook);
+		},
+
+		// Change a webhook's url, events, description or disabled flag
+		update(id, changes) {
+			const hook = store.getWebhook(id);
+			if (!hook) throw httpError(404, 'webhook not found');
+			const next = { ...hook, updatedAt: Date.now() };
+			if (changes.url !== undefined) next.url = parseUrl(changes.url);
+			if (changes.events !== undefined) next.events = parseEvents(changes.events);
+			if (changes.description !== undefined) next.description = String(changes.description || '').slice(0, 200);
+			if (changes.disabled !== undefined) next.disabled = !!changes.disabled;
+			return publicWebhook(store.putWebhook(next));
+		},
+
+		rotateSecret(id) {
+			const hook = store.getWebhook(id);
+			if (!hook) throw httpError(404, 'webhook not found');
+			return store.putWebhook({ ...hook, secret: crypto.randomBytes(32).toString('hex'), updatedAt: Date.now() });
+		},
+
+		// Delete a webhook; its pending deliveries fail when they next come up
+		remove(id) {
+			if (!store.deleteWebhook(id)) throw httpError(404, 'webhook not found');
+		},
+
+		list() {
+			return store.listWebhooks().map(publicWebhook);
+		},
+
+		deliveries(opts) {
+			return store.listDeliveries(opts);
+		},
+	};
+}
+
+module.exports = { EVENTS, sign, publicWebhook, createEventWebhooks };
@@ -0,0 +1,31 @@
+// Expiry helpers for per-video TTLs and view limits.
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000, w: 7 * 24 * 3600 * 1000 };
+
+// Parse a TTL like "30m", "1h", "7d", "2w" or "never". Returns milliseconds, null for
+// "never"/empty, or undefined if the value can't be parsed.
+function parseTtl(value) {
+	const v = String(value == null ? '' : value).trim().toLowerCase();
+	if (!v || v === 'never' || v === 'none' || v === '0') return null;
+	const m = /^(\d+(?:\.\d+)?)\s*([smhdw])$/.exec(v);
+	if (!m) return undefined;
+	return Math.round(parseFloat(m[1]) * UNITS[m[2]]);
+}
+
+// Parse a max-view count. Returns a positive integer, null for none, or undefined if invalid.
+function parseMaxViews(value) {
+	const v = String(value == null ? '' : value).trim();
+	if (!v || v === '0' || v.toLowerCase() === 'none') return null;
+	if (!/^\d+$/.test(v)) return undefined;
+	return parseInt(v, 10);
+}
+
+// Whether a video has outlived its TTL or used up its views.
+function isExpired(video, now = Date.now()) {
+	if (!video) return false;
+	if (video.expiresAt && now >= video.expiresAt) return true;
+	if (video.maxViews && (video.views || 0) >= video.maxViews) return true;
+	return false;
+}
+
+module.exports = { parseTtl, parseMaxViews, isExpired };
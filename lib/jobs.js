@@ -0,0 +1,257 @@
+// Persistent, bounded background job queue.
+//
+// Job state (queued/running/done/error/cancelled) is written to the metadata store on
+// every transition, so a restart can pick up where it left off: jobs that were running
+// when the process died are cleaned up (via the type's `cleanup` hook) and re-queued.
+// At most `concurrency` jobs run at once; failures are retried with exponential
+// backoff up to `maxAttempts`. Fine-grained progress (percent, eta, ...) is not
+// persisted - handlers report it through their own channel.
+//
+//   const queue = createJobQueue({ store, concurrency: 2, onChange: (job) => ... });
+//   queue.register('transcode', { run: async (job, ctx) => {...}, cleanup: (job) => {...} });
+//   queue.start();
+//   queue.enqueue({ id, type: 'transcode', videoId, payload });
+
+const ACTIVE = new Set(['queued', 'running']);
+
+function createJobQueue(opts = {}) {
+	const store = opts.store;
+	const concurrency = Math.max(1, parseInt(opts.concurrency, 10) || 1);
+	const maxAttempts = Math.max(1, parseInt(opts.maxAttempts, 10) || 3);
+	const backoffMs = Math.max(0, parseInt(opts.backoffMs, 10) || 5000);
+	const retentionMs = opts.retentionMs || 7 * 24 * 3600 * 1000;
+	const onChange = opts.onChange || (() => {});
+
+	const types = new Map();
+	const running = new Map(); // id -> { cancelled, cancelFns }
+	// the queued jobs as { id, createdAt }, in the order they will run (oldest first, like
+	// store.listJobs), so positions don't need the whole job table
+	const waiting = [];
+	let timer = null;
+	let started = false;
+
+	function save(job) {
+		job.updatedAt = Date.now();
+		store.putJob(job);
+		track(job);
+		try { onChange({ ...job }); } catch (e) {}
+		return job;
+	}
+
+	// Put a job in its place in `waiting`, or take it out once it isn't queued.
+	function track(job) {
+		const i = waiting.findIndex((w) => w.id === job.id);
+		if (i !== -1) waiting.splice(i, 1);
+		if (job.status !== 'queued') return;
+		let at = waiting.length;
+		while (at > 0 && (waiting[at - 1].createdAt || 0) > (job.createdAt || 0)) at--;
+		waiting.splice(at, 0, { id: job.id, createdAt: job.createdAt });
+	}
+
+	// Queued jobs in the order they will run.
+	function queued() {
+		const jobs = [];
+		for (const { id } of waiting.slice()) {
+			const job = store.getJob(id);
+			// deleted from the store behind our back (e.g. with its video)
+			if (job && job.status === 'queued') jobs.push(job);
+			else track({ id });
+		}
+		return jobs;
+	}
+
+	function position(id) {
+		if (running.has(id)) return 0;
+		const idx = waiting.findIndex((w) => w.id === id);
+		return idx === -1 ? null : idx + 1;
+	}
+
+	// Every active job's position at once: id -> 0 (running) or 1, 2, ... (queued)
+	function positions() {
+		const out = new Map();
+		for (const id of running.keys()) out.set(id, 0);
+		waiting.forEach((w, i) => out.set(w.id, i + 1));
+		return out;
+	}
+
+	// Let every waiting job know its position changed.
+	function notifyQueued() {
+		for (const j of queued()) {
+			try { onChange(j); } catch (e) {}
+		}
+	}
+
+	function schedule(delay) {
+		if (timer) clearTimeout(timer);
+		timer = setTimeout(() => { timer = null; pump(); }, Math.max(0, delay));
+		if (timer.unref) timer.unref();
+	}
+
+	function pump() {
+		if (!started) return;
+		const now = Date.now();
+		let nextWake = null;
+		for (const job of queued()) {
+			if (running.size >= concurrency) break;
+			if (job.nextRunAt && job.nextRunAt > now) {
+				nextWake = nextWake === null ? job.nextRunAt : Math.min(nextWake, job.nextRunAt);
+				continue;
+			}
+			runJob(job);
+		}
+		if (nextWake !== null) schedule(nextWake - now);
+	}
+
+	async function runJob(job) {
+		const type = types.get(job.type);
+		if (!type) {
+			job.status = 'error';
+			job.error = `unknown job type: ${job.type}`;
+			save(job);
+			return;
+		}
+		const state = { cancelled: false, cancelFns: [] };
+		running.set(job.id, state);
+		job.status = 'running';
+		job.attempts = (job.attempts || 0) + 1;
+		job.startedAt = Date.now();
+		job.error = null;
+		job.message = null;
+		save(job);
+		notifyQueued();
+
+		const ctx = {
+			// register a function that aborts the running work (e.g. kills ffmpeg)
+			onCancel(fn) { state.cancelFns.push(fn); },
+			get cancelled() { return state.cancelled; },
+		};
+
+		try {
+			const result = await type.run({ ...job }, ctx);
+			if (state.cancelled) throw new Error('cancelled');
+			job.status = 'done';
+			job.result = result === undefined ? null : result;
+			job.finishedAt = Date.now();
+		} catch (err) {
+			job.error = (err && err.message) || String(err);
+			if (state.cancelled) {
+				job.status = 'cancelled';
+				job.finishedAt = Date.now();
+			} else if (job.attempts < (job.maxAttempts || maxAttempts) && !(err && err.permanent)) {
+				job.status = 'queued';
+				job.nextRunAt = Date.now() + backoffMs * Math.pow(2, job.attempts - 1);
+			} else {
+				job.status = 'error';
+				job.finishedAt = Date.now();
+			}
+			if (job.status !== 'queued') {
+				try { if (type.cleanup) type.cleanup({ ...job }); } catch (e) {}
+			}
+		} finally {
+			running.delete(job.id);
+		}
+		// the job may have been deleted (e.g. video purged) while it was running
+		if (store.getJob(job.id)) save(job);
+		pump();
+	}
+
+	return {
+		register(name, handler) {
+			types.set(name, handler);
+		},
+
+		// Load persisted jobs, recover the ones interrupted by a restart and start working.
+		start() {
+			const now = Date.now();
+			for (const job of store.listJobs()) {
+				if (job.status === 'running') {
+					const type = types.get(job.type);
+					try { if (type && type.cleanup) type.cleanup({ ...job }); } catch (e) {}
+					job.status = 'queued';
+					job.nextRunAt = null;
+					job.message = 'interrupted by restart; re-queued';
+					save(job);
+				} else if (!ACTIVE.has(job.status) && job.updatedAt && now - job.updatedAt > retentionMs) {
+					store.deleteJob(job.id);
+				} else {
+					track(job);
+					try { onChange({ ...job }); } catch (e) {}
+				}
+			}
+			started = true;
+			pump();
+		},
+
+		// Add a job. Re-enqueueing an id that is not active replaces the old record.
+		enqueue({ id, type, videoId, payload, maxAttempts: attempts }) {
+			if (!types.has(type)) throw new Error(`unknown job type: ${type}`);
+			const existing = store.getJob(id);
+			if (existing && ACTIVE.has(existing.status)) return existing;
+			const job = save({
+				id,
+				type,
+				videoId: videoId || id,
+				payload: payload || {},
+				status: 'queued',
+				attempts: 0,
+				maxAttempts: attempts || maxAttempts,
+				createdAt: Date.now(),
+				nextRunAt: null,
+				error: null,
+			});
+			pump();
+			return job;
+		},
+
+		// Cancel a queued or running job. Returns false if there was nothing to cancel.
+		cancel(id) {
+			const state = running.get(id);
+			if (state) {
+				state.cancelled = true;
+				for (const fn of state.cancelFns) { try { fn(); } catch (e) {} }
+				return true;
+			}
+			const job = store.getJob(id);
+			if (!job || job.status !== 'queued') return false;
+			job.status = 'cancelled';
+			job.finishedAt = Date.now();
+			save(job);
+			const type = types.get(job.type);
+			try { if (type && type.cleanup) type.cleanup({ ...job }); } catch (e) {}
+			notifyQueued();
+			return true;
+		},
+
+		get(id) {
+			return store.getJob(id);
+		},
+
+		list() {
+			return store.listJobs();
+		},
+
+		position,
+		positions,
+
+		// Totals, plus queued and running jobs of every registered type (zero when there are none)
+		stats() {
+			const byType = {};
+			for (const name of types.keys()) byType[name] = { queued: 0, running: 0 };
+			let queuedCount = 0;
+			for (const job of store.listJobs()) {
+				if (!ACTIVE.has(job.status)) continue;
+				if (job.status === 'queued') queuedCount++;
+				const counts = byType[job.type] = byType[job.type] || { queued: 0, running: 0 };
+				counts[job.status]++;
+			}
+			return {
+				running: running.size,
+				queued: queuedCount,
+				concurrency,
+				byType,
+			};
+		},
+	};
+}
+
+module.exports = { createJobQueue };
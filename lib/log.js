@@ -0,0 +1,56 @@
+// Structured logs: one JSON object per line, info and debug on stdout and warnings and
+// errors on stderr, e.g.
+//   {"time":"2026-01-02T03:04:05.678Z","level":"info","msg":"request","reqId":"...","method":"GET","status":200}
+// LOG_FORMAT=text prints "<time> <LEVEL> <msg> key=value ..." instead, for reading in a
+// terminal, and LOG_LEVEL (debug, info, warn or error; default info) drops anything less
+// severe. `child(fields)` gives a logger that adds `fields` to every line, e.g. a request id.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors become { message, code } so they survive JSON.stringify
+function plain(value) {
+	if (value instanceof Error) return value.code ? { message: value.message, code: value.code } : { message: value.message };
+	return value;
+}
+
+function textValue(value) {
+	const s = typeof value === 'string' ? value : JSON.stringify(value);
+	return /[\s"=]/.test(s) ? JSON.stringify(s) : s;
+}
+
+function createLogger({ level = 'info', format = 'json', fields = {}, write } = {}) {
+	const min = LEVELS[String(level).toLowerCase()] || LEVELS.info;
+	const text = String(format).toLowerCase() === 'text';
+	const out = write || ((lvl, line) => (LEVELS[lvl] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`));
+
+	function emit(lvl, base, msg, extra) {
+		if (LEVELS[lvl] < min) return;
+		const entry = { time: new Date().toISOString(), level: lvl, msg: String(msg) };
+		for (const [k, v] of Object.entries({ ...base, ...extra })) if (v !== undefined) entry[k] = plain(v);
+		let line;
+		if (text) {
+			const { time, level: l, msg: m, ...rest } = entry;
+			line = [time, l.toUpperCase(), m, ...Object.entries(rest).map(([k, v]) => `${k}=${textValue(v)}`)].join(' ');
+		} else {
+			try { line = JSON.stringify(entry); } catch (e) { line = JSON.stringify({ time: entry.time, level: lvl, msg: entry.msg }); }
+		}
+		out(lvl, line);
+	}
+
+	function logger(base) {
+		return {
+			debug: (msg, extra) => emit('debug', base, msg, extra),
+			info: (msg, extra) => emit('info', base, msg, extra),
+			warn: (msg, extra) => emit('warn', base, msg, extra),
+			error: (msg, extra) => emit('error', base, msg, extra),
+			child: (more) => logger({ ...base, ...more }),
+		};
+	}
+
+	return logger(fields);
+}
+
+// The process-wide logger, configured from LOG_LEVEL and LOG_FORMAT
+const log = createLogger({ level: process.env.LOG_LEVEL || 'info', format: process.env.LOG_FORMAT || 'json' });
+
+module.exports = { LEVELS, createLogger, log };
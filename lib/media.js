@@ -0,0 +1,346 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+// Codecs every browser and the Discord embed player can decode inside an MP4.
+const WEB_SAFE_VIDEO = new Set(['h264']);
+const WEB_SAFE_PIX_FMT = new Set(['yuv420p', 'yuvj420p']);
+const WEB_SAFE_AUDIO = new Set(['aac', 'mp3']);
+
+// Run ffprobe on a file. Resolves with fluent-ffmpeg's metadata object
+// ({ format, streams }) or rejects if ffprobe is missing or the file is unreadable.
+function probeMedia(inputPath) {
+	return new Promise((resolve, reject) => {
+		ffmpeg.ffprobe(inputPath, (err, data) => {
+			// ffprobe's message includes its whole banner; the last line is the actual error
+			if (err) return reject(new Error(String(err.message || err).trim().split('\n').pop()));
+			resolve(data);
+		});
+	});
+}
+
+function firstStream(probe, type) {
+	return ((probe && probe.streams) || []).find((s) => s.codec_type === type) || null;
+}
+
+// Duration in seconds from probe data (format first, then the video stream), or null.
+function probeDuration(probe) {
+	const candidates = [
+		probe && probe.format && probe.format.duration,
+		(firstStream(probe, 'video') || {}).duration,
+	];
+	for (const c of candidates) {
+		const n = parseFloat(c);
+		if (isFinite(n) && n > 0) return n;
+	}
+	return null;
+}
+
+// Decide how to turn an upload into a web-playable MP4. Each stream is either copied
+// (already web-safe) or re-encoded to H.264/AAC. Returns
+//   { video: 'copy'|'encode'|null, audio: 'copy'|'encode'|null, needed, mode }
+// where `needed` is false when the file is already a web-safe MP4 and can be served
+// as-is, and `mode` is 'remux' (copy only) or 'encode' (at least one stream re-encoded).
+function planTranscode(probe, ext) {
+	const v = firstStream(probe, 'video');
+	const a = firstStream(probe, 'audio');
+	const plan = { video: null, audio: null };
+	if (v) plan.video = (WEB_SAFE_VIDEO.has(v.codec_name) && WEB_SAFE_PIX_FMT.has(v.pix_fmt)) ? 'copy' : 'encode';
+	if (a) plan.audio = WEB_SAFE_AUDIO.has(a.codec_name) ? 'copy' : 'encode';
+	const anyEncode = plan.video === 'encode' || plan.audio === 'encode';
+	plan.needed = anyEncode || String(ext || '').toLowerCase() !== '.mp4';
+	plan.mode = anyEncode ? 'encode' : 'remux';
+	return plan;
+}
+
+// ffmpeg output options for a plan. Only the first video and audio stream are mapped so
+// subtitle/attachment streams from MKV don't break the MP4 muxer.
+function outputOptionsFor(plan) {
+	const opts = ['-y', '-map 0:v:0?', '-map 0:a:0?'];
+	if (plan.video === 'encode') {
+		opts.push(
+			'-c:v libx264',
+			`-preset ${process.env.FFMPEG_PRESET || 'veryfast'}`,
+			`-crf ${process.env.FFMPEG_CRF || 23}`,
+			'-pix_fmt yuv420p',
+			'-profile:v high'
+		);
+	} else {
+		opts.push('-c:v copy');
+	}
+	if (plan.audio === 'encode') {
+		opts.push('-c:a aac', '-b:a 160k', '-ac 2');
+	} else {
+		opts.push('-c:a copy');
+	}
+	opts.push('-movflags +faststart');
+	return opts;
+}
+
+// Parse an ffmpeg timemark ("HH:MM:SS.ms") to seconds. Returns null if unparseable.
+function timemarkToSeconds(mark) {
+	if (typeof mark === 'number') return mark;
+	const m = /^(-?\d+):(\d+):(\d+(?:\.\d+)?)$/.exec(String(mark || '').trim());
+	if (!m) return null;
+	return (parseInt(m[1], 10) * 3600) + (parseInt(m[2], 10) * 60) + parseFloat(m[3]);
+}
+
+// Frame rate of the first video stream (from "30000/1001"-style rationals), or null.
+function probeFps(probe) {
+	const v = firstStream(probe, 'video');
+	const rate = v && (v.avg_frame_rate && v.avg_frame_rate !== '0/0' ? v.avg_frame_rate : v.r_frame_rate);
+	if (!rate) return null;
+	const [num, den] = String(rate).split('/').map(Number);
+	const fps = den ? num / den : num;
+	return isFinite(fps) && fps > 0 ? Math.round(fps * 100) / 100 : null;
+}
+
+// Display size of the first video stream ({ width, height }), honouring 90/270 degree
+// rotation metadata from phone recordings. Returns null if there is no video stream.
+function probeDimensions(probe) {
+	const v = firstStream(probe, 'video');
+	if (!v || !v.width || !v.height) return null;
+	let rotation = parseInt((v.tags && v.tags.rotate) || 0, 10) || 0;
+	for (const sd of v.side_data_list || []) {
+		if (typeof sd.rotation === 'number') rotation = sd.rotation;
+	}
+	if (Math.abs(rotation) % 180 === 90) return { width: v.height, height: v.width };
+	return { width: v.width, height: v.height };
+}
+
+// The probe metadata kept on a video record and returned from /info/:id.
+function probeSummary(probe) {
+	const v = firstStream(probe, 'video');
+	const a = firstStream(probe, 'audio');
+	const dims = probeDimensions(probe);
+	const bitrate = parseInt(probe && probe.format && probe.format.bit_rate, 10);
+	return {
+		container: (probe && probe.format && probe.format.format_name) || null,
+		duration: probeDuration(probe),
+		width: dims ? dims.width : null,
+		height: dims ? dims.height : null,
+		videoCodec: v ? v.codec_name : null,
+		audioCodec: a ? a.codec_name : null,
+		bitrate: isFinite(bitrate) && bitrate > 0 ? bitrate : null,
+		fps: probeFps(probe),
+	};
+}
+
+// Grab a single JPEG frame to use as a poster/thumbnail. Seeks 10% into the video
+// (capped at 5s) so the frame isn't a black fade-in, and scales down to 1280px wide.
+function extractPoster(inputPath, outputPath, duration) {
+	const at = duration ? Math.min(duration * 0.1, 5) : 0;
+	return new Promise((resolve, reject) => {
+		ffmpeg(inputPath)
+			.seekInput(at)
+			.outputOptions(['-y', '-frames:v 1', '-vf', "scale='min(1280,iw)':-2", '-q:v 3'])
+			.on('error', (err) => {
+				try { fs.unlinkSync(outputPath); } catch (e) {}
+				reject(new Error(err.message || String(err)));
+			})
+			.on('end', () => resolve(outputPath))
+			.save(outputPath);
+	});
+}
+
+const MiB = 1024 * 1024;
+
+// Discord's attachment limits (free / Nitro Basic / Nitro), usable as size budgets.
+const SIZE_PRESETS = { '10mb': 10 * MiB, '50mb': 50 * MiB, '500mb': 500 * MiB };
+
+// Parse a size budget: a preset name ('10mb'), a size with unit ('25mb', '8m', '1.5gb')
+// or a plain byte count. Returns { name, bytes } or null if unparseable.
+function parseSizeBudget(value) {
+	const v = String(value == null ? '' : value).trim().toLowerCase();
+	if (!v) return null;
+	if (SIZE_PRESETS[v]) return { name: v, bytes: SIZE_PRESETS[v] };
+	const m = /^(\d+(?:\.\d+)?)\s*(b|k|kb|m|mb|g|gb)?$/.exec(v);
+	if (!m) return null;
+	const mult = { b: 1, k: 1024, kb: 1024, m: MiB, mb: MiB, g: 1024 * MiB, gb: 1024 * MiB }[m[2] || 'b'];
+	const bytes = Math.floor(parseFloat(m[1]) * mult);
+	if (!bytes) return null;
+	const mb = bytes / MiB;
+	return { name: (mb >= 1 && Number.isInteger(mb)) ? `${mb}mb` : `${bytes}b`, bytes };
+}
+
+// Work out bitrates and ffmpeg options for a two-pass encode that lands under
+// `targetBytes`. Keeps ~4% headroom for container overhead and VBV overshoot. Throws a
+// `permanent` error when the budget is too small to produce a watchable video.
+function compressionOptions({ duration, targetBytes, hasAudio, maxHeight, maxFps, sourceFps, passlog }) {
+	if (!duration) {
+		const err = new Error('cannot compress: unknown duration');
+		err.permanent = true;
+		throw err;
+	}
+	const totalKbps = Math.floor((targetBytes * 8 * 0.96) / duration / 1000);
+	const audioKbps = hasAudio ? Math.max(32, Math.min(128, Math.floor(totalKbps * 0.1))) : 0;
+	const videoKbps = totalKbps - audioKbps;
+	if (videoKbps < 100) {
+		const err = new Error(`cannot fit ${Math.round(duration)}s of video into ${Math.round(targetBytes / MiB)} MB`);
+		err.permanent = true;
+		throw err;
+	}
+
+	const filters = [];
+	if (maxHeight) filters.push(`scale=-2:'min(${parseInt(maxHeight, 10)},ih)'`);
+	if (maxFps && !(sourceFps && sourceFps <= maxFps)) filters.push(`fps=${parseFloat(maxFps)}`);
+
+	const common = ['-y', '-map 0:v:0', '-c:v libx264', `-preset ${process.env.FFMPEG_PRESET || 'veryfast'}`,
+		`-b:v ${videoKbps}k`, `-maxrate ${Math.floor(videoKbps * 1.5)}k`, `-bufsize ${videoKbps * 2}k`,
+		'-pix_fmt yuv420p', `-passlogfile ${passlog}`];
+	if (filters.length) common.push('-vf', filters.join(','));
+
+	const pass1 = [...common, '-pass 1', '-an', '-f null'];
+	const pass2 = [...common, '-pass 2'];
+	if (hasAudio) pass2.push('-map 0:a:0', '-c:a aac', `-b:a ${audioKbps}k`, '-ac 2');
+	pass2.push('-movflags +faststart');
+	return { videoKbps, audioKbps, pass1, pass2 };
+}
+
+// Where to send output that is only run for its side effects (first encoding pass).
+const NULL_OUTPUT = process.platform === 'win32' ? 'NUL' : '/dev/null';
+
+// fluent-ffmpeg only splits "-flag value" strings that contain exactly one space; split
+// them ourselves (at the first space) so values containing spaces pass through intact.
+function toArgs(options) {
+	const out = [];
+	for (const o of options) {
+		const str = String(o);
+		const i = str.indexOf(' ');
+		if (str[0] === '-' && i > 0) out.push(str.slice(0, i), str.slice(i + 1));
+		else out.push(str);
+	}
+	return out;
+}
+
+// Parse a clip timestamp: seconds ("90", "12.5") or "MM:SS" / "HH:MM:SS(.ms)". Returns
+// seconds, or null if unparseable.
+function parseTimestamp(value) {
+	if (typeof value === 'number') return isFinite(value) && value >= 0 ? value : null;
+	const v = String(value == null ? '' : value).trim();
+	if (/^\d+(?:\.\d+)?$/.test(v)) return parseFloat(v);
+	const m = /^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/.exec(v);
+	if (!m) return null;
+	return (parseInt(m[1] || '0', 10) * 3600) + (parseInt(m[2], 10) * 60) + parseFloat(m[3]);
+}
+
+// Parse a crop rectangle, either "w:h:x:y" (ffmpeg's crop syntax) or
+// { width, height, x, y }. Returns { width, height, x, y } or null.
+function parseCrop(value) {
+	if (!value) return null;
+	let parts;
+	if (typeof value === 'object') parts = [value.width, value.height, value.x || 0, value.y || 0];
+	else parts = String(value).split(':');
+	if (parts.length !== 4) return null;
+	const [width, height, x, y] = parts.map((n) => parseInt(n, 10));
+	if (![width, height, x, y].every((n) => Number.isInteger(n) && n >= 0) || !width || !height) return null;
+	return { width, height, x, y };
+}
+
+// Animated outputs for clips. Both are capped in size and frame rate to stay small.
+const CLIP_FORMATS = {
+	mp4: { ext: '.mp4', mime: 'video/mp4' },
+	gif: { ext: '.gif', mime: 'image/gif' },
+	webp: { ext: '.webp', mime: 'image/webp' },
+};
+
+// ffmpeg input/output options for a clip of the source between `start` and `end`
+// (seconds), optionally cropped (already validated against the source size), muted and
+// rendered as an animated GIF or WebP. Returns { inputOptions, outputOptions, duration }.
+function clipOptions({ start, end, crop, mute, format, hasAudio, maxWidth, fps }) {
+	const duration = end - start;
+	const filters = [];
+	if (crop) {
+		// H.264 wants even dimensions
+		const even = (n) => (format === 'mp4' ? n - (n % 2) : n);
+		filters.push(`crop=${even(crop.width)}:${even(crop.height)}:${crop.x}:${crop.y}`);
+	}
+	const inputOptions = ['-ss', String(start)];
+	const out = ['-y', '-t', String(duration)];
+	if (format === 'mp4') {
+		out.push('-map', '0:v:0');
+		if (filters.length) out.push('-vf', filters.join(','));
+		out.push('-c:v', 'libx264', '-preset', process.env.FFMPEG_PRESET || 'veryfast', '-crf', String(process.env.FFMPEG_CRF || 23), '-pix_fmt', 'yuv420p');
+		if (hasAudio && !mute) out.push('-map', '0:a:0', '-c:a', 'aac', '-b:a', '160k', '-ac', '2');
+		else out.push('-an');
+		out.push('-movflags', '+faststart');
+		return { inputOptions, outputOptions: out, duration };
+	}
+	filters.push(`fps=${fps || 15}`, `scale='min(${maxWidth || 480},iw)':-2:flags=lanczos`);
+	if (format === 'gif') {
+		// a palette generated from the clip itself looks far better than the default one
+		out.push('-filter_complex', `[0:v:0]${filters.join(',')},split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer:bayer_scale=3`);
+	} else {
+		out.push('-map', '0:v:0', '-vf', filters.join(','), '-c:v', 'libwebp', '-quality', '70');
+	}
+	out.push('-loop', '0', '-an');
+	return { inputOptions, outputOptions: out, duration };
+}
+
+// Typical H.264 bitrates (kbps) for each ladder rung; other heights are scaled from 1080p.
+const LADDER_KBPS = { 2160: 14000, 1440: 8000, 1080: 5000, 720: 2800, 480: 1400, 360: 800, 240: 400 };
+
+function ladderKbps(height) {
+	return LADDER_KBPS[height] || Math.max(300, Math.round(5000 * Math.pow(height / 1080, 2)));
+}
+
+// ffmpeg options for an HLS VOD ladder written flat into `outDir`: master.m3u8, one
+// <height>p.m3u8 playlist per rung and <height>p_00000.ts segments. (ffmpeg puts the
+// master playlist next to the variant playlists, so they share one directory.) Rungs taller than the source are dropped (a source shorter
+// than every rung gets a single rung at its own height). Keyframes are forced on
+// segment boundaries so the variants stay switchable.
+function hlsOptions({ sourceHeight, ladder, hasAudio, segmentSeconds, outDir }) {
+	const seg = segmentSeconds || 6;
+	let heights = (ladder || [1080, 720, 480]).filter((h) => !sourceHeight || h <= sourceHeight).sort((a, b) => b - a);
+	if (!heights.length) heights = [Math.max(2, Math.floor((sourceHeight || 480) / 2) * 2)];
+
+	const split = `[0:v]split=${heights.length}${heights.map((_, i) => `[v${i}]`).join('')}`;
+	const scales = heights.map((h, i) => `[v${i}]scale=-2:${h}[v${i}o]`);
+	const args = ['-y', '-filter_complex', [split, ...scales].join(';')];
+	heights.forEach((h, i) => {
+		const kbps = ladderKbps(h);
+		args.push('-map', `[v${i}o]`, `-c:v:${i}`, 'libx264', `-b:v:${i}`, `${kbps}k`,
+			`-maxrate:v:${i}`, `${Math.round(kbps * 1.07)}k`, `-bufsize:v:${i}`, `${Math.round(kbps * 1.5)}k`);
+	});
+	if (hasAudio) {
+		heights.forEach(() => args.push('-map', '0:a:0'));
+		args.push('-c:a', 'aac', '-b:a', '128k', '-ac', '2');
+	}
+	args.push(
+		'-preset', process.env.FFMPEG_PRESET || 'veryfast',
+		'-pix_fmt', 'yuv420p',
+		'-force_key_frames', `expr:gte(t,n_forced*${seg})`,
+		'-sc_threshold', '0',
+		'-f', 'hls',
+		'-hls_time', String(seg),
+		'-hls_playlist_type', 'vod',
+		'-hls_flags', 'independent_segments',
+		'-hls_segment_filename', path.join(outDir, '%v_%05d.ts'),
+		'-master_pl_name', 'master.m3u8',
+		'-var_stream_map', heights.map((h, i) => (hasAudio ? `v:${i},a:${i},name:${h}p` : `v:${i},name:${h}p`)).join(' ')
+	);
+	return { args, variants: heights.map((h) => `${h}p`), output: path.join(outDir, '%v.m3u8') };
+}
+
+// Run one ffmpeg invocation. `hooks` may carry onStart(cmd), onProgress(seconds) and a
+// job queue ctx (cancelling it kills ffmpeg). A null outputPath discards the output.
+function runFfmpeg(inputPath, outputPath, options, hooks = {}) {
+	return new Promise((resolve, reject) => {
+		const proc = ffmpeg(inputPath)
+			.outputOptions(...toArgs(options))
+			.on('start', (cmd) => { if (hooks.onStart) hooks.onStart(cmd); })
+			.on('progress', (p) => {
+				const t = p && timemarkToSeconds(p.timemark);
+				if (hooks.onProgress && t !== null && t !== undefined) hooks.onProgress(t);
+			})
+			.on('error', (err) => reject(new Error(err.message || String(err))))
+			.on('end', () => resolve(outputPath));
+		if (hooks.ctx) hooks.ctx.onCancel(() => { try { proc.kill('SIGKILL'); } catch (e) {} });
+		proc.save(outputPath || NULL_OUTPUT);
+	});
+}
+
+module.exports = {
+	probeMedia, probeDuration, probeDimensions, probeFps, probeSummary, planTranscode, outputOptionsFor, timemarkToSeconds, firstStream, extractPoster,
+	SIZE_PRESETS, parseSizeBudget, compressionOptions, hlsOptions, runFfmpeg, parseTimestamp, parseCrop, CLIP_FORMATS, clipOptions,
+};
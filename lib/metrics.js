@@ -0,0 +1,129 @@
+// A small Prometheus registry: counters, gauges and histograms with labels, rendered in
+// the text exposition format (0.0.4) for GET /metrics. A gauge can have a `collect`
+// function, called just before each scrape to set its values, for things that are easier
+// to read when asked than to keep track of (queue depth, open sockets, storage usage).
+//
+//   const metrics = createMetrics({ prefix: 'app_' });
+//   const uploads = metrics.counter('uploads_total', 'Uploads accepted', ['source']);
+//   uploads.inc({ source: 'form' });
+//   metrics.gauge('queue_depth', 'Jobs waiting', [], { collect: (g) => g.set(queue.length) });
+//   res.type(metrics.contentType).send(metrics.render());
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+	return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(text) {
+	return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(n) {
+	if (n === Infinity) return '+Inf';
+	if (n === -Infinity) return '-Inf';
+	return Number.isNaN(n) ? 'NaN' : String(n);
+}
+
+function formatLabels(names, values, extra) {
+	const pairs = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+	if (extra) pairs.push(extra);
+	return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function createMetrics({ prefix = '' } = {}) {
+	const metrics = [];
+
+	function define(type, name, help, labelNames = [], opts = {}) {
+		const fullName = prefix + name;
+		if (metrics.some((m) => m.name === fullName)) throw new Error(`metric ${fullName} is already defined`);
+		const series = new Map(); // JSON of label values -> { values, value | buckets/sum/count }
+		const metric = { type, name: fullName, help, labelNames, series, collect: opts.collect, buckets: opts.buckets };
+		metrics.push(metric);
+
+		function entry(labels = {}) {
+			const values = labelNames.map((n) => (labels[n] === undefined || labels[n] === null ? '' : String(labels[n])));
+			const key = JSON.stringify(values);
+			let e = series.get(key);
+			if (!e) {
+				e = type === 'histogram' ? { values, counts: metric.buckets.map(() => 0), sum: 0, count: 0 } : { values, value: 0 };
+				series.set(key, e);
+			}
+			return e;
+		}
+
+		// (labels, n) or just (n) for metrics without labels
+		const args = (a, b, fallback) => (typeof a === 'number' ? [undefined, a] : [a, b === undefined ? fallback : b]);
+
+		if (type === 'counter') {
+			metric.api = {
+				inc(a, b) {
+					const [labels, n] = args(a, b, 1);
+					if (n > 0) entry(labels).value += n;
+				},
+			};
+		} else if (type === 'gauge') {
+			metric.api = {
+				set(a, b) {
+					const [labels, n] = args(a, b, 0);
+					entry(labels).value = n;
+				},
+				inc(a, b) {
+					const [labels, n] = args(a, b, 1);
+					entry(labels).value += n;
+				},
+			};
+		} else {
+			metric.api = {
+				observe(a, b) {
+					const [labels, n] = args(a, b, 0);
+					const e = entry(labels);
+					metric.buckets.forEach((le, i) => { if (n <= le) e.counts[i]++; });
+					e.sum += n;
+					e.count++;
+				},
+			};
+		}
+		// metrics without labels are reported (as 0) before anything happens
+		if (!labelNames.length && !opts.collect) entry();
+		return metric.api;
+	}
+
+	return {
+		contentType: CONTENT_TYPE,
+
+		counter: (name, help, labelNames) => define('counter', name, help, labelNames),
+
+		gauge: (name, help, labelNames, opts) => define('gauge', name, help, labelNames, opts),
+
+		histogram(name, help, labelNames, buckets = [0.1, 0.5, 1, 5, 10, 30, 60, 300]) {
+			return define('histogram', name, help, labelNames, { buckets: [...buckets].sort((a, b) => a - b) });
+		},
+
+		// Every metric in the exposition format. A gauge whose collect() throws is left out
+		// of this scrape rather than failing all of it.
+		render() {
+			const lines = [];
+			for (const m of metrics) {
+				if (m.collect) {
+					m.series.clear();
+					try { m.collect(m.api); } catch (e) { m.series.clear(); continue; }
+				}
+				lines.push(`# HELP ${m.name} ${escapeHelp(m.help)}`, `# TYPE ${m.name} ${m.type}`);
+				for (const e of m.series.values()) {
+					if (m.type !== 'histogram') {
+						lines.push(`${m.name}${formatLabels(m.labelNames, e.values)} ${formatValue(e.value)}`);
+						continue;
+					}
+					m.buckets.forEach((le, i) => lines.push(`${m.name}_bucket${formatLabels(m.labelNames, e.values, `le="${formatValue(le)}"`)} ${e.counts[i]}`));
+					lines.push(`${m.name}_bucket${formatLabels(m.labelNames, e.values, 'le="+Inf"')} ${e.count}`);
+					lines.push(`${m.name}_sum${formatLabels(m.labelNames, e.values)} ${formatValue(e.sum)}`);
+					lines.push(`${m.name}_count${formatLabels(m.labelNames, e.values)} ${e.count}`);
+				}
+			}
+			return `${lines.join('\n')}\n`;
+		},
+	};
+}
+
+module.exports = { createMetrics };
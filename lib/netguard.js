@@ -0,0 +1,46 @@
+const dns = require('dns');
+const net = require('net');
+
+// Protection for requests the server makes to URLs users hand it (SSRF): such requests must
+// never reach loopback, private, link-local or otherwise non-public addresses.
+
+const blocked = new net.BlockList();
+for (const [address, prefix] of [
+	['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+	['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+	['224.0.0.0', 4], ['240.0.0.0', 4],
+]) blocked.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [
+	['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) blocked.addSubnet(address, prefix, 'ipv6');
+
+function isPrivateAddress(ip) {
+	const addr = String(ip || '');
+	// IPv4-mapped IPv6 (::ffff:10.0.0.1) is the IPv4 address
+	const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(addr);
+	if (mapped) return blocked.check(mapped[1], 'ipv4');
+	if (net.isIPv4(addr)) return blocked.check(addr, 'ipv4');
+	if (net.isIPv6(addr)) return blocked.check(addr, 'ipv6');
+	return true;
+}
+
+function blockedError(hostname) {
+	const err = new Error(`${hostname} is not a public address`);
+	err.code = 'EBLOCKED';
+	return err;
+}
+
+// Drop-in for dns.lookup as the `lookup` option of http(s).request: fails when the name
+// resolves to a non-public address, so the check covers the address actually connected to.
+// (Hosts given as IP literals skip lookup; check them with isPrivateAddress first.)
+function publicLookup(hostname, options, callback) {
+	if (typeof options === 'function') { callback = options; options = {}; }
+	dns.lookup(hostname, options, (err, address, family) => {
+		if (err) return callback(err);
+		const list = Array.isArray(address) ? address : [{ address, family }];
+		if (!list.length || list.some((a) => isPrivateAddress(a.address))) return callback(blockedError(hostname));
+		callback(null, address, family);
+	});
+}
+
+module.exports = { isPrivateAddress, publicLookup, blockedError };
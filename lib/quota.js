@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage accounting for upload size limits, quotas and the free-disk floor.
+
+const UNITS = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3, t: 1024 ** 4, tb: 1024 ** 4 };
+
+// Parse a size like "500mb", "2g", "1.5 GB" or a plain byte count. Returns bytes, null
+// for "none"/"0"/empty (no limit), or undefined if the value can't be parsed.
+function parseBytes(value) {
+	const v = String(value == null ? '' : value).trim().toLowerCase();
+	if (!v || v === '0' || v === 'none' || v === 'unlimited') return null;
+	const m = /^(\d+(?:\.\d+)?)\s*(b|kb?|mb?|gb?|tb?)?$/.exec(v);
+	if (!m) return undefined;
+	return Math.round(parseFloat(m[1]) * UNITS[m[2] || 'b']);
+}
+
+function formatBytes(n) {
+	if (n == null) return 'unlimited';
+	const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+	let i = 0;
+	let v = n;
+	while (v >= 1024 && i < units.length - 1) { v /= 1024; i++; }
+	return `${i ? v.toFixed(1) : v} ${units[i]}`;
+}
+
+// Total size of everything under `p` (a file or a directory).
+function diskUsage(p) {
+	let st;
+	try { st = fs.statSync(p); } catch (e) { return 0; }
+	if (!st.isDirectory()) return st.size;
+	let total = 0;
+	let entries = [];
+	try { entries = fs.readdirSync(p); } catch (e) { return 0; }
+	for (const name of entries) total += diskUsage(path.join(p, name));
+	return total;
+}
+
+// Bytes available to this process on the filesystem holding `dir`, or null when the
+// platform can't tell us (fs.statfsSync needs Node 18.15+).
+function freeDiskBytes(dir) {
+	if (typeof fs.statfsSync !== 'function') return null;
+	try {
+		const st = fs.statfsSync(dir);
+		return Number(st.bavail) * Number(st.bsize);
+	} catch (e) {
+		return null;
+	}
+}
+
+// Everything a video occupies in uploads/: the file itself, its poster, renditions and HLS output.
+function videoDiskUsage(video, uploadsDir) {
+	if (!video || video.removed) return 0;
+	const names = [video.filename, video.poster];
+	for (const r of Object.values(video.renditions || {})) names.push(r.filename);
+	if (video.hls) names.push(video.hls.dir);
+	return names.filter(Boolean).reduce((sum, name) => sum + diskUsage(path.join(uploadsDir, name)), 0);
+}
+
+// The same from the sizes recorded on the video, for storage that can't be measured on
+// the spot (an S3 bucket).
+function videoStoredBytes(video) {
+	if (!video || video.removed) return 0;
+	let total = (video.size || 0) + (video.posterSize || 0) + ((video.hls && video.hls.size) || 0);
+	for (const r of Object.values(video.renditions || {})) total += r.size || 0;
+	return total;
+}
+
+module.exports = { parseBytes, formatBytes, diskUsage, freeDiskBytes, videoDiskUsage, videoStoredBytes };
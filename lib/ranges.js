@@ -0,0 +1,100 @@
+// HTTP range and conditional request handling (RFC 7232/7233) for serving stored files.
+
+const MAX_RANGES = 32; // more than this in one request is ignored (the whole file is sent)
+
+// Parse a Range header against a representation of `size` bytes. Returns null when the
+// header is absent, malformed or not in bytes (the caller sends the whole file), an empty
+// array when no range can be satisfied (416), or the satisfiable ranges as { start, end }
+// (inclusive), sorted with overlapping and adjacent ones merged.
+function parseRange(header, size) {
+	if (!header) return null;
+	const m = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+	if (!m) return null;
+	const specs = m[1].split(',').map((s) => s.trim()).filter(Boolean);
+	if (!specs.length || specs.length > MAX_RANGES) return null;
+	const ranges = [];
+	for (const spec of specs) {
+		const r = /^(\d*)-(\d*)$/.exec(spec);
+		if (!r || (r[1] === '' && r[2] === '')) return null;
+		let start;
+		let end;
+		if (r[1] === '') {
+			// suffix range: the last N bytes
+			const n = parseInt(r[2], 10);
+			if (n === 0) continue;
+			start = Math.max(0, size - n);
+			end = size - 1;
+		} else {
+			start = parseInt(r[1], 10);
+			end = r[2] === '' ? Infinity : parseInt(r[2], 10);
+			if (end < start) return null;
+			end = Math.min(end, size - 1);
+		}
+		if (start >= size) continue; // unsatisfiable on its own; others may still be fine
+		ranges.push({ start, end });
+	}
+	ranges.sort((a, b) => a.start - b.start);
+	const merged = [];
+	for (const r of ranges) {
+		const last = merged[merged.length - 1];
+		if (last && r.start <= last.end + 1) last.end = Math.max(last.end, r.end);
+		else merged.push({ ...r });
+	}
+	return merged;
+}
+
+// Strong validator for a file: changes whenever the file is replaced or rewritten. Without
+// an inode (an object in a bucket that came without an ETag) only size and mtime go in.
+function etagFor(stat) {
+	const parts = [stat.size.toString(16), Math.floor(stat.mtimeMs).toString(16)];
+	if (stat.ino) parts.unshift(stat.ino.toString(16));
+	return `"${parts.join('-')}"`;
+}
+
+function parseHttpDate(value) {
+	const t = Date.parse(value || '');
+	return isNaN(t) ? null : t;
+}
+
+// Entity tags in an If-Match / If-None-Match list. `weak` compares ignoring W/ prefixes.
+function etagListMatches(header, etag, weak) {
+	if (header.trim() === '*') return true;
+	const bare = (t) => t.replace(/^W\//, '');
+	return header.split(',').map((t) => t.trim()).some((t) => {
+		if (weak) return bare(t) === bare(etag);
+		return !t.startsWith('W/') && t === etag;
+	});
+}
+
+// Evaluate the conditional headers of a GET/HEAD in RFC 7232 order. Returns 412
+// (precondition failed), 304 (not modified) or 200 (carry on). `lastModified` is in ms.
+function checkConditions(req, etag, lastModified) {
+	const h = req.headers;
+	const modifiedSec = Math.floor(lastModified / 1000);
+	if (h['if-match']) {
+		if (!etagListMatches(h['if-match'], etag, false)) return 412;
+	} else if (h['if-unmodified-since']) {
+		const since = parseHttpDate(h['if-unmodified-since']);
+		if (since !== null && modifiedSec > Math.floor(since / 1000)) return 412;
+	}
+	if (h['if-none-match']) {
+		if (etagListMatches(h['if-none-match'], etag, true)) return 304;
+	} else if (h['if-modified-since']) {
+		const since = parseHttpDate(h['if-modified-since']);
+		if (since !== null && modifiedSec <= Math.floor(since / 1000)) return 304;
+	}
+	return 200;
+}
+
+// Whether a Range request may be honoured given its If-Range header: the validator has to
+// be our current (strong) ETag or exactly our Last-Modified date.
+function ifRangeMatches(req, etag, lastModified) {
+	const v = req.headers['if-range'];
+	if (!v) return true;
+	const value = v.trim();
+	if (value.startsWith('"') || value.startsWith('W/')) return value === etag;
+	const date = parseHttpDate(value);
+	return date !== null && Math.floor(date / 1000) === Math.floor(lastModified / 1000);
+}
+
+module.exports = { parseRange, etagFor, checkConditions, ifRangeMatches };
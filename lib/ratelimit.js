@@ -0,0 +1,65 @@
+// Token-bucket rate limits. Every key (an IP address or a user) has a bucket holding up to
+// `capacity` tokens that refills continuously at `capacity` per `windowMs`. A request costs
+// some tokens (one per request, or its size in bytes) and is refused while the bucket is
+// short, with the time until it will have enough.
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000 };
+
+// Parse a limit like "30/h", "100/10m" or (with parseBytes as `parseAmount`) "5gb/h".
+// Returns { capacity, windowMs }, null for "off"/"0", or undefined if it can't be parsed.
+function parseRate(value, parseAmount) {
+	const v = String(value == null ? '' : value).trim().toLowerCase();
+	if (!v || v === 'off' || v === 'none' || v === '0') return null;
+	const m = /^(.+?)\s*\/\s*(\d+(?:\.\d+)?)?\s*([smhd])$/.exec(v);
+	if (!m) return undefined;
+	const capacity = parseAmount ? parseAmount(m[1]) : Number(m[1]);
+	const windowMs = (m[2] ? parseFloat(m[2]) : 1) * UNITS[m[3]];
+	if (!(capacity > 0) || !(windowMs > 0)) return undefined;
+	return { capacity, windowMs };
+}
+
+function createLimiter({ capacity, windowMs, maxKeys = 100000 }) {
+	const perMs = capacity / windowMs;
+	const buckets = new Map(); // key -> { tokens, at }; least recently used first
+
+	function bucket(key, now) {
+		let b = buckets.get(key);
+		if (b) {
+			b.tokens = Math.min(capacity, b.tokens + (now - b.at) * perMs);
+			b.at = now;
+			buckets.delete(key);
+		} else {
+			b = { tokens: capacity, at: now };
+			if (buckets.size >= maxKeys) buckets.delete(buckets.keys().next().value);
+		}
+		buckets.set(key, b);
+		return b;
+	}
+
+	// Whether `cost` tokens are available now. Returns { ok, retryAfterMs }, plus
+	// tooLarge when the cost is more than the bucket ever holds.
+	function check(key, cost = 1) {
+		if (cost > capacity) return { ok: false, tooLarge: true, retryAfterMs: windowMs };
+		const b = bucket(key, Date.now());
+		if (b.tokens >= cost) return { ok: true, retryAfterMs: 0 };
+		return { ok: false, retryAfterMs: Math.ceil((cost - b.tokens) / perMs) };
+	}
+
+	return {
+		capacity,
+		check,
+		// Take `cost` tokens if they're available (see check)
+		take(key, cost = 1) {
+			const r = check(key, cost);
+			if (r.ok) buckets.get(key).tokens -= cost;
+			return r;
+		},
+		// Take `cost` tokens regardless, for costs only known afterwards (bytes received);
+		// the bucket may go into debt, which later requests wait out.
+		charge(key, cost) {
+			if (cost > 0) bucket(key, Date.now()).tokens -= cost;
+		},
+	};
+}
+
+module.exports = { parseRate, createLimiter };
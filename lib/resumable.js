@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Resumable upload sessions (modelled on tus). A client creates a session for a file of
+// known size, appends chunks at explicit offsets and, once every byte is there, hands the
+// file over for the normal upload processing. The current offset is always the size of
+// the data file on disk, so a chunk cut off half-way simply resumes from whatever made it.
+//
+// Each session is two files in `dir`: <id>.upload (the bytes so far) and <id>.upload.json
+// (size, original name, upload fields, owner). Sessions with no activity for `ttlMs` are
+// removed by sweep().
+
+const SESSION_ID_RE = /^[0-9a-f]{32}$/;
+
+function httpError(status, message, extra) {
+	const err = new Error(message);
+	err.status = status;
+	Object.assign(err, extra || {});
+	return err;
+}
+
+function createUploadSessions({ dir, ttlMs }) {
+	const idleTtl = ttlMs || 24 * 3600 * 1000;
+	const busy = new Set(); // sessions with a chunk being written right now
+
+	function dataPath(id) { return path.join(dir, `${id}.upload`); }
+	function metaPath(id) { return path.join(dir, `${id}.upload.json`); }
+
+	function create({ size, originalName, fields, owner }) {
+		const id = crypto.randomBytes(16).toString('hex');
+		const session = { id, size, originalName, fields: fields || {}, owner: owner || null, createdAt: Date.now() };
+		fs.writeFileSync(dataPath(id), '');
+		fs.writeFileSync(metaPath(id), JSON.stringify(session), 'utf8');
+		return { ...session, offset: 0, expiresAt: Date.now() + idleTtl };
+	}
+
+	// The session plus its current offset, or null if it doesn't exist (or has been swept).
+	function get(id) {
+		if (!SESSION_ID_RE.test(String(id || ''))) return null;
+		let session;
+		let st;
+		try {
+			session = JSON.parse(fs.readFileSync(metaPath(id), 'utf8'));
+			st = fs.statSync(dataPath(id));
+		} catch (e) {
+			return null;
+		}
+		return { ...session, offset: st.size, expiresAt: st.mtimeMs + idleTtl };
+	}
+
+	// Append the bytes of `input` (a readable stream) at `offset`. Resolves with the new
+	// offset; rejects with err.status 404 (no such session), 409 (offset is not the current
+	// one; err.offset says where to resume), 423 (another chunk is still being written) or
+	// 413 (the chunk goes past the declared size - the part that fits is kept).
+	function append(id, offset, input) {
+		return new Promise((resolve, reject) => {
+			const session = get(id);
+			if (!session) return reject(httpError(404, 'upload not found'));
+			if (busy.has(id)) return reject(httpError(423, 'another chunk for this upload is still being written'));
+			if (offset !== session.offset) return reject(httpError(409, 'offset does not match the upload', { offset: session.offset }));
+			busy.add(id);
+
+			const out = fs.createWriteStream(dataPath(id), { flags: 'a' });
+			let written = session.offset;
+			let failed = null;
+			let ended = false;
+			const finish = () => { if (!ended) { ended = true; out.end(); } };
+
+			input.on('data', (chunk) => {
+				if (failed) return;
+				const room = session.size - written;
+				if (chunk.length > room) {
+					failed = httpError(413, 'chunk goes past the declared upload size');
+					chunk = chunk.subarray(0, room);
+				}
+				written += chunk.length;
+				if (!out.write(chunk)) {
+					input.pause();
+					out.once('drain', () => input.resume());
+				}
+			});
+			// 'close' also covers clients that drop the connection mid-chunk
+			input.on('end', finish);
+			input.on('close', finish);
+			input.on('error', finish);
+			out.on('error', (err) => { failed = failed || err; finish(); });
+			out.on('close', () => {
+				busy.delete(id);
+				const now = get(id);
+				if (failed) {
+					failed.offset = now ? now.offset : null;
+					return reject(failed);
+				}
+				resolve(now ? now.offset : written);
+			});
+		});
+	}
+
+	// Detach a complete session for processing: the metadata is deleted and the caller
+	// owns the data file (returned as `path`) from here on.
+	function take(id) {
+		const session = get(id);
+		if (!session) throw httpError(404, 'upload not found');
+		if (busy.has(id)) throw httpError(423, 'a chunk for this upload is still being written');
+		if (session.offset < session.size) throw httpError(409, 'upload is incomplete', { offset: session.offset });
+		try { fs.unlinkSync(metaPath(id)); } catch (e) {}
+		return { ...session, path: dataPath(id) };
+	}
+
+	function remove(id) {
+		if (!get(id) || busy.has(id)) return false;
+		try { fs.unlinkSync(metaPath(id)); } catch (e) {}
+		try { fs.unlinkSync(dataPath(id)); } catch (e) {}
+		return true;
+	}
+
+	// Delete sessions that have been idle for longer than the TTL, plus data files whose
+	// metadata is gone. Returns the number of sessions removed.
+	function sweep(now = Date.now()) {
+		let n = 0;
+		let entries = [];
+		try { entries = fs.readdirSync(dir); } catch (e) { return 0; }
+		for (const name of entries) {
+			const m = /^([0-9a-f]{32})\.upload$/.exec(name);
+			if (!m || busy.has(m[1])) continue;
+			const session = get(m[1]);
+			let stale = false;
+			if (session) stale = session.expiresAt < now;
+			else {
+				// a finalize may have just taken it; only clean up orphans once they're old
+				try { stale = now - fs.statSync(path.join(dir, name)).mtimeMs > idleTtl; } catch (e) {}
+			}
+			if (!stale) continue;
+			try { fs.unlinkSync(metaPath(m[1])); } catch (e) {}
+			try { fs.unlinkSync(path.join(dir, name)); } catch (e) {}
+			n++;
+		}
+		return n;
+	}
+
+	return { create, get, append, take, remove, sweep };
+}
+
+module.exports = { createUploadSessions };
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+// Short link slugs: the random ids given to every upload and custom ("vanity") ones users
+// pick. Both live in the same namespace on the short domain (https://<domain>/<slug>).
+
+const SLUG_RE = /^[A-Za-z0-9_-]{4,64}$/;
+
+// Paths the app serves itself (or might one day), which a slug must never shadow. Checked
+// case-insensitively.
+const RESERVED_SLUGS = new Set([
+	'admin', 'api', 'clip', 'clips', 'collections', 'domains', 'embed', 'gallery', 'health', 'healthz', 'hls', 'info',
+	'invalid', 'login', 'logout', 'me', 'metrics', 'player', 'playlist', 'post-webhook', 'poster', 'public', 'readyz',
+	's', 'static', 'stats', 'transcode-status', 'upload', 'uploads', 'v', 'vendor', 'video', 'videos', 'webhook',
+	'webhooks', 'www',
+]);
+
+// Why `slug` can't be used, or null if it's fine.
+function slugError(slug) {
+	if (typeof slug !== 'string' || !SLUG_RE.test(slug)) return 'slug must be 4-64 characters of A-Z, a-z, 0-9, _ and -';
+	if (RESERVED_SLUGS.has(slug.toLowerCase())) return `"${slug}" is reserved`;
+	return null;
+}
+
+// Random base62 id
+function generateShortId(len = 7) {
+	const alphabet = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+	const bytes = crypto.randomBytes(len);
+	let out = '';
+	for (let i = 0; i < bytes.length; i++) {
+		out += alphabet[bytes[i] % alphabet.length];
+	}
+	return out;
+}
+
+module.exports = { SLUG_RE, RESERVED_SLUGS, slugError, generateShortId };
@@ -0,0 +1,97 @@
+const fs = require('fs');
+
+// Container detection from the first bytes of a file, so uploads aren't trusted by their
+// filename. Returns { container, ext, mime } or null for anything that isn't a known
+// video container (HTML, executables, images, ...).
+
+const HEAD_BYTES = 4096;
+
+// ISO BMFF top-level boxes a file can start with (MP4/MOV normally begin with ftyp)
+const BMFF_BOXES = new Set(['ftyp', 'moov', 'mdat', 'free', 'skip', 'wide', 'pnot']);
+
+function readHead(filePath) {
+	const fd = fs.openSync(filePath, 'r');
+	try {
+		const buf = Buffer.alloc(HEAD_BYTES);
+		const n = fs.readSync(fd, buf, 0, HEAD_BYTES, 0);
+		return buf.subarray(0, n);
+	} finally {
+		fs.closeSync(fd);
+	}
+}
+
+function sniffBuffer(buf) {
+	if (!buf || buf.length < 12) return null;
+	const ascii = (start, end) => buf.toString('latin1', start, end);
+
+	if (BMFF_BOXES.has(ascii(4, 8))) {
+		const brand = ascii(4, 8) === 'ftyp' ? ascii(8, 12) : '';
+		if (brand === 'qt  ') return { container: 'mov', ext: '.mov', mime: 'video/quicktime' };
+		if (brand.startsWith('3g')) return { container: '3gp', ext: '.3gp', mime: 'video/3gpp' };
+		if (brand === 'M4A ' || brand === 'M4B ') return null; // audio-only MP4
+		return { container: 'mp4', ext: '.mp4', mime: 'video/mp4' };
+	}
+	// EBML header; the DocType tells WebM from Matroska
+	if (buf[0] === 0x1a && buf[1] === 0x45 && buf[2] === 0xdf && buf[3] === 0xa3) {
+		return buf.includes('webm', 0, 'latin1')
+			? { container: 'webm', ext: '.webm', mime: 'video/webm' }
+			: { container: 'matroska', ext: '.mkv', mime: 'video/x-matroska' };
+	}
+	if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'AVI ') return { container: 'avi', ext: '.avi', mime: 'video/x-msvideo' };
+	if (ascii(0, 3) === 'FLV') return { container: 'flv', ext: '.flv', mime: 'video/x-flv' };
+	if (ascii(0, 4) === 'OggS') return { container: 'ogg', ext: '.ogv', mime: 'video/ogg' };
+	// ASF (WMV) header GUID
+	if (buf.subarray(0, 8).equals(Buffer.from([0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11]))) {
+		return { container: 'asf', ext: '.wmv', mime: 'video/x-ms-wmv' };
+	}
+	// MPEG program stream pack header
+	if (buf[0] === 0x00 && buf[1] === 0x00 && buf[2] === 0x01 && buf[3] === 0xba) return { container: 'mpeg', ext: '.mpg', mime: 'video/mpeg' };
+	// MPEG transport stream: sync byte every 188 bytes (192 for M2TS with timestamps)
+	for (const [size, offset] of [[188, 0], [192, 4]]) {
+		if (buf.length >= size * 2 + offset + 1 && buf[offset] === 0x47 && buf[offset + size] === 0x47 && buf[offset + size * 2] === 0x47) {
+			return { container: 'mpegts', ext: '.ts', mime: 'video/mp2t' };
+		}
+	}
+	return null;
+}
+
+function sniffContainer(filePath) {
+	try {
+		return sniffBuffer(readHead(filePath));
+	} catch (e) {
+		return null;
+	}
+}
+
+// ffprobe format names (format.format_name) -> MIME type. MP4/MOV and Matroska/WebM share
+// a format name and are handled in mimeFromProbe.
+const FORMAT_MIME = [
+	[/^avi$/, 'video/x-msvideo'],
+	[/^flv$/, 'video/x-flv'],
+	[/^asf$/, 'video/x-ms-wmv'],
+	[/^mpegts$/, 'video/mp2t'],
+	[/^mpeg$/, 'video/mpeg'],
+	[/^ogg$/, 'video/ogg'],
+];
+
+const WEBM_VIDEO = new Set(['vp8', 'vp9', 'av1']);
+const WEBM_AUDIO = new Set(['opus', 'vorbis']);
+
+// MIME type for a probed file. `sniffed` (from sniffContainer) breaks ties the format
+// name can't, e.g. MP4 vs. MOV; Matroska files are WebM only if every stream is WebM-legal.
+function mimeFromProbe(probe, sniffed) {
+	const formatName = String((probe && probe.format && probe.format.format_name) || '');
+	const streams = (probe && probe.streams) || [];
+	if (/matroska/.test(formatName)) {
+		const webm = streams.every((s) => (s.codec_type === 'video' ? WEBM_VIDEO.has(s.codec_name) : s.codec_type !== 'audio' || WEBM_AUDIO.has(s.codec_name)));
+		return webm ? 'video/webm' : 'video/x-matroska';
+	}
+	if (/^mov,mp4/.test(formatName)) {
+		if (sniffed && (sniffed.container === 'mov' || sniffed.container === '3gp')) return sniffed.mime;
+		return 'video/mp4';
+	}
+	for (const [re, type] of FORMAT_MIME) if (re.test(formatName)) return type;
+	return sniffed ? sniffed.mime : 'application/octet-stream';
+}
+
+module.exports = { sniffContainer, sniffBuffer, mimeFromProbe };
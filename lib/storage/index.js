@@ -0,0 +1,40 @@
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+// Where finished video files live, selected by STORAGE_DRIVER: 'local' (uploads/, the
+// default) or 's3' (any S3-compatible bucket, see s3.js). Every driver offers:
+//   put(key, filePath, { contentType, keep })  store a local file (moved/deleted unless `keep`)
+//   putDir(prefix, dir)      store a directory's files under prefix/ (HLS output)
+//   get(key, { start, end }) readable stream of the object or a byte range of it
+//   stat(key)                { size, mtimeMs, mtime, etag } or null
+//   delete(key), deletePrefix(prefix), list(prefix) -> [{ key, size }]
+//   presign(key, { expiresIn, contentType })  a direct time-limited URL, or null
+//   localPath(key)           the object's file on this machine, or null
+// Keys are the names files have always had in uploads/ (<id>.mp4, <id>.jpg, <id>.hls/...).
+function createStorage(opts = {}) {
+	const env = opts.env || process.env;
+	const driver = String(opts.driver || env.STORAGE_DRIVER || 'local').toLowerCase();
+	if (driver === 'local') return createLocalStorage({ root: opts.uploadsDir });
+	if (driver === 's3') {
+		return createS3Storage({
+			endpoint: env.S3_ENDPOINT || undefined,
+			region: env.S3_REGION || 'us-east-1',
+			bucket: env.S3_BUCKET,
+			accessKeyId: env.S3_ACCESS_KEY_ID,
+			secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+			prefix: env.S3_PREFIX || '',
+			forcePathStyle: env.S3_FORCE_PATH_STYLE === undefined ? undefined : ['1', 'true', 'yes'].includes(String(env.S3_FORCE_PATH_STYLE).toLowerCase()),
+		});
+	}
+	throw new Error(`unknown STORAGE_DRIVER: ${driver}`);
+}
+
+// The storage keys of everything a video has: files (the video, poster, renditions) and
+// directory prefixes (HLS output)
+function videoObjects(video) {
+	const files = [video.filename, video.poster];
+	for (const r of Object.values(video.renditions || {})) files.push(r.filename);
+	return { files: files.filter(Boolean), prefixes: video.hls && video.hls.dir ? [video.hls.dir] : [] };
+}
+
+module.exports = { createStorage, videoObjects };
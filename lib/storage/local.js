@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { etagFor } = require('../ranges');
+const { diskUsage } = require('../quota');
+
+// Objects as files under `root` (uploads/ by default): <key> is the path relative to it.
+// The default driver, and the only one where files are where ffmpeg can read them.
+function createLocalStorage({ root }) {
+	const base = path.resolve(root);
+	if (!fs.existsSync(base)) fs.mkdirSync(base, { recursive: true });
+
+	function keyPath(key) {
+		const p = path.resolve(base, String(key));
+		if (p === base || !p.startsWith(base + path.sep)) throw new Error(`invalid storage key: ${key}`);
+		return p;
+	}
+
+	// rename, or copy + delete when `from` is on another filesystem
+	function moveFile(from, to) {
+		try {
+			fs.renameSync(from, to);
+		} catch (e) {
+			if (e.code !== 'EXDEV') throw e;
+			fs.copyFileSync(from, to);
+			fs.unlinkSync(from);
+		}
+	}
+
+	function walk(dir, prefix, out) {
+		let entries = [];
+		try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (e) { return out; }
+		for (const ent of entries) {
+			const key = `${prefix}/${ent.name}`;
+			if (ent.isDirectory()) walk(path.join(dir, ent.name), key, out);
+			else out.push({ key, size: fs.statSync(path.join(dir, ent.name)).size });
+		}
+		return out;
+	}
+
+	return {
+		name: 'local',
+
+		localPath: (key) => keyPath(key),
+
+		async put(key, filePath, opts = {}) {
+			const dest = keyPath(key);
+			if (path.resolve(filePath) !== dest) {
+				fs.mkdirSync(path.dirname(dest), { recursive: true });
+				if (opts.keep) fs.copyFileSync(filePath, dest);
+				else moveFile(filePath, dest);
+			}
+			return { size: fs.statSync(dest).size };
+		},
+
+		async putDir(prefix, dir) {
+			const dest = keyPath(prefix);
+			fs.rmSync(dest, { recursive: true, force: true });
+			moveFile(dir, dest);
+			return { size: diskUsage(dest) };
+		},
+
+		async get(key, range = {}) {
+			const p = keyPath(key);
+			const st = await fs.promises.stat(p);
+			if (!st.isFile()) throw Object.assign(new Error(`no such object: ${key}`), { code: 'ENOENT' });
+			return fs.createReadStream(p, range);
+		},
+
+		async stat(key) {
+			try {
+				const st = await fs.promises.stat(keyPath(key));
+				return st.isFile() ? { size: st.size, mtimeMs: st.mtimeMs, mtime: st.mtime, etag: etagFor(st) } : null;
+			} catch (e) {
+				if (e.code === 'ENOENT') return null;
+				throw e;
+			}
+		},
+
+		async delete(key) {
+			try { await fs.promises.unlink(keyPath(key)); } catch (e) { if (e.code !== 'ENOENT') throw e; }
+		},
+
+		async deletePrefix(prefix) {
+			await fs.promises.rm(keyPath(prefix), { recursive: true, force: true });
+		},
+
+		async list(prefix) {
+			return walk(keyPath(prefix), String(prefix).replace(/\/+$/, ''), []);
+		},
+
+		// files are only reachable through the app
+		presign: () => null,
+	};
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const mime = require('mime-types');
+const { etagFor } = require('../ranges');
+
+// Objects in an S3-compatible bucket (AWS S3, MinIO, R2, ...), spoken to directly with
+// Signature Version 4. ffmpeg can't read from here, so jobs work on a downloaded copy and
+// their output is uploaded when it's finished. Objects go up in one PUT, which S3 caps at
+// 5 GB.
+//
+// With an `endpoint` (MinIO and friends) objects are addressed path-style
+// (<endpoint>/<bucket>/<key>), otherwise virtual-host style on AWS
+// (https://<bucket>.s3.<region>.amazonaws.com/<key>). `prefix` is put in front of every key.
+
+const EMPTY_SHA256 = crypto.createHash('sha256').digest('hex');
+
+function hmac(key, data) {
+	return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256Hex(data) {
+	return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// encodeURIComponent plus the characters SigV4 wants escaped too
+function uriEncode(s) {
+	return encodeURIComponent(s).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function canonicalQuery(query) {
+	return Object.keys(query).map((k) => [uriEncode(k), uriEncode(String(query[k]))])
+		.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+		.map(([k, v]) => `${k}=${v}`).join('&');
+}
+
+// SigV4 signature of a request. `path` is already URI-encoded and `headers` has lower-case
+// names. Returns { signature, signedHeaders, scope }.
+function signRequest({ method, path: uriPath, query, headers, payloadHash, amzDate, region, accessKeyId, secretAccessKey }) {
+	const names = Object.keys(headers).sort();
+	const canonicalHeaders = names.map((n) => `${n}:${String(headers[n]).trim().replace(/\s+/g, ' ')}\n`).join('');
+	const signedHeaders = names.join(';');
+	const canonical = [method, uriPath, canonicalQuery(query || {}), canonicalHeaders, signedHeaders, payloadHash].join('\n');
+	const date = amzDate.slice(0, 8);
+	const scope = `${date}/${region}/s3/aws4_request`;
+	const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonical)].join('\n');
+	const key = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+	return { signature: hmac(key, stringToSign).toString('hex'), signedHeaders, scope };
+}
+
+function amzDateOf(now) {
+	return new Date(now).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function xmlDecode(s) {
+	return s.replace(/&(lt|gt|quot|apos|amp);/g, (m, e) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[e]);
+}
+
+function s3Error(status, message, code) {
+	const err = new Error(message);
+	err.status = status;
+	if (code) err.code = code;
+	return err;
+}
+
+function createS3Storage({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, prefix = '', forcePathStyle, timeoutMs = 60 * 1000 }) {
+	if (!bucket) throw new Error('S3_BUCKET is required for the s3 storage driver');
+	if (!accessKeyId || !secretAccessKey) throw new Error('S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required for the s3 storage driver');
+	const pathStyle = forcePathStyle === undefined ? !!endpoint : !!forcePathStyle;
+	const origin = new URL(endpoint || (pathStyle ? `https://s3.${region}.amazonaws.com` : `https://${bucket}.s3.${region}.amazonaws.com`));
+	const basePath = origin.pathname.replace(/\/+$/, '') + (pathStyle ? `/${uriEncode(bucket)}` : '');
+	const keyPrefix = String(prefix || '').replace(/^\/+/, '');
+
+	function objectPath(key) {
+		return `${basePath}/${(keyPrefix + key).split('/').map(uriEncode).join('/')}`;
+	}
+
+	// A signed request; resolves with the response (body unread) whatever its status
+	function send(method, uriPath, { query = {}, headers = {}, body, payloadHash = EMPTY_SHA256 } = {}) {
+		const amzDate = amzDateOf(Date.now());
+		const signed = { ...headers, host: origin.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+		const sig = signRequest({ method, path: uriPath, query, headers: signed, payloadHash, amzDate, region, accessKeyId, secretAccessKey });
+		signed.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${sig.scope}, SignedHeaders=${sig.signedHeaders}, Signature=${sig.signature}`;
+		const qs = canonicalQuery(query);
+		return new Promise((resolve, reject) => {
+			const lib = origin.protocol === 'http:' ? http : https;
+			const req = lib.request({
+				protocol: origin.protocol,
+				hostname: origin.hostname,
+				port: origin.port || undefined,
+				method,
+				path: uriPath + (qs ? `?${qs}` : ''),
+				headers: signed,
+				timeout: timeoutMs,
+			}, resolve);
+			req.on('timeout', () => req.destroy(s3Error(504, `S3 ${method} timed out`)));
+			req.on('error', reject);
+			if (body && typeof body.pipe === 'function') {
+				body.on('error', (err) => req.destroy(err));
+				body.pipe(req);
+			} else req.end(body);
+		});
+	}
+
+	function readBody(res) {
+		return new Promise((resolve, reject) => {
+			let text = '';
+			res.setEncoding('utf8');
+			res.on('data', (c) => { if (text.length < 1024 * 1024) text += c; });
+			res.on('end', () => resolve(text));
+			res.on('error', reject);
+		});
+	}
+
+	async function check(res, what) {
+		if (res.statusCode >= 200 && res.statusCode < 300) return;
+		const text = await readBody(res).catch(() => '');
+		const code = /<Code>([^<]*)<\/Code>/.exec(text);
+		throw s3Error(res.statusCode, `S3 ${what} failed: ${res.statusCode}${code ? ` ${code[1]}` : ''}`, res.statusCode === 404 ? 'ENOENT' : undefined);
+	}
+
+	async function putFile(key, filePath, opts = {}) {
+		const size = fs.statSync(filePath).size;
+		const res = await send('PUT', objectPath(key), {
+			headers: { 'content-length': size, 'content-type': opts.contentType || mime.lookup(key) || 'application/octet-stream' },
+			body: fs.createReadStream(filePath),
+			payloadHash: 'UNSIGNED-PAYLOAD',
+		});
+		await check(res, `PUT ${key}`);
+		res.resume();
+		if (!opts.keep) { try { fs.unlinkSync(filePath); } catch (e) {} }
+		return { size };
+	}
+
+	async function list(listPrefix) {
+		const items = [];
+		let token = null;
+		do {
+			const query = { 'list-type': 2, prefix: keyPrefix + listPrefix };
+			if (token) query['continuation-token'] = token;
+			const res = await send('GET', `${basePath}/`, { query });
+			await check(res, 'LIST');
+			const xml = await readBody(res);
+			for (const m of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+				const key = /<Key>([^<]*)<\/Key>/.exec(m[1]);
+				const size = /<Size>(\d+)<\/Size>/.exec(m[1]);
+				if (key) items.push({ key: xmlDecode(key[1]).slice(keyPrefix.length), size: size ? Number(size[1]) : 0 });
+			}
+			const next = /<NextContinuationToken>([^<]*)<\/NextContinuationToken>/.exec(xml);
+			token = /<IsTruncated>true<\/IsTruncated>/.test(xml) && next ? xmlDecode(next[1]) : null;
+		} while (token);
+		return items;
+	}
+
+	async function deleteObject(key) {
+		const res = await send('DELETE', objectPath(key));
+		if (res.statusCode !== 404) await check(res, `DELETE ${key}`);
+		res.resume();
+	}
+
+	return {
+		name: 's3',
+
+		// nothing here is a local file
+		localPath: () => null,
+
+		put: putFile,
+
+		// Upload every file in `dir` under `prefix`/, replacing what was there, then remove `dir`
+		async putDir(dirPrefix, dir) {
+			const prefixSlash = `${String(dirPrefix).replace(/\/+$/, '')}/`;
+			const old = await list(prefixSlash);
+			const names = fs.readdirSync(dir);
+			let size = 0;
+			for (const name of names) size += (await putFile(prefixSlash + name, path.join(dir, name))).size;
+			const fresh = new Set(names.map((n) => prefixSlash + n));
+			for (const o of old) if (!fresh.has(o.key)) await deleteObject(o.key);
+			fs.rmSync(dir, { recursive: true, force: true });
+			return { size };
+		},
+
+		// A stream of the object (or the bytes start-end of it)
+		async get(key, range = {}) {
+			const headers = {};
+			if (range.start !== undefined) headers.range = `bytes=${range.start}-${range.end === undefined ? '' : range.end}`;
+			const res = await send('GET', objectPath(key), { headers });
+			await check(res, `GET ${key}`);
+			return res;
+		},
+
+		async stat(key) {
+			const res = await send('HEAD', objectPath(key));
+			res.resume();
+			if (res.statusCode === 404) return null;
+			await check(res, `HEAD ${key}`);
+			const mtime = new Date(res.headers['last-modified'] || 0);
+			const size = Number(res.headers['content-length']) || 0;
+			// some S3-compatible servers leave the ETag out; callers always need one
+			return { size, mtimeMs: mtime.getTime(), mtime, etag: res.headers.etag || etagFor({ size, mtimeMs: mtime.getTime() }) };
+		},
+
+		delete: deleteObject,
+
+		async deletePrefix(dirPrefix) {
+			for (const o of await list(`${String(dirPrefix).replace(/\/+$/, '')}/`)) await deleteObject(o.key);
+		},
+
+		list,
+
+		// A time-limited GET URL for the object, valid for `expiresIn` seconds (S3 allows up
+		// to 7 days); `contentType` overrides the type it's served with
+		presign(key, { expiresIn = 3600, contentType } = {}) {
+			const amzDate = amzDateOf(Date.now());
+			const uriPath = objectPath(key);
+			const query = {
+				'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+				'X-Amz-Credential': `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+				'X-Amz-Date': amzDate,
+				'X-Amz-Expires': Math.max(1, Math.min(604800, Math.floor(expiresIn))),
+				'X-Amz-SignedHeaders': 'host',
+			};
+			if (contentType) query['response-content-type'] = contentType;
+			const sig = signRequest({ method: 'GET', path: uriPath, query, headers: { host: origin.host }, payloadHash: 'UNSIGNED-PAYLOAD', amzDate, region, accessKeyId, secretAccessKey });
+			return `${origin.protocol}//${origin.host}${uriPath}?${canonicalQuery(query)}&X-Amz-Signature=${sig.signature}`;
+		},
+	};
+}
+
+module.exports = { createS3Storage, signRequest };
@@ -0,0 +1,38 @@
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+const { createSqliteStore } = require('./sqlite-store');
+
+// Open the metadata store selected by METADATA_STORE ('sqlite' by default, or 'json'
+// for small installs that want to keep a plain data.json).
+function createStore(opts = {}) {
+	const rootDir = opts.rootDir || process.cwd();
+	const backend = (opts.backend || process.env.METADATA_STORE || 'sqlite').toLowerCase();
+	if (backend === 'json') {
+		return createJsonStore(opts.dataFile || process.env.METADATA_FILE || path.join(rootDir, 'data.json'));
+	}
+	if (backend === 'sqlite') {
+		return createSqliteStore(opts.dbFile || process.env.METADATA_DB || path.join(rootDir, 'data.sqlite'));
+	}
+	throw new Error(`unknown METADATA_STORE backend: ${backend}`);
+}
+
+// Copy the contents of a legacy data.json object (video records keyed by id plus the
+// `_short` map) into `store`. Records and short ids that already exist are left alone,
+// so running the import twice is harmless.
+function importLegacyData(store, data) {
+	const result = { videos: 0, shorts: 0, skippedVideos: 0, skippedShorts: 0 };
+	if (!data || typeof data !== 'object') return result;
+	for (const [id, rec] of Object.entries(data)) {
+		if (id.startsWith('_') || !rec || typeof rec !== 'object') continue;
+		if (store.getVideo(id)) { result.skippedVideos++; continue; }
+		store.putVideo({ ...rec, id });
+		result.videos++;
+	}
+	for (const [short, id] of Object.entries(data._short || {})) {
+		if (store.addShort(short, id)) result.shorts++;
+		else result.skippedShorts++;
+	}
+	return result;
+}
+
+module.exports = { createStore, importLegacyData };
@@ -0,0 +1,370 @@
+const fs = require('fs');
+
+// JSON-file metadata store. Keeps the historical data.json layout (video records keyed
+// by id plus a `_short` map of short id -> video id; `_jobs`, `_users` and `_apiKeys`
+// hold the job queue and accounts, `_stats` per-day analytics, `_audit` the admin
+// audit log, `_webhooks` / `_deliveries` the event webhooks and their delivery log and
+// `_collections` the users' collections) so small installs and existing files keep
+// working. The file is parsed once and kept in memory; every mutation rewrites it
+// atomically (temp file + rename) so readers never see a half-written file.
+const MAX_AUDIT = 10000;
+const MAX_DELIVERIES = 2000;
+
+function createJsonStore(file) {
+	let data = {};
+	try {
+		if (fs.existsSync(file)) data = JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
+	} catch (e) {
+		throw new Error(`failed to parse metadata file ${file}: ${e.message}`);
+	}
+	if (!data || typeof data !== 'object') data = {};
+	data._short = data._short || {};
+	data._jobs = data._jobs || {};
+	data._users = data._users || {};
+	data._apiKeys = data._apiKeys || {};
+	data._stats = data._stats || {}; // video id -> day -> counters
+	data._audit = data._audit || []; // oldest first
+	data._webhooks = data._webhooks || {};
+	data._deliveries = data._deliveries || []; // oldest first
+	data._collections = data._collections || {};
+
+	// reverse index: video id -> Set of short ids
+	const shortsById = new Map();
+	for (const [short, id] of Object.entries(data._short)) indexShort(short, id);
+
+	function indexShort(short, id) {
+		let set = shortsById.get(id);
+		if (!set) { set = new Set(); shortsById.set(id, set); }
+		set.add(short);
+	}
+
+	function unindexShort(short, id) {
+		const set = shortsById.get(id);
+		if (!set) return;
+		set.delete(short);
+		if (!set.size) shortsById.delete(id);
+	}
+
+	function persist() {
+		const tmp = file + '.tmp';
+		fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+		fs.renameSync(tmp, file);
+	}
+
+	if (!fs.existsSync(file)) persist();
+
+	// top-level keys starting with '_' hold store-level maps (e.g. _short), not videos
+	function isVideoKey(k) { return typeof k === 'string' && !k.startsWith('_'); }
+
+	// ids come from URLs, so 'constructor' or '__proto__' must not find Object.prototype's
+	function has(map, id) { return Object.prototype.hasOwnProperty.call(map, id) && !!map[id]; }
+
+	return {
+		backend: 'json',
+
+		getVideo(id) {
+			if (!id || !isVideoKey(id) || !has(data, id)) return null;
+			return { ...data[id] };
+		},
+
+		putVideo(record) {
+			if (!record || !record.id) throw new Error('record id required');
+			data[record.id] = { ...record };
+			persist();
+			return { ...data[record.id] };
+		},
+
+		// Shallow-merge `patch` into an existing record. Returns the updated record, or
+		// null when the id is unknown (e.g. it was purged while a job was running).
+		updateVideo(id, patch) {
+			if (!this.getVideo(id)) return null;
+			data[id] = { ...data[id], ...patch };
+			persist();
+			return { ...data[id] };
+		},
+
+		deleteVideo(id) {
+			if (!this.getVideo(id)) return false;
+			delete data[id];
+			delete data._stats[id];
+			this.removeShortsForVideo(id);
+			persist();
+			return true;
+		},
+
+		listVideos() {
+			const out = [];
+			for (const [k, v] of Object.entries(data)) {
+				if (isVideoKey(k) && v) out.push({ ...v });
+			}
+			out.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+			return out;
+		},
+
+		listVideosByOwner(ownerId) {
+			return this.listVideos().filter((v) => v.owner === ownerId);
+		},
+
+		resolveShort(short) {
+			return has(data._short, short) ? data._short[short] : null;
+		},
+
+		// Claim a short id for a video. Returns false if it is already taken.
+		addShort(short, id) {
+			if (this.resolveShort(short)) return false;
+			data._short[short] = id;
+			indexShort(short, id);
+			persist();
+			return true;
+		},
+
+		// Point a short id at a video, claiming it or moving it from another video.
+		setShort(short, id) {
+			const prev = this.resolveShort(short);
+			if (prev === id) return true;
+			if (prev) unindexShort(short, prev);
+			data._short[short] = id;
+			indexShort(short, id);
+			persist();
+			return true;
+		},
+
+		// Free one short id. Returns false if it wasn't in use.
+		removeShort(short) {
+			const prev = this.resolveShort(short);
+			if (!prev) return false;
+			delete data._short[short];
+			unindexShort(short, prev);
+			persist();
+			return true;
+		},
+
+		getShortsForVideo(id) {
+			const set = shortsById.get(id);
+			return set ? Array.from(set) : [];
+		},
+
+		removeShortsForVideo(id) {
+			const set = shortsById.get(id);
+			if (!set) return 0;
+			for (const short of set) delete data._short[short];
+			shortsById.delete(id);
+			persist();
+			return set.size;
+		},
+
+		getJob(id) {
+			return has(data._jobs, id) ? { ...data._jobs[id] } : null;
+		},
+
+		putJob(job) {
+			if (!job || !job.id) throw new Error('job id required');
+			data._jobs[job.id] = { ...job };
+			persist();
+			return { ...job };
+		},
+
+		deleteJob(id) {
+			if (!has(data._jobs, id)) return false;
+			delete data._jobs[id];
+			persist();
+			return true;
+		},
+
+		// All persisted jobs, oldest first.
+		listJobs() {
+			return Object.values(data._jobs).map((j) => ({ ...j })).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+		},
+
+		getUser(id) {
+			return has(data._users, id) ? { ...data._users[id] } : null;
+		},
+
+		getUserByName(name) {
+			const lower = String(name || '').toLowerCase();
+			const u = Object.values(data._users).find((x) => String(x.name).toLowerCase() === lower);
+			return u ? { ...u } : null;
+		},
+
+		putUser(user) {
+			if (!user || !user.id) throw new Error('user id required');
+			data._users[user.id] = { ...user };
+			persist();
+			return { ...user };
+		},
+
+		deleteUser(id) {
+			if (!has(data._users, id)) return false;
+			delete data._users[id];
+			for (const [k, v] of Object.entries(data._apiKeys)) if (v.userId === id) delete data._apiKeys[k];
+			persist();
+			return true;
+		},
+
+		listUsers() {
+			return Object.values(data._users).map((u) => ({ ...u })).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+		},
+
+		getApiKey(id) {
+			return has(data._apiKeys, id) ? { ...data._apiKeys[id] } : null;
+		},
+
+		putApiKey(key) {
+			if (!key || !key.id) throw new Error('key id required');
+			data._apiKeys[key.id] = { ...key };
+			persist();
+			return { ...key };
+		},
+
+		// Keys of one user (or all keys when userId is omitted), oldest first.
+		listApiKeys(userId) {
+			return Object.values(data._apiKeys)
+				.filter((k) => !userId || k.userId === userId)
+				.map((k) => ({ ...k }))
+				.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+		},
+
+		// Add per-day counters ({ videoId, day, views, crawlerHits, bytes, referrers }) to
+		// the stored totals.
+		addStats(rows) {
+			for (const r of rows) {
+				const days = data._stats[r.videoId] = data._stats[r.videoId] || {};
+				const cur = days[r.day] = days[r.day] || { views: 0, crawlerHits: 0, bytes: 0, referrers: {} };
+				cur.views += r.views || 0;
+				cur.crawlerHits += r.crawlerHits || 0;
+				cur.bytes += r.bytes || 0;
+				for (const [ref, n] of Object.entries(r.referrers || {})) cur.referrers[ref] = (cur.referrers[ref] || 0) + n;
+			}
+			persist();
+		},
+
+		// Stored per-day counters, optionally for one video and/or from day `since` (YYYY-MM-DD) on.
+		listStats({ videoId, since } = {}) {
+			const out = [];
+			for (const [id, days] of Object.entries(data._stats)) {
+				if (videoId && id !== videoId) continue;
+				for (const [day, c] of Object.entries(days)) {
+					if (since && day < since) continue;
+					out.push({ videoId: id, day, ...c, referrers: { ...c.referrers } });
+				}
+			}
+			return out.sort((a, b) => (a.day < b.day ? -1 : a.day > b.day ? 1 : 0));
+		},
+
+		// Append an admin audit entry ({ at, admin, action, target, details }). The file is
+		// rewritten on every change, so only the newest MAX_AUDIT entries are kept.
+		addAudit(entry) {
+			const last = data._audit[data._audit.length - 1];
+			const rec = { ...entry, id: last ? last.id + 1 : 1 };
+			data._audit.push(rec);
+			if (data._audit.length > MAX_AUDIT) data._audit.splice(0, data._audit.length - MAX_AUDIT);
+			persist();
+			return { ...rec };
+		},
+
+		// Audit entries newest first, optionally only those older than entry id `before`
+		// or about one `target`.
+		listAudit({ limit, before, target } = {}) {
+			const out = [];
+			for (let i = data._audit.length - 1; i >= 0 && out.length < (limit || 100); i--) {
+				const e = data._audit[i];
+				if (before && e.id >= before) continue;
+				if (target && e.target !== target) continue;
+				out.push({ ...e });
+			}
+			return out;
+		},
+
+		getWebhook(id) {
+			return has(data._webhooks, id) ? { ...data._webhooks[id] } : null;
+		},
+
+		putWebhook(hook) {
+			if (!hook || !hook.id) throw new Error('webhook id required');
+			data._webhooks[hook.id] = { ...hook };
+			persist();
+			return { ...hook };
+		},
+
+		deleteWebhook(id) {
+			if (!has(data._webhooks, id)) return false;
+			delete data._webhooks[id];
+			persist();
+			return true;
+		},
+
+		listWebhooks() {
+			return Object.values(data._webhooks).map((h) => ({ ...h })).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+		},
+
+		getDelivery(id) {
+			const d = data._deliveries.find((x) => x.id === id);
+			return d ? { ...d } : null;
+		},
+
+		// Insert or update a webhook delivery. Only the newest MAX_DELIVERIES are kept, but
+		// never one that is still pending.
+		putDelivery(delivery) {
+			if (!delivery || !delivery.id) throw new Error('delivery id required');
+			const i = data._deliveries.findIndex((x) => x.id === delivery.id);
+			if (i === -1) data._deliveries.push({ ...delivery });
+			else data._deliveries[i] = { ...delivery };
+			for (let j = 0; data._deliveries.length > MAX_DELIVERIES && j < data._deliveries.length; j++) {
+				if (data._deliveries[j].status !== 'pending') data._deliveries.splice(j--, 1);
+			}
+			persist();
+			return { ...delivery };
+		},
+
+		// Deliveries newest first, optionally only those created before `before` (ms), for one
+		// webhook or with one status
+		listDeliveries({ limit, before, webhookId, status } = {}) {
+			const out = [];
+			for (let i = data._deliveries.length - 1; i >= 0 && out.length < (limit || 100); i--) {
+				const d = data._deliveries[i];
+				if (before && (d.createdAt || 0) >= before) continue;
+				if (webhookId && d.webhookId !== webhookId) continue;
+				if (status && d.status !== status) continue;
+				out.push({ ...d });
+			}
+			return out;
+		},
+
+		getCollection(id) {
+			return has(data._collections, id) ? { ...data._collections[id] } : null;
+		},
+
+		putCollection(collection) {
+			if (!collection || !collection.id) throw new Error('collection id required');
+			data._collections[collection.id] = { ...collection };
+			persist();
+			return { ...collection };
+		},
+
+		deleteCollection(id) {
+			if (!has(data._collections, id)) return false;
+			delete data._collections[id];
+			persist();
+			return true;
+		},
+
+		// Newest first; every user's, or only `owner`'s
+		listCollections(owner) {
+			return Object.values(data._collections).filter((c) => !owner || c.owner === owner)
+				.map((c) => ({ ...c })).sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+		},
+
+		// Throws unless the file is still readable and a file can be written next to it, as
+		// every change is
+		check() {
+			fs.accessSync(file, fs.constants.R_OK | fs.constants.W_OK);
+			const probe = `${file}.check`;
+			fs.writeFileSync(probe, String(Date.now()));
+			fs.unlinkSync(probe);
+		},
+
+		close() {},
+	};
+}
+
+module.exports = { createJsonStore };
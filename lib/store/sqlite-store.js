@@ -0,0 +1,440 @@
+// SQLite metadata store (better-sqlite3). Videos live in their own table with the
+// frequently-filtered fields as real columns and the full record as a JSON blob, so new
+// record fields don't need a migration. Short links get their own table indexed both
+// ways. better-sqlite3 is synchronous, so every call below is atomic with respect to
+// the event loop and concurrent requests can no longer clobber each other's writes.
+const MAX_DELIVERIES = 10000;
+
+function createSqliteStore(file) {
+	let Database;
+	try {
+		Database = require('better-sqlite3');
+	} catch (e) {
+		throw new Error('better-sqlite3 is not installed; run `npm install` or set METADATA_STORE=json');
+	}
+
+	const db = new Database(file);
+	db.pragma('journal_mode = WAL');
+
+	db.exec(`
+		CREATE TABLE IF NOT EXISTS videos (
+			id TEXT PRIMARY KEY,
+			created_at INTEGER NOT NULL DEFAULT 0,
+			removed INTEGER NOT NULL DEFAULT 0,
+			owner TEXT,
+			data TEXT NOT NULL
+		);
+		CREATE INDEX IF NOT EXISTS videos_created_at ON videos (created_at);
+
+		CREATE TABLE IF NOT EXISTS short_links (
+			short TEXT PRIMARY KEY,
+			video_id TEXT NOT NULL
+		);
+		CREATE INDEX IF NOT EXISTS short_links_video_id ON short_links (video_id);
+
+		CREATE TABLE IF NOT EXISTS jobs (
+			id TEXT PRIMARY KEY,
+			status TEXT NOT NULL,
+			created_at INTEGER NOT NULL DEFAULT 0,
+			data TEXT NOT NULL
+		);
+		CREATE INDEX IF NOT EXISTS jobs_status ON jobs (status, created_at);
+
+		CREATE TABLE IF NOT EXISTS users (
+			id TEXT PRIMARY KEY,
+			name TEXT NOT NULL COLLATE NOCASE UNIQUE,
+			created_at INTEGER NOT NULL DEFAULT 0,
+			data TEXT NOT NULL
+		);
+
+		CREATE TABLE IF NOT EXISTS api_keys (
+			id TEXT PRIMARY KEY,
+			user_id TEXT NOT NULL,
+			created_at INTEGER NOT NULL DEFAULT 0,
+			data TEXT NOT NULL
+		);
+		CREATE INDEX IF NOT EXISTS api_keys_user_id ON api_keys (user_id);
+
+		CREATE TABLE IF NOT EXISTS video_stats (
+			video_id TEXT NOT NULL,
+			day TEXT NOT NULL,
+			views INTEGER NOT NULL DEFAULT 0,
+			crawler_hits INTEGER NOT NULL DEFAULT 0,
+			bytes INTEGER NOT NULL DEFAULT 0,
+			referrers TEXT NOT NULL DEFAULT '{}',
+			PRIMARY KEY (video_id, day)
+		);
+		CREATE INDEX IF NOT EXISTS video_stats_day ON video_stats (day);
+
+		CREATE TABLE IF NOT EXISTS audit_log (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			at INTEGER NOT NULL,
+			target TEXT,
+			data TEXT NOT NULL
+		);
+		CREATE INDEX IF NOT EXISTS audit_log_target ON audit_log (target, id);
+
+		CREATE TABLE IF NOT EXISTS webhooks (
+			id TEXT PRIMARY KEY,
+			created_at INTEGER NOT NULL DEFAULT 0,
+			data TEXT NOT NULL
+		);
+
+		CREATE TABLE IF NOT EXISTS webhook_deliveries (
+			id TEXT PRIMARY KEY,
+			webhook_id TEXT NOT NULL,
+			status TEXT NOT NULL,
+			created_at INTEGER NOT NULL DEFAULT 0,
+			data TEXT NOT NULL
+		);
+		CREATE INDEX IF NOT EXISTS webhook_deliveries_created_at ON webhook_deliveries (created_at);
+		CREATE INDEX IF NOT EXISTS webhook_deliveries_status ON webhook_deliveries (status);
+
+		CREATE TABLE IF NOT EXISTS collections (
+			id TEXT PRIMARY KEY,
+			owner TEXT,
+			created_at INTEGER NOT NULL DEFAULT 0,
+			data TEXT NOT NULL
+		);
+		CREATE INDEX IF NOT EXISTS collections_owner ON collections (owner, created_at);
+
+		CREATE TABLE IF NOT EXISTS health_check (
+			id INTEGER PRIMARY KEY,
+			at INTEGER NOT NULL
+		);
+	`);
+
+	// columns added after the first release
+	const videoCols = db.prepare('PRAGMA table_info(videos)').all().map((c) => c.name);
+	if (!videoCols.includes('owner')) db.exec('ALTER TABLE videos ADD COLUMN owner TEXT');
+	db.exec('CREATE INDEX IF NOT EXISTS videos_owner ON videos (owner, created_at)');
+
+	const stmts = {
+		getVideo: db.prepare('SELECT data FROM videos WHERE id = ?'),
+		putVideo: db.prepare(`INSERT INTO videos (id, created_at, removed, owner, data) VALUES (@id, @created_at, @removed, @owner, @data)
+			ON CONFLICT(id) DO UPDATE SET created_at = excluded.created_at, removed = excluded.removed, owner = excluded.owner, data = excluded.data`),
+		deleteVideo: db.prepare('DELETE FROM videos WHERE id = ?'),
+		listVideos: db.prepare('SELECT data FROM videos ORDER BY created_at DESC'),
+		listVideosByOwner: db.prepare('SELECT data FROM videos WHERE owner = ? ORDER BY created_at DESC'),
+		resolveShort: db.prepare('SELECT video_id FROM short_links WHERE short = ?'),
+		addShort: db.prepare('INSERT OR IGNORE INTO short_links (short, video_id) VALUES (?, ?)'),
+		shortsForVideo: db.prepare('SELECT short FROM short_links WHERE video_id = ? ORDER BY rowid'),
+		removeShortsForVideo: db.prepare('DELETE FROM short_links WHERE video_id = ?'),
+		setShort: db.prepare('INSERT INTO short_links (short, video_id) VALUES (?, ?) ON CONFLICT(short) DO UPDATE SET video_id = excluded.video_id'),
+		removeShort: db.prepare('DELETE FROM short_links WHERE short = ?'),
+		getJob: db.prepare('SELECT data FROM jobs WHERE id = ?'),
+		putJob: db.prepare(`INSERT INTO jobs (id, status, created_at, data) VALUES (@id, @status, @created_at, @data)
+			ON CONFLICT(id) DO UPDATE SET status = excluded.status, created_at = excluded.created_at, data = excluded.data`),
+		deleteJob: db.prepare('DELETE FROM jobs WHERE id = ?'),
+		listJobs: db.prepare('SELECT data FROM jobs ORDER BY created_at ASC'),
+		getUser: db.prepare('SELECT data FROM users WHERE id = ?'),
+		getUserByName: db.prepare('SELECT data FROM users WHERE name = ?'),
+		putUser: db.prepare(`INSERT INTO users (id, name, created_at, data) VALUES (@id, @name, @created_at, @data)
+			ON CONFLICT(id) DO UPDATE SET name = excluded.name, data = excluded.data`),
+		deleteUser: db.prepare('DELETE FROM users WHERE id = ?'),
+		deleteUserKeys: db.prepare('DELETE FROM api_keys WHERE user_id = ?'),
+		listUsers: db.prepare('SELECT data FROM users ORDER BY created_at ASC'),
+		getApiKey: db.prepare('SELECT data FROM api_keys WHERE id = ?'),
+		putApiKey: db.prepare(`INSERT INTO api_keys (id, user_id, created_at, data) VALUES (@id, @user_id, @created_at, @data)
+			ON CONFLICT(id) DO UPDATE SET data = excluded.data`),
+		listApiKeys: db.prepare('SELECT data FROM api_keys ORDER BY created_at ASC'),
+		listApiKeysForUser: db.prepare('SELECT data FROM api_keys WHERE user_id = ? ORDER BY created_at ASC'),
+		getStats: db.prepare('SELECT referrers FROM video_stats WHERE video_id = ? AND day = ?'),
+		putStats: db.prepare(`INSERT INTO video_stats (video_id, day, views, crawler_hits, bytes, referrers) VALUES (@videoId, @day, @views, @crawlerHits, @bytes, @referrers)
+			ON CONFLICT(video_id, day) DO UPDATE SET views = views + excluded.views, crawler_hits = crawler_hits + excluded.crawler_hits,
+				bytes = bytes + excluded.bytes, referrers = excluded.referrers`),
+		listStats: db.prepare(`SELECT video_id, day, views, crawler_hits, bytes, referrers FROM video_stats
+			WHERE (@videoId IS NULL OR video_id = @videoId) AND (@since IS NULL OR day >= @since) ORDER BY day ASC`),
+		deleteStats: db.prepare('DELETE FROM video_stats WHERE video_id = ?'),
+		addAudit: db.prepare('INSERT INTO audit_log (at, target, data) VALUES (?, ?, ?)'),
+		listAudit: db.prepare(`SELECT id, data FROM audit_log WHERE (@before IS NULL OR id < @before) AND (@target IS NULL OR target = @target)
+			ORDER BY id DESC LIMIT @limit`),
+		getWebhook: db.prepare('SELECT data FROM webhooks WHERE id = ?'),
+		putWebhook: db.prepare(`INSERT INTO webhooks (id, created_at, data) VALUES (@id, @created_at, @data)
+			ON CONFLICT(id) DO UPDATE SET data = excluded.data`),
+		deleteWebhook: db.prepare('DELETE FROM webhooks WHERE id = ?'),
+		listWebhooks: db.prepare('SELECT data FROM webhooks ORDER BY created_at ASC'),
+		getDelivery: db.prepare('SELECT data FROM webhook_deliveries WHERE id = ?'),
+		putDelivery: db.prepare(`INSERT INTO webhook_deliveries (id, webhook_id, status, created_at, data) VALUES (@id, @webhook_id, @status, @created_at, @data)
+			ON CONFLICT(id) DO UPDATE SET status = excluded.status, data = excluded.data`),
+		listDeliveries: db.prepare(`SELECT data FROM webhook_deliveries WHERE (@before IS NULL OR created_at < @before)
+			AND (@webhookId IS NULL OR webhook_id = @webhookId) AND (@status IS NULL OR status = @status)
+			ORDER BY created_at DESC, rowid DESC LIMIT @limit`),
+		pruneDeliveries: db.prepare(`DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < (
+			SELECT created_at FROM webhook_deliveries ORDER BY created_at DESC LIMIT 1 OFFSET @keep)`),
+		getCollection: db.prepare('SELECT data FROM collections WHERE id = ?'),
+		putCollection: db.prepare(`INSERT INTO collections (id, owner, created_at, data) VALUES (@id, @owner, @created_at, @data)
+			ON CONFLICT(id) DO UPDATE SET owner = excluded.owner, data = excluded.data`),
+		deleteCollection: db.prepare('DELETE FROM collections WHERE id = ?'),
+		listCollections: db.prepare('SELECT data FROM collections ORDER BY created_at DESC'),
+		listCollectionsByOwner: db.prepare('SELECT data FROM collections WHERE owner = ? ORDER BY created_at DESC'),
+		touchHealth: db.prepare('INSERT INTO health_check (id, at) VALUES (1, ?) ON CONFLICT(id) DO UPDATE SET at = excluded.at'),
+		readHealth: db.prepare('SELECT at FROM health_check WHERE id = 1'),
+	};
+
+	let deliveryWrites = 0;
+
+	function toRow(record) {
+		return {
+			id: record.id,
+			created_at: Number(record.createdAt) || 0,
+			removed: record.removed ? 1 : 0,
+			owner: record.owner || null,
+			data: JSON.stringify(record),
+		};
+	}
+
+	function getVideo(id) {
+		const row = stmts.getVideo.get(id);
+		return row ? JSON.parse(row.data) : null;
+	}
+
+	const updateVideo = db.transaction((id, patch) => {
+		const cur = getVideo(id);
+		if (!cur) return null;
+		const next = { ...cur, ...patch };
+		stmts.putVideo.run(toRow(next));
+		return next;
+	});
+
+	const deleteUser = db.transaction((id) => {
+		stmts.deleteUserKeys.run(id);
+		return stmts.deleteUser.run(id).changes > 0;
+	});
+
+	// counters are added in SQL; the referrer map is merged here
+	const addStats = db.transaction((rows) => {
+		for (const r of rows) {
+			const cur = stmts.getStats.get(r.videoId, r.day);
+			const referrers = cur ? JSON.parse(cur.referrers) : {};
+			for (const [ref, n] of Object.entries(r.referrers || {})) referrers[ref] = (referrers[ref] || 0) + n;
+			stmts.putStats.run({
+				videoId: r.videoId,
+				day: r.day,
+				views: r.views || 0,
+				crawlerHits: r.crawlerHits || 0,
+				bytes: r.bytes || 0,
+				referrers: JSON.stringify(referrers),
+			});
+		}
+	});
+
+	const deleteVideo = db.transaction((id) => {
+		const info = stmts.deleteVideo.run(id);
+		stmts.removeShortsForVideo.run(id);
+		stmts.deleteStats.run(id);
+		return info.changes > 0;
+	});
+
+	return {
+		backend: 'sqlite',
+		db,
+
+		getVideo,
+
+		putVideo(record) {
+			if (!record || !record.id) throw new Error('record id required');
+			stmts.putVideo.run(toRow(record));
+			return { ...record };
+		},
+
+		updateVideo,
+		deleteVideo,
+
+		listVideos() {
+			return stmts.listVideos.all().map((r) => JSON.parse(r.data));
+		},
+
+		listVideosByOwner(ownerId) {
+			return stmts.listVideosByOwner.all(ownerId).map((r) => JSON.parse(r.data));
+		},
+
+		resolveShort(short) {
+			const row = stmts.resolveShort.get(short);
+			return row ? row.video_id : null;
+		},
+
+		addShort(short, id) {
+			return stmts.addShort.run(short, id).changes > 0;
+		},
+
+		// Point a short id at a video, claiming it or moving it from another video.
+		setShort(short, id) {
+			stmts.setShort.run(short, id);
+			return true;
+		},
+
+		removeShort(short) {
+			return stmts.removeShort.run(short).changes > 0;
+		},
+
+		getShortsForVideo(id) {
+			return stmts.shortsForVideo.all(id).map((r) => r.short);
+		},
+
+		removeShortsForVideo(id) {
+			return stmts.removeShortsForVideo.run(id).changes;
+		},
+
+		getJob(id) {
+			const row = stmts.getJob.get(id);
+			return row ? JSON.parse(row.data) : null;
+		},
+
+		putJob(job) {
+			if (!job || !job.id) throw new Error('job id required');
+			stmts.putJob.run({ id: job.id, status: job.status || 'queued', created_at: Number(job.createdAt) || 0, data: JSON.stringify(job) });
+			return { ...job };
+		},
+
+		deleteJob(id) {
+			return stmts.deleteJob.run(id).changes > 0;
+		},
+
+		listJobs() {
+			return stmts.listJobs.all().map((r) => JSON.parse(r.data));
+		},
+
+		getUser(id) {
+			const row = stmts.getUser.get(id);
+			return row ? JSON.parse(row.data) : null;
+		},
+
+		getUserByName(name) {
+			const row = stmts.getUserByName.get(String(name || ''));
+			return row ? JSON.parse(row.data) : null;
+		},
+
+		putUser(user) {
+			if (!user || !user.id) throw new Error('user id required');
+			stmts.putUser.run({ id: user.id, name: user.name, created_at: Number(user.createdAt) || 0, data: JSON.stringify(user) });
+			return { ...user };
+		},
+
+		deleteUser,
+
+		listUsers() {
+			return stmts.listUsers.all().map((r) => JSON.parse(r.data));
+		},
+
+		getApiKey(id) {
+			const row = stmts.getApiKey.get(id);
+			return row ? JSON.parse(row.data) : null;
+		},
+
+		putApiKey(key) {
+			if (!key || !key.id) throw new Error('key id required');
+			stmts.putApiKey.run({ id: key.id, user_id: key.userId, created_at: Number(key.createdAt) || 0, data: JSON.stringify(key) });
+			return { ...key };
+		},
+
+		listApiKeys(userId) {
+			const rows = userId ? stmts.listApiKeysForUser.all(userId) : stmts.listApiKeys.all();
+			return rows.map((r) => JSON.parse(r.data));
+		},
+
+		addStats,
+
+		listStats({ videoId, since } = {}) {
+			return stmts.listStats.all({ videoId: videoId || null, since: since || null }).map((r) => ({
+				videoId: r.video_id,
+				day: r.day,
+				views: r.views,
+				crawlerHits: r.crawler_hits,
+				bytes: r.bytes,
+				referrers: JSON.parse(r.referrers),
+			}));
+		},
+
+		addAudit(entry) {
+			const info = stmts.addAudit.run(entry.at || Date.now(), entry.target || null, JSON.stringify(entry));
+			return { ...entry, id: Number(info.lastInsertRowid) };
+		},
+
+		listAudit({ limit, before, target } = {}) {
+			return stmts.listAudit.all({ before: before || null, target: target || null, limit: limit || 100 })
+				.map((r) => ({ ...JSON.parse(r.data), id: r.id }));
+		},
+
+		getWebhook(id) {
+			const row = stmts.getWebhook.get(id);
+			return row ? JSON.parse(row.data) : null;
+		},
+
+		putWebhook(hook) {
+			if (!hook || !hook.id) throw new Error('webhook id required');
+			stmts.putWebhook.run({ id: hook.id, created_at: Number(hook.createdAt) || 0, data: JSON.stringify(hook) });
+			return { ...hook };
+		},
+
+		deleteWebhook(id) {
+			return stmts.deleteWebhook.run(id).changes > 0;
+		},
+
+		listWebhooks() {
+			return stmts.listWebhooks.all().map((r) => JSON.parse(r.data));
+		},
+
+		getDelivery(id) {
+			const row = stmts.getDelivery.get(id);
+			return row ? JSON.parse(row.data) : null;
+		},
+
+		// Insert or update a webhook delivery; finished ones beyond the newest MAX_DELIVERIES
+		// are dropped now and then
+		putDelivery(delivery) {
+			if (!delivery || !delivery.id) throw new Error('delivery id required');
+			stmts.putDelivery.run({
+				id: delivery.id,
+				webhook_id: delivery.webhookId,
+				status: delivery.status || 'pending',
+				created_at: Number(delivery.createdAt) || 0,
+				data: JSON.stringify(delivery),
+			});
+			if (++deliveryWrites % 100 === 0) stmts.pruneDeliveries.run({ keep: MAX_DELIVERIES });
+			return { ...delivery };
+		},
+
+		// Deliveries newest first, optionally only those created before `before` (ms), for one
+		// webhook or with one status
+		listDeliveries({ limit, before, webhookId, status } = {}) {
+			return stmts.listDeliveries.all({ before: before || null, webhookId: webhookId || null, status: status || null, limit: limit || 100 })
+				.map((r) => JSON.parse(r.data));
+		},
+
+		getCollection(id) {
+			const row = stmts.getCollection.get(id);
+			return row ? JSON.parse(row.data) : null;
+		},
+
+		putCollection(collection) {
+			if (!collection || !collection.id) throw new Error('collection id required');
+			stmts.putCollection.run({ id: collection.id, owner: collection.owner || null, created_at: Number(collection.createdAt) || 0, data: JSON.stringify(collection) });
+			return { ...collection };
+		},
+
+		deleteCollection(id) {
+			return stmts.deleteCollection.run(id).changes > 0;
+		},
+
+		// Newest first; every user's, or only `owner`'s
+		listCollections(owner) {
+			const rows = owner ? stmts.listCollectionsByOwner.all(owner) : stmts.listCollections.all();
+			return rows.map((r) => JSON.parse(r.data));
+		},
+
+		// Write a row and read it back; throws when the database can't be written or read
+		check() {
+			const now = Date.now();
+			stmts.touchHealth.run(now);
+			const row = stmts.readHealth.get();
+			if (!row || row.at !== now) throw new Error('the health check row did not read back');
+		},
+
+		close() {
+			try { db.close(); } catch (e) {}
+		},
+	};
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { log: defaultLog } = require('./log');
+
+// Periodic cleanup of uploads/:
+//  - videos past their expiry time or view limit are removed (via `removeVideo`)
+//  - multer temp files (32 hex chars, no extension) left by aborted uploads
+//  - partial job outputs (*.part.mp4/gif/webp, *.hls.part/, two-pass logs) that no queued or
+//    running job owns
+// Stray files are only touched once they are older than `staleMs`, so uploads and jobs
+// that are in flight right now are never swept. `log` is a logger (lib/log.js).
+function createSweeper({ store, uploadsDir, removeVideo, isExpired, activeVideoIds, intervalMs, staleMs, log, afterSweep }) {
+	const every = Math.max(10 * 1000, intervalMs || 10 * 60 * 1000);
+	const staleAfter = staleMs || 3600 * 1000;
+	const report = log || defaultLog;
+	let timer = null;
+
+	const MULTER_TEMP_RE = /^[0-9a-f]{32}$/;
+	const PARTIAL_RE = /^(.+?)\.(?:(?:[^.]+\.)?part\.(?:mp4|gif|webp)|hls\.part|[^.]+\.passlog-0\.log(?:\.mbtree)?)$/;
+
+	function sweepExpired(now) {
+		let n = 0;
+		for (const v of store.listVideos()) {
+			if (v.removed || !isExpired(v, now)) continue;
+			try { removeVideo(v.id, { expired: true }); n++; } catch (e) {}
+		}
+		return n;
+	}
+
+	function sweepFiles(now) {
+		let n = 0;
+		let entries = [];
+		try { entries = fs.readdirSync(uploadsDir); } catch (e) { return 0; }
+		const active = activeVideoIds ? activeVideoIds() : new Set();
+		for (const name of entries) {
+			const full = path.join(uploadsDir, name);
+			const partial = PARTIAL_RE.exec(name);
+			if (!MULTER_TEMP_RE.test(name) && !partial) continue;
+			if (partial && active.has(partial[1])) continue;
+			let st;
+			try { st = fs.statSync(full); } catch (e) { continue; }
+			if (now - st.mtimeMs < staleAfter) continue;
+			try { fs.rmSync(full, { recursive: true, force: true }); n++; } catch (e) {}
+		}
+		return n;
+	}
+
+	function sweep() {
+		const now = Date.now();
+		const expired = sweepExpired(now);
+		const files = sweepFiles(now);
+		if (expired || files) report.info('Sweeper removed expired videos and stray files', { expired, files });
+		// extra housekeeping that should run on the same schedule (e.g. quota eviction)
+		if (afterSweep) { try { afterSweep(); } catch (e) { report.error('Sweeper error', { error: e.message }); } }
+		return { expired, files };
+	}
+
+	return {
+		sweep,
+		start() {
+			if (timer) return;
+			timer = setInterval(() => { try { sweep(); } catch (e) { report.error('Sweeper error', { error: e.message }); } }, every);
+			if (timer.unref) timer.unref();
+		},
+		stop() {
+			if (timer) clearInterval(timer);
+			timer = null;
+		},
+	};
+}
+
+module.exports = { createSweeper };
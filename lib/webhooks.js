@@ -0,0 +1,131 @@
+const https = require('https');
+const { publicLookup } = require('./netguard');
+
+// Posting embeds to Discord webhooks. Only https://discord.com/api/webhooks/<id>/<token>
+// URLs are accepted, and connections go through publicLookup. Posts to the same webhook are
+// sent one at a time and paced by Discord's rate-limit headers: once a bucket is used up
+// (X-RateLimit-Remaining: 0) the next post waits X-RateLimit-Reset-After, and a 429 is
+// retried after its retry_after - for every webhook when Discord says the limit is global.
+
+const DISCORD_HOSTS = new Set(['discord.com', 'discordapp.com', 'ptb.discord.com', 'canary.discord.com']);
+const WEBHOOK_PATH_RE = /^\/api\/(?:v\d+\/)?webhooks\/(\d+)\/[A-Za-z0-9_-]+\/?$/;
+
+function httpError(status, message, extra) {
+	const err = new Error(message);
+	err.status = status;
+	Object.assign(err, extra || {});
+	return err;
+}
+
+// The URL of a Discord webhook and its id, or null if `value` isn't one
+function parseDiscordWebhook(value) {
+	let u;
+	try { u = new URL(String(value)); } catch (e) { return null; }
+	if (u.protocol !== 'https:' || !DISCORD_HOSTS.has(u.hostname) || u.port || u.username || u.password) return null;
+	const m = WEBHOOK_PATH_RE.exec(u.pathname);
+	return m ? { url: u, id: m[1] } : null;
+}
+
+// POST `payload` as JSON. Resolves with { status, headers, body } whatever the status.
+function postJson(url, payload, timeoutMs) {
+	return new Promise((resolve, reject) => {
+		const data = JSON.stringify(payload);
+		const req = https.request(url, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
+			lookup: publicLookup,
+			timeout: timeoutMs,
+		}, (res) => {
+			let body = '';
+			res.setEncoding('utf8');
+			res.on('data', (c) => { if (body.length < 65536) body += c; });
+			res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+			res.on('error', reject);
+		});
+		req.on('timeout', () => req.destroy(new Error('webhook request timed out')));
+		req.on('error', reject);
+		req.end(data);
+	});
+}
+
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// `maxPending` posts may wait per webhook; a post that would have to wait longer than
+// `maxWaitMs` for Discord's limits fails with a 429 instead.
+function createWebhookQueue({ maxPending = 20, maxRetries = 3, maxWaitMs = 60 * 1000, timeoutMs = 15 * 1000, request } = {}) {
+	const send = request || ((url, payload) => postJson(url, payload, timeoutMs));
+	const queues = new Map(); // webhook id -> { items, running, resumeAt }
+	let globalResumeAt = 0;
+
+	function applyLimits(q, res) {
+		const h = res.headers || {};
+		const resetAfter = parseFloat(h['x-ratelimit-reset-after']);
+		if (h['x-ratelimit-remaining'] === '0' && resetAfter >= 0) q.resumeAt = Date.now() + resetAfter * 1000;
+		if (res.status !== 429) return;
+		let retryAfter = parseFloat(h['retry-after']);
+		let global = h['x-ratelimit-global'] === 'true';
+		try {
+			const body = JSON.parse(res.body);
+			if (body.retry_after !== undefined) retryAfter = Number(body.retry_after);
+			if (body.global) global = true;
+		} catch (e) {}
+		const until = Date.now() + (retryAfter >= 0 ? retryAfter : 1) * 1000;
+		if (global) globalResumeAt = until;
+		else q.resumeAt = Math.max(q.resumeAt, until);
+	}
+
+	async function run(id, q) {
+		if (q.running) return;
+		q.running = true;
+		while (q.items.length) {
+			const item = q.items[0];
+			const wait = Math.max(q.resumeAt, globalResumeAt) - Date.now();
+			if (wait > maxWaitMs) {
+				q.items.shift();
+				item.reject(httpError(429, 'Discord is rate limiting this webhook', { retryAfterMs: wait }));
+				continue;
+			}
+			if (wait > 0) await sleep(wait);
+			let res;
+			try {
+				res = await send(item.url, item.payload);
+			} catch (e) {
+				q.items.shift();
+				item.reject(e);
+				continue;
+			}
+			applyLimits(q, res);
+			if (res.status === 429 && ++item.attempts <= maxRetries) continue;
+			q.items.shift();
+			item.resolve(res);
+		}
+		q.running = false;
+		if (q.resumeAt <= Date.now()) queues.delete(id);
+	}
+
+	return {
+		// Queue a post to `webhookUrl`. Resolves with Discord's response ({ status, headers,
+		// body }); rejects with err.status 400 (not a Discord webhook) or 429 (too many posts
+		// waiting, or rate limited for too long; err.retryAfterMs says how long).
+		post(webhookUrl, payload) {
+			const hook = parseDiscordWebhook(webhookUrl);
+			if (!hook) return Promise.reject(httpError(400, 'webhookUrl must be a Discord webhook URL (https://discord.com/api/webhooks/...)'));
+			let q = queues.get(hook.id);
+			if (!q) {
+				q = { items: [], running: false, resumeAt: 0 };
+				queues.set(hook.id, q);
+			}
+			if (q.items.length >= maxPending) {
+				return Promise.reject(httpError(429, 'too many posts are waiting for this webhook', { retryAfterMs: Math.max(1000, q.resumeAt - Date.now()) }));
+			}
+			return new Promise((resolve, reject) => {
+				q.items.push({ url: hook.url, payload, attempts: 0, resolve, reject });
+				run(hook.id, q);
+			});
+		},
+	};
+}
+
+module.exports = { parseDiscordWebhook, createWebhookQueue };
@@ -4,16 +4,165 @@ const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const mime = require('mime-types');
+const proxyAddr = require('proxy-addr');
 const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { createStore } = require('./lib/store');
+const {
+	probeMedia, probeDuration, probeDimensions, probeFps, probeSummary, planTranscode, outputOptionsFor, timemarkToSeconds, extractPoster,
+	firstStream, parseSizeBudget, compressionOptions, hlsOptions, runFfmpeg, parseTimestamp, parseCrop, CLIP_FORMATS, clipOptions,
+} = require('./lib/media');
+const { createJobQueue } = require('./lib/jobs');
+const { KEY_PREFIX, safeEqual, generateApiKey, verifyApiKey, publicKey } = require('./lib/auth');
+const { parseTtl, parseMaxViews, isExpired } = require('./lib/expiry');
+const { createSweeper } = require('./lib/sweeper');
+const { parseBytes, formatBytes, diskUsage, freeDiskBytes, videoDiskUsage, videoStoredBytes } = require('./lib/quota');
+const { sniffContainer, mimeFromProbe } = require('./lib/sniff');
+const { createUploadSessions } = require('./lib/resumable');
+const { createAnalytics, summarizeStats, dayKey } = require('./lib/analytics');
+const { parseRange, etagFor, checkConditions, ifRangeMatches } = require('./lib/ranges');
+const { RESERVED_SLUGS, slugError, generateShortId } = require('./lib/slugs');
+const { VISIBILITIES, isProtected, hashPassword, verifyPassword, newAccessSalt, createAccess } = require('./lib/access');
+const { loadDomains } = require('./lib/domains');
+const { parseRate, createLimiter } = require('./lib/ratelimit');
+const { parseDiscordWebhook, createWebhookQueue } = require('./lib/webhooks');
+const { checkUrl, downloadToFile } = require('./lib/download');
+const { createDiscordBot } = require('./lib/discord');
+const { createStorage, videoObjects } = require('./lib/storage');
+const { createEventWebhooks } = require('./lib/events');
+const { log } = require('./lib/log');
+const { createMetrics } = require('./lib/metrics');
 
+// uploads/ is where uploads arrive and jobs do their work; finished files go to `storage`,
+// which is this same directory unless STORAGE_DRIVER says otherwise (see lib/storage)
 const UPLOADS_DIR = path.join(__dirname, 'uploads');
-const DATA_FILE = path.join(__dirname, 'data.json');
 
 if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-if (!fs.existsSync(DATA_FILE)) fs.writeFileSync(DATA_FILE, JSON.stringify({}), 'utf8');
+
+const storage = createStorage({ uploadsDir: UPLOADS_DIR });
+// 'proxy' streams files from storage through the app; 'redirect' sends players to a
+// presigned URL instead, where the driver has them (S3)
+const STORAGE_SERVE = String(process.env.STORAGE_SERVE || 'proxy').toLowerCase() === 'redirect' ? 'redirect' : 'proxy';
+const STORAGE_PRESIGN_TTL = parseTtl(process.env.STORAGE_PRESIGN_TTL || '1h') || 3600 * 1000;
+
+// metadata store (videos + short links). See lib/store for the available backends.
+const store = createStore({ rootDir: __dirname });
+try {
+	const legacyFile = path.join(__dirname, 'data.json');
+	if (store.backend !== 'json' && fs.existsSync(legacyFile) && store.listVideos().length === 0) {
+		const legacy = JSON.parse(fs.readFileSync(legacyFile, 'utf8') || '{}');
+		if (Object.keys(legacy).some((k) => !k.startsWith('_'))) {
+			log.warn('Found data.json but the metadata store is empty; run `npm run import-data` to migrate it');
+		}
+	}
+} catch (e) { /* not fatal */ }
+
+// Event webhooks configured by admins (see lib/events.js). Payloads carry the same URLs as
+// /info/:id, built on the origin of the request behind the event; events with none (finished
+// jobs, the sweeper) use PUBLIC_BASE_URL or the origin the video was uploaded through.
+const eventHooks = createEventWebhooks({
+	store,
+	maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+	backoffMs: (parseFloat(process.env.WEBHOOK_RETRY_BACKOFF_SECONDS) || 10) * 1000,
+	timeoutMs: (parseFloat(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000,
+});
+
+// Prometheus metrics for /metrics (see lib/metrics.js). These are counted as things happen;
+// the gauges (queue depth, sockets, storage) are read at scrape time, further down.
+const metrics = createMetrics({ prefix: 'videohoster_' });
+const metric = {
+	uploads: metrics.counter('uploads_total', 'Videos accepted, by how they arrived (form, resumable, url, discord)', ['source']),
+	uploadBytes: metrics.counter('upload_bytes_total', 'Bytes of accepted videos, by how they arrived', ['source']),
+	transcodeSeconds: metrics.histogram('transcode_duration_seconds', 'Time taken by conversions (transcode) and clips that succeeded', ['type'], [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600]),
+	transcodeFailures: metrics.counter('transcode_failures_total', 'Conversions and clips that failed on their last attempt', ['type']),
+	jobs: metrics.counter('jobs_finished_total', 'Background jobs that finished, by type and outcome (done, error, cancelled)', ['type', 'status']),
+	streamBytes: metrics.counter('stream_bytes_total', 'Bytes of video sent to players: files from /v (file) and HLS segments (hls)', ['kind']),
+	httpRequests: metrics.counter('http_requests_total', 'HTTP requests answered, by method and status code', ['method', 'code']),
+};
+
+// Storage limits (sizes like "2gb"; unset = unlimited). MAX_UPLOAD_SIZE caps a single file,
+// STORAGE_QUOTA all of uploads/, USER_QUOTA each user's videos (overridable per user), and
+// uploads are refused while free disk space is below MIN_FREE_DISK. With STORAGE_EVICT=1 the
+// least recently viewed non-pinned videos are removed to stay under STORAGE_QUOTA.
+const MAX_UPLOAD_SIZE = parseBytes(process.env.MAX_UPLOAD_SIZE) || null;
+const STORAGE_QUOTA = parseBytes(process.env.STORAGE_QUOTA) || null;
+const USER_QUOTA = parseBytes(process.env.USER_QUOTA) || null;
+const MIN_FREE_DISK = parseBytes(process.env.MIN_FREE_DISK === undefined ? '512mb' : process.env.MIN_FREE_DISK) || null;
+const STORAGE_EVICT = ['1', 'true', 'yes'].includes(String(process.env.STORAGE_EVICT || '').toLowerCase());
 
 const app = express();
-const upload = multer({ dest: UPLOADS_DIR });
+// Behind a reverse proxy, set TRUST_PROXY (1/true, a number of hops, or addresses as for
+// Express's "trust proxy") so client IPs and http/https come from the X-Forwarded-* headers,
+// and PUBLIC_BASE_URL (e.g. https://videos.example.com) to fix the origin of generated links
+// instead of taking it from each request's Host header.
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+const PUBLIC_BASE_URL = String(process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '') || null;
+
+// Short domains (see lib/domains.js): DOMAINS_FILE (default domains.json), or the single
+// LAWTON_SHORT_DOMAIN (default lawton.au) with LAWTON_ROOT_REDIRECT when there is no file.
+const domains = loadDomains({
+	file: process.env.DOMAINS_FILE || path.join(__dirname, 'domains.json'),
+	fallback: { host: process.env.LAWTON_SHORT_DOMAIN || 'lawton.au', rootRedirect: process.env.LAWTON_ROOT_REDIRECT || null },
+});
+
+// Rate limits, as token buckets per user (requests with an API key) or else per IP, in the
+// form "30/h", "100/10m", "5gb/h" or "off": RATE_LIMIT_UPLOADS uploads, RATE_LIMIT_UPLOAD_BYTES
+// bytes uploaded, RATE_LIMIT_WEBHOOKS webhook posts and RATE_LIMIT_WS WebSocket connections
+// (per IP). WS_MAX_PER_IP caps the WebSocket connections an IP has open at once.
+const limiters = {
+	uploads: limiterFromEnv('RATE_LIMIT_UPLOADS', '30/h'),
+	uploadBytes: limiterFromEnv('RATE_LIMIT_UPLOAD_BYTES', 'off', parseBytes),
+	webhooks: limiterFromEnv('RATE_LIMIT_WEBHOOKS', '30/h'),
+	ws: limiterFromEnv('RATE_LIMIT_WS', '60/m'),
+};
+const WS_MAX_PER_IP = parseInt(process.env.WS_MAX_PER_IP, 10) || 20;
+
+function limiterFromEnv(name, fallback, parseAmount) {
+	let rate = parseRate(process.env[name] === undefined ? fallback : process.env[name], parseAmount);
+	if (rate === undefined) {
+		log.error(`Invalid ${name} (use e.g. ${fallback === 'off' ? '5gb/h' : fallback} or off); using ${fallback}`);
+		rate = parseRate(fallback, parseAmount);
+	}
+	return rate ? createLimiter(rate) : null;
+}
+
+// Rate limit key: the user for requests with an API key, the client IP otherwise
+function limitKey(req, userId) {
+	const id = userId !== undefined ? userId : req.user && req.user.id;
+	return id ? `user:${id}` : `ip:${req.ip}`;
+}
+
+function sendRateLimited(res, retryAfterMs, error) {
+	const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+	res.setHeader('Retry-After', seconds);
+	return res.status(429).json({ error, retryAfter: seconds });
+}
+
+// Middleware taking one token from `limiter` per request (after uploadAuth, so API key
+// users get their own bucket)
+function rateLimit(limiter, what) {
+	return (req, res, next) => {
+		if (!limiter) return next();
+		const r = limiter.take(limitKey(req));
+		if (!r.ok) return sendRateLimited(res, r.retryAfterMs, `too many ${what}; try again later`);
+		next();
+	};
+}
+
+// Upload limits, checked before any bytes are stored: room in the bytes-per-hour bucket
+// for a multipart upload's declared length, then one token from the uploads bucket. The
+// bytes actually received are charged afterwards.
+function uploadLimits(req, res, next) {
+	const key = limitKey(req);
+	const size = Number(req.get('content-length'));
+	if (limiters.uploadBytes && req.is('multipart/form-data') && size > 0) {
+		const r = limiters.uploadBytes.check(key, size);
+		if (r.tooLarge) return res.status(413).json({ error: `file is larger than the upload allowance of ${formatBytes(limiters.uploadBytes.capacity)}; use resumable uploads` });
+		if (!r.ok) return sendRateLimited(res, r.retryAfterMs, 'upload limit reached; try again later');
+	}
+	return rateLimit(limiters.uploads, 'uploads')(req, res, next);
+}
+const upload = multer({ dest: UPLOADS_DIR, limits: MAX_UPLOAD_SIZE ? { fileSize: MAX_UPLOAD_SIZE } : {} });
 
 const ffmpeg = require('fluent-ffmpeg');
 const http = require('http');
@@ -30,79 +179,87 @@ try {
 // try to set ffprobe too (ffprobe-static provides a bundled binary); fluent-ffmpeg
 // will otherwise try to find a system ffprobe. If ffprobe isn't available, duration
 // detection will be unreliable and progress percent can't be computed from timemark.
+let ffprobePath = null;
 try {
 	const ffprobeStatic = require('ffprobe-static');
 	if (ffprobeStatic && ffprobeStatic.path) {
-		ffmpeg.setFfprobePath(ffprobeStatic.path);
+		ffprobePath = ffprobeStatic.path;
+		ffmpeg.setFfprobePath(ffprobePath);
 	}
 } catch (e) {
 	// not fatal; we'll attempt to continue and fall back to any percent provided by ffmpeg
 }
 
-function transcodeToMp4(inputPath, outputPath, jobId) {
-	return new Promise((resolve, reject) => {
-		// input size for progress estimation
-		let inputSize = 0;
-		try { inputSize = fs.statSync(inputPath).size || 0; } catch (e) { inputSize = 0; }
+// Convert an upload into a web-playable MP4. The input is probed first: streams that are
+// already web-safe (H.264 yuv420p / AAC or MP3) are copied, anything else is re-encoded
+// to H.264 + AAC. Progress is computed from ffmpeg's timemark against the probed
+// duration. Pass a precomputed `probe` to skip the second ffprobe run, and a job queue
+// `ctx` so cancelling the job kills ffmpeg. With `clip` ({ start, end, crop, mute, format },
+// see clipOptions) only that part is cut out and re-encoded, possibly to an animated GIF/WebP.
+async function transcodeToMp4(inputPath, outputPath, jobId, probe, ctx, clip) {
+	if (!probe) {
+		try { probe = await probeMedia(inputPath); } catch (e) { probe = null; }
+	}
+	// without ffprobe we can't inspect the codecs; fall back to a plain remux
+	const plan = probe ? planTranscode(probe, path.extname(inputPath)) : { video: 'copy', audio: 'copy', mode: 'remux' };
+	let duration = probe ? probeDuration(probe) : null;
+	if (!plan.video) throw new Error('no video stream found');
+
+	let inputOptions = [];
+	let outputOptions = outputOptionsFor(plan);
+	let message = plan.mode === 'encode' ? 're-encoding to H.264/AAC' : 'remuxing (copying)';
+	if (clip) {
+		const opts = clipOptions({ ...clip, hasAudio: !!plan.audio });
+		inputOptions = opts.inputOptions;
+		outputOptions = opts.outputOptions;
+		duration = opts.duration;
+		plan.mode = 'clip';
+		message = `cutting ${clip.format === 'mp4' ? 'clip' : clip.format.toUpperCase()}`;
+	}
 
+	return new Promise((resolve, reject) => {
 		const startTime = Date.now();
-		let pollInterval = null;
-
-		const proc = ffmpeg(inputPath)
-			.outputOptions([
-				'-y',                 // overwrite
-				'-c copy',            // copy all streams (no re-encode)
-				'-movflags faststart' // better for web playback
-			])
+
+		const proc = ffmpeg(inputPath);
+		if (inputOptions.length) proc.inputOptions(inputOptions);
+		proc.outputOptions(outputOptions)
 			.on('start', (cmd) => {
-				console.log('Remuxing (copy):', cmd);
+				log.info({ encode: 'Re-encoding', remux: 'Remuxing (copy)', clip: 'Clipping' }[plan.mode], { job: jobId, cmd });
 				// initialize job entry if present
 				try {
 					if (jobId && transcodeJobs[jobId]) {
 						transcodeJobs[jobId].progress = 0;
-						transcodeJobs[jobId].message = 'remuxing (copying)';
+						transcodeJobs[jobId].mode = plan.mode;
+						transcodeJobs[jobId].message = message;
+						transcodeJobs[jobId].mediaDuration = duration;
 						transcodeJobs[jobId].startedAt = Date.now();
 						try { broadcastStatus(jobId); } catch (e) {}
 					}
 				} catch (e) {}
-
-				// start polling output file size to estimate progress
-				pollInterval = setInterval(() => {
-					try {
-						if (!inputSize) return;
-						let outSize = 0;
-						try { outSize = fs.statSync(outputPath).size || 0; } catch (e) { outSize = 0; }
-						const pct = Math.min(100, Math.round((outSize / inputSize) * 100));
-						if (jobId && transcodeJobs[jobId]) {
-							transcodeJobs[jobId].progress = pct;
-							const elapsed = Math.max(0, Math.round((Date.now() - startTime) / 1000));
-							transcodeJobs[jobId].elapsed = elapsed;
-							if (pct > 0) {
-								const totalEst = Math.round(elapsed * (100 / pct));
-								transcodeJobs[jobId].eta = Math.max(0, totalEst - elapsed);
-							} else {
-								transcodeJobs[jobId].eta = null;
-							}
-							try { broadcastStatus(jobId); } catch (e) {}
-						}
-					} catch (e) {}
-				}, 800);
 			})
 			.on('progress', (p) => {
-				// also update timemark if available
 				try {
-					if (jobId && transcodeJobs[jobId] && p && p.timemark) {
-						transcodeJobs[jobId].timemark = p.timemark;
-						try { broadcastStatus(jobId); } catch (e) {}
+					if (!jobId || !transcodeJobs[jobId] || !p) return;
+					const job = transcodeJobs[jobId];
+					if (p.timemark) job.timemark = p.timemark;
+					const done = timemarkToSeconds(p.timemark);
+					let pct = null;
+					if (duration && done !== null) pct = (done / duration) * 100;
+					else if (typeof p.percent === 'number') pct = p.percent;
+					const elapsed = Math.max(0, Math.round((Date.now() - startTime) / 1000));
+					job.elapsed = elapsed;
+					if (pct !== null && isFinite(pct)) {
+						job.progress = Math.max(0, Math.min(99, Math.round(pct)));
+						job.eta = pct > 0 ? Math.max(0, Math.round(elapsed * (100 / pct)) - elapsed) : null;
 					}
+					try { broadcastStatus(jobId); } catch (e) {}
 				} catch (e) {}
 			})
 			.on('error', (err) => {
-				if (pollInterval) clearInterval(pollInterval);
+				try { fs.unlinkSync(outputPath); } catch (e) {}
 				return reject(new Error(err.message || String(err)));
 			})
 			.on('end', () => {
-				if (pollInterval) clearInterval(pollInterval);
 				// On end, ensure progress is 100%
 				try {
 					if (jobId && transcodeJobs[jobId]) {
@@ -112,48 +269,529 @@ function transcodeToMp4(inputPath, outputPath, jobId) {
 						try { broadcastStatus(jobId); } catch (e) {}
 					}
 				} catch (e) {}
-				return resolve({ outputPath });
-			})
-			.save(outputPath);
+				return resolve({ outputPath, plan });
+			});
+		if (ctx) ctx.onCancel(() => { try { proc.kill('SIGKILL'); } catch (e) {} });
+		proc.save(outputPath);
 	});
 }
 
 
-// in-memory transcode job tracking
+// live transcode job state pushed to clients (progress, eta, ...). The durable part of
+// each job (status, attempts) lives in the job queue below and is mirrored in here.
 const transcodeJobs = {}; // id -> { status, progress, message }
 
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+const jobQueue = createJobQueue({
+	store,
+	concurrency: process.env.TRANSCODE_CONCURRENCY || 2,
+	maxAttempts: process.env.TRANSCODE_MAX_ATTEMPTS || 3,
+	backoffMs: process.env.TRANSCODE_RETRY_BACKOFF_MS || 5000,
+	onChange: (job) => {
+		const live = transcodeJobs[job.id] = transcodeJobs[job.id] || { progress: 0 };
+		// keep the 'removed' marker set by /admin/delete
+		if (live.status === 'removed') return;
+		live.type = job.type;
+		live.status = job.status;
+		live.attempts = job.attempts;
+		live.maxAttempts = job.maxAttempts;
+		if (job.status === 'queued') {
+			live.progress = 0;
+			live.eta = null;
+			live.message = job.attempts ? `retrying after error: ${job.error}` : (job.message || 'queued');
+		} else if (job.status === 'running') {
+			live.message = 'starting';
+		} else if (job.status === 'done') {
+			live.progress = 100;
+			live.message = 'finished';
+		} else if (job.status === 'error' || job.status === 'cancelled') {
+			live.message = job.status === 'cancelled' ? 'cancelled' : job.error;
+			if (job.status === 'error') log.error(job.type === 'transcode' ? 'Transcode error' : 'Job error', { job: job.id, type: job.type, video: job.videoId, attempts: job.attempts, error: job.error });
+		}
+		try { broadcastStatus(job.id); } catch (e) {}
+		if (job.status === 'done' || job.status === 'error' || job.status === 'cancelled') countJob(job);
+		// conversions of uploads and clips; the follow-up jobs don't change the video's URL
+		if ((job.type === 'transcode' || job.type === 'clip') && (job.status === 'done' || job.status === 'error')) {
+			const video = store.getVideo(job.videoId);
+			const info = { job: { id: job.id, type: job.type, attempts: job.attempts, error: job.error || null } };
+			if (video) emitVideoEvent(job.status === 'done' ? 'transcode.done' : 'transcode.failed', video, info);
+		}
+	},
+});
+
+// A finished job in the metrics; the duration is that of its last attempt
+function countJob(job) {
+	metric.jobs.inc({ type: job.type, status: job.status });
+	if (job.type !== 'transcode' && job.type !== 'clip') return;
+	if (job.status === 'done' && job.startedAt && job.finishedAt) metric.transcodeSeconds.observe({ type: job.type }, (job.finishedAt - job.startedAt) / 1000);
+	if (job.status === 'error') metric.transcodeFailures.inc({ type: job.type });
+}
+
+function partialPathFor(id) {
+	return path.join(UPLOADS_DIR, id + '.part.mp4');
+}
+
+// A file ffmpeg can read for stored object `key`: the object itself on local storage,
+// otherwise a download into uploads/ that release() deletes. The download is named like a
+// partial file of `videoId`, so the sweeper leaves it alone while that video's job runs.
+async function localCopy(key, videoId) {
+	const direct = storage.localPath(key);
+	if (direct) return { path: direct, release() {} };
+	const tmp = path.join(UPLOADS_DIR, `${videoId}.${crypto.randomBytes(6).toString('hex')}.part.mp4`);
+	const src = await storage.get(key);
+	await new Promise((resolve, reject) => {
+		const out = fs.createWriteStream(tmp);
+		src.on('error', reject);
+		out.on('error', reject);
+		out.on('finish', resolve);
+		src.pipe(out);
+	}).catch((e) => {
+		try { fs.unlinkSync(tmp); } catch (e2) {}
+		throw e;
+	});
+	return { path: tmp, release() { try { fs.unlinkSync(tmp); } catch (e) {} } };
+}
+
+// Convert an uploaded file to MP4 and point its record at the result.
+jobQueue.register('transcode', {
+	run: async (job, ctx) => {
+		const id = job.videoId;
+		const video = store.getVideo(id);
+		if (!video || video.removed) {
+			const err = new Error('video no longer exists');
+			err.permanent = true;
+			throw err;
+		}
+		const inputPath = path.join(UPLOADS_DIR, job.payload.input);
+		const convertedName = id + '.mp4';
+		const convertedPath = path.join(UPLOADS_DIR, convertedName);
+		// write to a partial file first: the input may itself be <id>.mp4
+		const partialPath = partialPathFor(id);
+		await transcodeToMp4(inputPath, partialPath, job.id, null, ctx);
+		if (ctx.cancelled) throw new Error('cancelled');
+		// replace final file with converted one
+		if (inputPath !== convertedPath) { try { fs.unlinkSync(inputPath); } catch (e) {} }
+		fs.renameSync(partialPath, convertedPath);
+
+		// update metadata from the converted file
+		let media = video.media;
+		try { media = probeSummary(await probeMedia(convertedPath)); } catch (e) {}
+		// the poster is cosmetic; don't fail (and retry) the conversion over it. Made before
+		// the file goes to storage, while it's still on disk.
+		try { await generatePoster(id, convertedPath); } catch (e) { log.error('Poster error', { video: id, error: e.message }); }
+		const stored = await storage.put(convertedName, convertedPath, { contentType: 'video/mp4' });
+		store.updateVideo(id, {
+			filename: convertedName,
+			mime: 'video/mp4',
+			size: stored.size,
+			converted: true,
+			media,
+		});
+		// renditions/HLS requested at upload time wait for the converted file
+		queueFollowUps(id, job.payload.followUps || {});
+		return { filename: convertedName };
+	},
+	// remove half-written output after a failure, cancellation or restart
+	cleanup: (job) => {
+		try { fs.unlinkSync(partialPathFor(job.videoId)); } catch (e) {}
+	},
+});
+
+// Extract a poster frame for a video into storage as <id>.jpg and record it (plus the
+// display size and duration, if we didn't get them at upload time) on the video. `inputPath`
+// is the video file on disk, if the caller has it; otherwise it's fetched from storage.
+async function generatePoster(id, inputPath) {
+	const video = store.getVideo(id);
+	if (!video || video.removed) return null;
+	const input = inputPath ? { path: inputPath, release() {} } : await localCopy(video.filename, id);
+	const posterName = id + '.jpg';
+	let probe = null;
+	let duration = video.duration || null;
+	let stored;
+	try {
+		try { probe = await probeMedia(input.path); } catch (e) { probe = null; }
+		duration = (probe && probeDuration(probe)) || duration;
+		const posterPath = path.join(UPLOADS_DIR, posterName);
+		await extractPoster(input.path, posterPath, duration);
+		stored = await storage.put(posterName, posterPath, { contentType: 'image/jpeg' });
+	} finally {
+		input.release();
+	}
+	const patch = { poster: posterName, posterSize: stored.size };
+	const dims = probe && probeDimensions(probe);
+	if (dims) { patch.width = dims.width; patch.height = dims.height; }
+	if (duration) patch.duration = duration;
+	return store.updateVideo(id, patch);
+}
+
+// Poster frames for uploads that are served as-is (converted uploads get theirs at the
+// end of the transcode job). Job id is <videoId>.poster.
+jobQueue.register('poster', {
+	run: async (job) => {
+		await generatePoster(job.videoId);
+		return null;
+	},
+	cleanup: () => {},
+});
+
+function renditionPaths(id, name) {
+	return {
+		filename: `${id}.${name}.mp4`,
+		partial: path.join(UPLOADS_DIR, `${id}.${name}.part.mp4`),
+		passlog: path.join(UPLOADS_DIR, `${id}.${name}.passlog`),
+	};
+}
+
+// Queue a derived rendition of a video that fits a size budget (see parseSizeBudget),
+// optionally capped to `maxHeight` lines and `maxFps`. Returns the rendition name; its
+// job id is <videoId>.<name>, so clients can subscribe to that id for progress.
+function queueRendition(id, target, opts = {}) {
+	const budget = parseSizeBudget(target);
+	if (!budget) throw new Error('invalid size target');
+	const video = store.getVideo(id);
+	if (!video) throw new Error('not found');
+	const maxHeight = parseInt(opts.maxHeight, 10) || null;
+	const maxFps = parseFloat(opts.maxFps) || null;
+	const jobId = `${id}.${budget.name}`;
+	const renditions = { ...(video.renditions || {}) };
+	// drop any previous output; the job will write a fresh one
+	const prev = renditions[budget.name];
+	if (prev && prev.filename) storage.delete(prev.filename).catch((e) => log.error('Storage delete error', { key: prev.filename, error: e.message }));
+	renditions[budget.name] = { target: budget.bytes, maxHeight, maxFps, jobId, requestedAt: Date.now() };
+	store.updateVideo(id, { renditions });
+	jobQueue.enqueue({ id: jobId, type: 'compress', videoId: id, payload: { name: budget.name, target: budget.bytes, maxHeight, maxFps } });
+	return budget.name;
+}
+
+// Two-pass encode of a video into a rendition that fits its size budget. Progress is
+// split evenly between the passes.
+async function compressToSize(video, job, ctx) {
+	const input = await localCopy(video.filename, video.id);
+	try {
+		return await encodeRendition(video, job, ctx, input.path);
+	} finally {
+		input.release();
+	}
+}
 
-// Helper to create short ids (base62)
-function generateShortId(len = 7) {
-	const alphabet = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
-	const bytes = crypto.randomBytes(len);
-	let out = '';
-	for (let i = 0; i < bytes.length; i++) {
-		out += alphabet[bytes[i] % alphabet.length];
+async function encodeRendition(video, job, ctx, inputPath) {
+	const { name, target, maxHeight, maxFps } = job.payload;
+	const paths = renditionPaths(video.id, name);
+	const probe = await probeMedia(inputPath);
+	const duration = probeDuration(probe);
+	const opts = compressionOptions({
+		duration,
+		targetBytes: target,
+		hasAudio: !!firstStream(probe, 'audio'),
+		maxHeight,
+		maxFps,
+		sourceFps: probeFps(probe),
+		passlog: paths.passlog,
+	});
+
+	const startTime = Date.now();
+	const live = transcodeJobs[job.id] = transcodeJobs[job.id] || {};
+	const progressFor = (pass) => (seconds) => {
+		const pct = ((pass - 1) * 50) + Math.min(50, (seconds / duration) * 50);
+		const elapsed = Math.max(0, Math.round((Date.now() - startTime) / 1000));
+		live.progress = Math.max(0, Math.min(99, Math.round(pct)));
+		live.elapsed = elapsed;
+		live.eta = pct > 0 ? Math.max(0, Math.round(elapsed * (100 / pct)) - elapsed) : null;
+		try { broadcastStatus(job.id); } catch (e) {}
+	};
+	const startPass = (pass) => (cmd) => {
+		log.info(`Compressing to ${name} (pass ${pass}/2)`, { job: job.id, cmd });
+		live.mode = 'compress';
+		live.message = `compressing to ${name} (${opts.videoKbps}k video), pass ${pass}/2`;
+		try { broadcastStatus(job.id); } catch (e) {}
+	};
+
+	await runFfmpeg(inputPath, null, opts.pass1, { onStart: startPass(1), onProgress: progressFor(1), ctx });
+	if (ctx.cancelled) throw new Error('cancelled');
+	await runFfmpeg(inputPath, paths.partial, opts.pass2, { onStart: startPass(2), onProgress: progressFor(2), ctx });
+	if (ctx.cancelled) throw new Error('cancelled');
+	const finalPath = path.join(UPLOADS_DIR, paths.filename);
+	fs.renameSync(paths.partial, finalPath);
+	const stored = await storage.put(paths.filename, finalPath, { contentType: 'video/mp4' });
+	return { filename: paths.filename, size: stored.size, videoKbps: opts.videoKbps };
+}
+
+function removePasslogs(passlog) {
+	for (const suffix of ['-0.log', '-0.log.mbtree']) {
+		try { fs.unlinkSync(passlog + suffix); } catch (e) {}
+	}
+}
+
+jobQueue.register('compress', {
+	run: async (job, ctx) => {
+		const video = store.getVideo(job.videoId);
+		if (!video || video.removed) {
+			const err = new Error('video no longer exists');
+			err.permanent = true;
+			throw err;
+		}
+		const out = await compressToSize(video, job, ctx);
+		removePasslogs(renditionPaths(video.id, job.payload.name).passlog);
+		const cur = store.getVideo(video.id);
+		if (cur) {
+			const renditions = { ...(cur.renditions || {}) };
+			renditions[job.payload.name] = { ...(renditions[job.payload.name] || {}), filename: out.filename, size: out.size, videoKbps: out.videoKbps, createdAt: Date.now() };
+			store.updateVideo(video.id, { renditions });
+		}
+		return out;
+	},
+	cleanup: (job) => {
+		const paths = renditionPaths(job.videoId, job.payload.name);
+		try { fs.unlinkSync(paths.partial); } catch (e) {}
+		removePasslogs(paths.passlog);
+	},
+});
+
+// HLS ladder (HLS_LADDER heights, default 1080/720/480) for videos of at least
+// HLS_MIN_DURATION seconds when HLS_ENABLED is set, or on request.
+const HLS_ENABLED = ['1', 'true', 'yes'].includes(String(process.env.HLS_ENABLED || '').toLowerCase());
+const HLS_MIN_DURATION = parseFloat(process.env.HLS_MIN_DURATION) || 300;
+const HLS_LADDER = String(process.env.HLS_LADDER || '1080,720,480').split(',').map((h) => parseInt(h, 10)).filter((h) => h > 0);
+
+function wantsHls(video, requested) {
+	if (requested === true || requested === false) return requested;
+	return HLS_ENABLED && !!video.duration && video.duration >= HLS_MIN_DURATION;
+}
+
+// Job ids the follow-up work for a video will get (see queueFollowUps).
+function followUpJobIds(video, followUps) {
+	const renditions = [];
+	for (const r of followUps.renditions || []) {
+		const budget = parseSizeBudget(r.target);
+		if (budget) renditions.push(`${video.id}.${budget.name}`);
+	}
+	return { renditions, hls: wantsHls(video, followUps.hls) ? `${video.id}.hls` : null };
+}
+
+// Queue the work that needs a web-playable file: size-budget renditions and HLS.
+function queueFollowUps(id, followUps) {
+	const video = store.getVideo(id);
+	if (!video) return { renditions: [], hls: null };
+	const ids = followUpJobIds(video, followUps);
+	for (const r of followUps.renditions || []) {
+		try { queueRendition(id, r.target, r); } catch (e) { log.error('Rendition error', { video: id, target: r.target, error: e.message }); }
+	}
+	if (ids.hls) queueHls(id);
+	return ids;
+}
+
+function hlsDirs(id) {
+	return { dir: `${id}.hls`, partial: path.join(UPLOADS_DIR, `${id}.hls.part`) };
+}
+
+function queueHls(id) {
+	return jobQueue.enqueue({ id: `${id}.hls`, type: 'hls', videoId: id, payload: { ladder: HLS_LADDER } });
+}
+
+// Segment a video into an HLS rendition ladder, stored under <id>.hls/
+jobQueue.register('hls', {
+	run: async (job, ctx) => {
+		const video = store.getVideo(job.videoId);
+		if (!video || video.removed) {
+			const err = new Error('video no longer exists');
+			err.permanent = true;
+			throw err;
+		}
+		const input = await localCopy(video.filename, video.id);
+		try {
+			return await segmentHls(video, job, ctx, input.path);
+		} finally {
+			input.release();
+		}
+	},
+	cleanup: (job) => {
+		try { fs.rmSync(hlsDirs(job.videoId).partial, { recursive: true, force: true }); } catch (e) {}
+	},
+});
+
+// Run the segmenting for an hls job on `inputPath`, then store the output as <id>.hls/
+async function segmentHls(video, job, ctx, inputPath) {
+	const dirs = hlsDirs(video.id);
+	const probe = await probeMedia(inputPath);
+	const duration = probeDuration(probe);
+	const dims = probeDimensions(probe);
+	try { fs.rmSync(dirs.partial, { recursive: true, force: true }); } catch (e) {}
+	fs.mkdirSync(dirs.partial, { recursive: true });
+	const opts = hlsOptions({
+		sourceHeight: dims ? dims.height : null,
+		ladder: job.payload.ladder,
+		hasAudio: !!firstStream(probe, 'audio'),
+		outDir: dirs.partial,
+	});
+
+	const startTime = Date.now();
+	const live = transcodeJobs[job.id] = transcodeJobs[job.id] || {};
+	await runFfmpeg(inputPath, opts.output, opts.args, {
+		ctx,
+		onStart: (cmd) => {
+			log.info('Segmenting HLS', { job: job.id, cmd });
+			live.mode = 'hls';
+			live.message = `segmenting HLS (${opts.variants.join('/')})`;
+			try { broadcastStatus(job.id); } catch (e) {}
+		},
+		onProgress: (seconds) => {
+			if (!duration) return;
+			const pct = (seconds / duration) * 100;
+			const elapsed = Math.max(0, Math.round((Date.now() - startTime) / 1000));
+			live.progress = Math.max(0, Math.min(99, Math.round(pct)));
+			live.elapsed = elapsed;
+			live.eta = pct > 0 ? Math.max(0, Math.round(elapsed * (100 / pct)) - elapsed) : null;
+			try { broadcastStatus(job.id); } catch (e) {}
+		},
+	});
+	if (ctx.cancelled) throw new Error('cancelled');
+
+	const stored = await storage.putDir(dirs.dir, dirs.partial);
+	store.updateVideo(video.id, { hls: { dir: dirs.dir, variants: opts.variants, createdAt: Date.now(), size: stored.size } });
+	return { variants: opts.variants };
+}
+
+// URLs and state of a video's renditions, as returned by /info/:id
+function describeRenditions(video, base) {
+	const out = {};
+	for (const [name, r] of Object.entries(video.renditions || {})) {
+		const job = r.jobId ? jobQueue.get(r.jobId) : null;
+		out[name] = {
+			url: r.filename && base ? `${base}/v/${video.id}/${name}` : null,
+			status: r.filename ? 'done' : (job ? job.status : 'unknown'),
+			jobId: r.jobId || null,
+			size: r.size || null,
+			target: r.target,
+			maxHeight: r.maxHeight || null,
+			maxFps: r.maxFps || null,
+			error: (!r.filename && job && job.error) || null,
+		};
 	}
 	return out;
 }
 
-// If a request arrives at the server with the Host header matching SHORT_DOMAIN and
-// the path is a short id (e.g. GET /abc123), redirect to the internal short handler /s/:id
+// live job state plus the job's place in the queue (1 = next up, 0 = running)
+function jobStatus(id) {
+	if (urlImports.has(id)) return { ...urlImports.get(id), queuePosition: null };
+	const job = transcodeJobs[id];
+	if (!job) return null;
+	let queuePosition = null;
+	try { queuePosition = jobQueue.position(id); } catch (e) {}
+	return { ...job, queuePosition };
+}
+
+// Every request gets an id: the X-Request-Id it came with (a proxy may set one), or a new
+// one. It's sent back in X-Request-Id and logged with the request, so a failure someone
+// reports can be found in the logs. Requests are logged once they're answered; health
+// checks and metrics scrapes only at LOG_LEVEL=debug.
+const HTTP_METHODS = new Set(['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']);
+const QUIET_PATHS = new Set(['/healthz', '/readyz', '/metrics']);
+
+app.use((req, res, next) => {
+	const given = req.get('x-request-id');
+	req.id = given && /^[\w.:-]{1,128}$/.test(given) ? given : uuidv4();
+	res.setHeader('X-Request-Id', req.id);
+	const started = Date.now();
+	res.on('close', () => {
+		metric.httpRequests.inc({ method: HTTP_METHODS.has(req.method) ? req.method : 'OTHER', code: res.statusCode });
+		// the path only: query strings can carry signed-link signatures
+		const urlPath = req.originalUrl.split('?')[0];
+		(QUIET_PATHS.has(urlPath) ? log.debug : log.info)('request', {
+			reqId: req.id,
+			method: req.method,
+			path: urlPath,
+			status: res.statusCode,
+			ms: Date.now() - started,
+			ip: req.ip,
+			// the client went away before the response was finished
+			aborted: res.writableFinished ? undefined : true,
+		});
+	});
+	next();
+});
+
+// Discord interactions are signed over the exact request body, so this route reads it raw
+// and has to come before the JSON parser
+app.post('/discord/interactions', express.raw({ type: '*/*', limit: '1mb' }), (req, res) => {
+	if (!discordBot) return res.status(404).json({ error: 'the Discord bot is not configured' });
+	discordBot.handle(req, res);
+});
+
+app.use(express.json());
+
+// Claim a fresh random short id for a video on `domain` (its linkLength, else 5-7
+// characters). addShort refuses ids that are taken, and every few collisions the id gets
+// a character longer, so this always finds one.
+function assignShortId(id, domain) {
+	for (let attempts = 0; attempts < 40; attempts++) {
+		const length = (domain && domain.linkLength) || 5 + Math.floor(Math.random() * 3);
+		const cand = generateShortId(length + Math.floor(attempts / 4));
+		if (!slugError(cand) && store.addShort(cand, id)) return cand;
+	}
+	throw new Error('could not allocate a short id');
+}
+
+// Origin for the links we hand out: PUBLIC_BASE_URL, or the one the request came in on
+function baseUrl(req) {
+	return PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// The short domain a video's links live on
+function domainOf(video) {
+	return domains.get(video && video.domain);
+}
+
+function shortLinkUrl(slug, domain) {
+	return `https://${domain.host}/${slug}`;
+}
+
+function describeLinks(videoId) {
+	const domain = domainOf(store.getVideo(videoId));
+	return store.getShortsForVideo(videoId).map((slug) => ({ slug, url: shortLinkUrl(slug, domain) }));
+}
+
+// Point `slug` at `video`, claiming it or re-pointing it from another video when
+// `canMove(currentVideoId)` allows. Returns null or { status, error }.
+function pointSlug(slug, video, canMove) {
+	const err = slugError(slug);
+	if (err) return { status: 400, error: err };
+	if (video.removed) return { status: 409, error: 'video is removed' };
+	const current = store.resolveShort(slug);
+	if (current === video.id) return null;
+	if (current && !canMove(current)) return { status: 409, error: 'slug is already taken' };
+	store.setShort(slug, video.id);
+	return null;
+}
+
+// If a request arrives at the server for one of the short domains and the path is a short
+// id (e.g. GET /abc123), redirect to the internal short handler /s/:id. Runs before the
+// static files so the bare domain can redirect instead of showing the upload page.
 app.use((req, res, next) => {
 	try {
-		const host = (req.get('host') || '').toLowerCase();
-		if (host && SHORT_DOMAIN && host.indexOf(SHORT_DOMAIN.toLowerCase()) !== -1) {
-			// If visitor opened the bare domain (e.g. https://lawton.au/), redirect to external landing.
-			if (req.path === '/' || req.path === '') {
-				const ROOT_REDIRECT = process.env.LAWTON_ROOT_REDIRECT || 'https://discord-host.lawtrostudios.com';
-				return res.redirect(302, ROOT_REDIRECT);
+		const domain = domains.match(req.hostname);
+		if (domain) {
+			// If visitor opened the bare domain (e.g. https://lawton.au/), redirect to the domain's landing page.
+			if ((req.path === '/' || req.path === '') && domain.rootRedirect) {
+				return res.redirect(302, domain.rootRedirect);
 			}
 			const m = req.path.match(/^\/([A-Za-z0-9_-]{4,})$/);
-			if (m) {
+			// reserved words are the app's own paths, for a short domain that is also the main host
+			if (m && !RESERVED_SLUGS.has(m[1].toLowerCase())) {
 				const short = m[1];
-				const d = readData();
-				if (d && d._short && d._short[short]) {
-					const id = d._short[short];
-					return res.redirect(302, `/s/${id}`);
+				const id = store.resolveShort(short);
+				// a collection's link goes to its page
+				if (id && id.startsWith(COLLECTION_PREFIX)) {
+					const collection = store.getCollection(id.slice(COLLECTION_PREFIX.length));
+					if (collection && domains.get(collection.domain) === domain) return res.redirect(302, `/c/${encodeURIComponent(collection.id)}`);
+					return sendInvalidEmbed(req, res);
+				}
+				const video = id ? store.getVideo(id) : null;
+				// all domains share one slug namespace, but a link only works on its video's domain
+				if (video && domainOf(video) === domain) {
+					// protected videos are checked here, so the redirect doesn't give away the video id
+					if (!isUnavailable(video) && !checkAccess(req, res, video)) return sendLocked(req, res, video);
+					// keep the query: it may carry a signed link's exp and sig
+					const qs = req.originalUrl.indexOf('?');
+					return res.redirect(302, `/s/${id}${qs === -1 ? '' : req.originalUrl.slice(qs)}`);
 				} else {
 					return sendInvalidEmbed(req, res);
 				}
@@ -165,31 +803,322 @@ app.use((req, res, next) => {
 	next();
 });
 
-function readData() {
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Short domains the caller may upload to (the upload form's domain picker)
+app.get('/domains', uploadAuth, (req, res) => {
+	const items = domains.list.filter((d) => domains.allows(d, req.user)).map((d) => ({ host: d.host, default: d === domains.defaultDomain }));
+	res.json({ ok: true, items });
+});
+
+app.post('/upload', uploadAuth, uploadLimits, storageGuard, receiveUpload, (req, res) => {
+	if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+	if (limiters.uploadBytes) limiters.uploadBytes.charge(limitKey(req), req.file.size);
+	const body = req.body || {};
+	const vis = parseVisibility(body, null);
+	if (vis.error) {
+		try { fs.unlinkSync(req.file.path); } catch (e) {}
+		return res.status(400).json({ error: vis.error });
+	}
+	// passwordHash is only ever set here, never taken from the form
+	const fields = { ...body, visibility: vis.visibility, passwordHash: vis.passwordHash };
+	return acceptUpload(req, res, { path: req.file.path, originalName: req.file.originalname, size: req.file.size, source: 'form' }, fields, req.user);
+});
+
+// Resumable uploads: POST /uploads creates a session for a file of known size, PATCH (or
+// PUT) /uploads/:id appends a chunk at the offset given in the Upload-Offset header,
+// HEAD /uploads/:id reports the current offset and POST /uploads/:id/finalize processes the
+// finished file exactly like /upload. Idle sessions expire after UPLOAD_SESSION_TTL_HOURS.
+const uploadSessions = createUploadSessions({
+	dir: UPLOADS_DIR,
+	ttlMs: (parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 3600 * 1000,
+});
+
+// form fields /upload understands; resumable sessions keep them until finalize
+const UPLOAD_FIELDS = ['ttl', 'maxViews', 'compress', 'compressMaxHeight', 'compressMaxFps', 'hls', 'slug', 'domain', 'title', 'description'];
+
+function sendSessionError(res, err) {
+	if (!err.status) return res.status(500).json({ error: err.message });
+	if (typeof err.offset === 'number') res.setHeader('Upload-Offset', err.offset);
+	return res.status(err.status).json({ error: err.message, offset: err.offset });
+}
+
+function describeSession(session) {
+	return { id: session.id, url: `/uploads/${session.id}`, size: session.size, offset: session.offset, expiresAt: session.expiresAt };
+}
+
+app.post('/uploads', uploadAuth, uploadLimits, (req, res) => {
+	const body = req.body || {};
+	const size = Number(body.size);
+	if (!Number.isInteger(size) || size <= 0) return res.status(400).json({ error: 'size (in bytes) required' });
+	if (MAX_UPLOAD_SIZE && size > MAX_UPLOAD_SIZE) return res.status(413).json({ error: `file too large (max ${formatBytes(MAX_UPLOAD_SIZE)})` });
+	const free = freeDiskBytes(UPLOADS_DIR);
+	if (MIN_FREE_DISK && free !== null && free - size < MIN_FREE_DISK) {
+		return res.status(507).json({ error: 'server is low on disk space; uploads are paused' });
+	}
+	const quota = userQuota(req.user);
+	if (quota && userUsage(req.user.id) + size > quota) {
+		return res.status(413).json({ error: `upload would exceed your storage quota of ${formatBytes(quota)}` });
+	}
+	// reject bad options now rather than after the whole file has been sent
+	if (parseTtl(body.ttl || DEFAULT_TTL) === undefined) return res.status(400).json({ error: 'invalid ttl (use e.g. 1h, 7d or never)' });
+	if (parseMaxViews(body.maxViews) === undefined) return res.status(400).json({ error: 'invalid maxViews' });
+	const slugProblem = checkUploadSlug(body.slug);
+	if (slugProblem) return res.status(slugProblem.status).json({ error: slugProblem.error });
+	const target = domains.forUploader(body.domain, req.user);
+	if (target.error) return res.status(target.status).json({ error: target.error });
+	const vis = parseVisibility(body, null);
+	if (vis.error) return res.status(400).json({ error: vis.error });
+
+	const fields = {};
+	for (const k of UPLOAD_FIELDS) if (body[k] !== undefined && body[k] !== null) fields[k] = String(body[k]);
+	// the session only keeps the password's hash
+	fields.visibility = vis.visibility;
+	if (vis.passwordHash) fields.passwordHash = vis.passwordHash;
+	try {
+		const session = uploadSessions.create({
+			size,
+			originalName: String(body.filename || 'upload').slice(0, 255),
+			fields,
+			owner: req.user ? req.user.id : null,
+		});
+		res.setHeader('Location', `/uploads/${session.id}`);
+		res.setHeader('Upload-Offset', 0);
+		res.status(201).json(describeSession(session));
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+app.head('/uploads/:id', (req, res) => {
+	const session = uploadSessions.get(req.params.id);
+	res.setHeader('Cache-Control', 'no-store');
+	if (!session) return res.status(404).end();
+	res.setHeader('Upload-Offset', session.offset);
+	res.setHeader('Upload-Length', session.size);
+	res.status(200).end();
+});
+
+app.get('/uploads/:id', (req, res) => {
+	const session = uploadSessions.get(req.params.id);
+	res.setHeader('Cache-Control', 'no-store');
+	if (!session) return res.status(404).json({ error: 'upload not found' });
+	res.json(describeSession(session));
+});
+
+async function appendChunk(req, res) {
+	const offset = Number(req.headers['upload-offset']);
+	if (!Number.isInteger(offset) || offset < 0) return res.status(400).json({ error: 'Upload-Offset header required' });
+	// bytes-per-hour limit for the session's owner (or this IP), charged for what arrives
+	const session = limiters.uploadBytes ? uploadSessions.get(req.params.id) : null;
+	const key = session ? limitKey(req, session.owner) : null;
+	if (session) {
+		const r = limiters.uploadBytes.check(key, Number(req.get('content-length')) || 1);
+		if (!r.ok) {
+			res.setHeader('Connection', 'close');
+			if (r.tooLarge) return res.status(413).json({ error: `chunk is larger than the upload allowance of ${formatBytes(limiters.uploadBytes.capacity)}` });
+			return sendRateLimited(res, r.retryAfterMs, 'upload limit reached; try again later');
+		}
+	}
 	try {
-		return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8') || '{}');
-	} catch (e) {
-		return {};
+		const now = await uploadSessions.append(req.params.id, offset, req);
+		if (session) limiters.uploadBytes.charge(key, now - offset);
+		res.setHeader('Upload-Offset', now);
+		res.status(204).end();
+	} catch (err) {
+		if (session && typeof err.offset === 'number') limiters.uploadBytes.charge(key, err.offset - offset);
+		// don't leave the client sending a body we won't read
+		if (!req.complete) res.setHeader('Connection', 'close');
+		sendSessionError(res, err);
+	}
+}
+
+app.patch('/uploads/:id', appendChunk);
+app.put('/uploads/:id', appendChunk);
+
+app.post('/uploads/:id/finalize', async (req, res) => {
+	let session;
+	try { session = uploadSessions.take(req.params.id); } catch (err) { return sendSessionError(res, err); }
+	const owner = session.owner ? store.getUser(session.owner) : null;
+	return acceptUpload(req, res, { path: session.path, originalName: session.originalName, size: session.size, source: 'resumable' }, session.fields, owner);
+});
+
+app.delete('/uploads/:id', (req, res) => {
+	if (!uploadSessions.remove(req.params.id)) return res.status(404).json({ error: 'upload not found' });
+	res.json({ ok: true });
+});
+
+// Where a server-side download lands: a multer-style temp name in uploads/, so the sweeper
+// clears it up if we never get to it
+function downloadTempPath() {
+	return path.join(UPLOADS_DIR, crypto.randomBytes(16).toString('hex'));
+}
+
+// Most bytes a server-side download for `user` may take: MAX_UPLOAD_SIZE, the disk space
+// above MIN_FREE_DISK and what's left of the user's quota. Returns { maxBytes } (null for
+// no limit), or { status, error } when there's no room at all.
+function downloadAllowance(user) {
+	let max = MAX_UPLOAD_SIZE || Infinity;
+	const free = freeDiskBytes(UPLOADS_DIR);
+	if (MIN_FREE_DISK && free !== null) {
+		max = Math.min(max, free - MIN_FREE_DISK);
+		if (max <= 0) return { status: 507, error: 'server is low on disk space; uploads are paused' };
+	}
+	const quota = userQuota(user);
+	if (quota) {
+		max = Math.min(max, quota - userUsage(user.id));
+		if (max <= 0) return { status: 413, error: `your storage quota of ${formatBytes(quota)} is used up` };
 	}
+	return { maxBytes: max === Infinity ? null : max };
 }
 
-function writeData(d) {
-	fs.writeFileSync(DATA_FILE, JSON.stringify(d, null, 2), 'utf8');
+// Imports by URL: POST /upload/url { url, ...upload fields } answers 202 with an import id
+// at once and downloads the file in the background, then processes it exactly like /upload.
+// Progress goes out like a job's, over the WebSocket (subscribe to the import id) and at
+// /transcode-status/<import id>: status running with mode 'download', bytes and total,
+// then done with `result` (the /upload response) or error with `message` and `code` (the
+// HTTP status /upload would have answered). Import ids are random and only given to the
+// caller, since the result can carry signed links. Finished imports are forgotten after
+// 10 minutes.
+const URL_IMPORT_TIMEOUT = (parseFloat(process.env.URL_IMPORT_TIMEOUT_SECONDS) || 300) * 1000;
+const URL_IMPORT_MAX_REDIRECTS = process.env.URL_IMPORT_MAX_REDIRECTS !== undefined ? Math.max(0, parseInt(process.env.URL_IMPORT_MAX_REDIRECTS, 10) || 0) : 3;
+const URL_IMPORT_KEEP_MS = 10 * 60 * 1000;
+const urlImports = new Map(); // import id -> live state, like transcodeJobs
+
+function updateImport(id, changes) {
+	const state = urlImports.get(id);
+	if (!state) return;
+	Object.assign(state, changes);
+	try { broadcastStatus(id); } catch (e) {}
+	if (state.status === 'done' || state.status === 'error') {
+		setTimeout(() => urlImports.delete(id), URL_IMPORT_KEEP_MS).unref();
+	}
 }
 
-app.post('/upload', upload.single('file'), async (req, res) => {
-	if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+app.post('/upload/url', uploadAuth, uploadLimits, (req, res) => {
+	const body = req.body || {};
+	let url;
+	try { url = checkUrl(body.url, true).href; } catch (e) { return res.status(e.status).json({ error: e.message }); }
+	const room = downloadAllowance(req.user);
+	if (room.error) return res.status(room.status).json({ error: room.error });
+	let maxBytes = room.maxBytes;
+	const key = limitKey(req);
+	if (limiters.uploadBytes) {
+		const r = limiters.uploadBytes.check(key, 1);
+		if (!r.ok) return sendRateLimited(res, r.retryAfterMs, 'upload limit reached; try again later');
+		maxBytes = Math.min(maxBytes || Infinity, limiters.uploadBytes.capacity);
+	}
+	// reject bad options before downloading anything
+	if (parseTtl(body.ttl || DEFAULT_TTL) === undefined) return res.status(400).json({ error: 'invalid ttl (use e.g. 1h, 7d or never)' });
+	if (parseMaxViews(body.maxViews) === undefined) return res.status(400).json({ error: 'invalid maxViews' });
+	const slugProblem = checkUploadSlug(body.slug);
+	if (slugProblem) return res.status(slugProblem.status).json({ error: slugProblem.error });
+	const target = domains.forUploader(body.domain, req.user);
+	if (target.error) return res.status(target.status).json({ error: target.error });
+	const vis = parseVisibility(body, null);
+	if (vis.error) return res.status(400).json({ error: vis.error });
+
+	const fields = {};
+	for (const k of UPLOAD_FIELDS) if (body[k] !== undefined && body[k] !== null) fields[k] = String(body[k]);
+	fields.visibility = vis.visibility;
+	if (vis.passwordHash) fields.passwordHash = vis.passwordHash;
+
+	const id = `import-${crypto.randomBytes(16).toString('hex')}`;
+	urlImports.set(id, { status: 'running', mode: 'download', url, bytes: 0, total: null, progress: 0, message: 'downloading', startedAt: Date.now() });
+	res.status(202).json({ ok: true, id, statusUrl: `/transcode-status/${id}` });
+
+	const tempPath = downloadTempPath();
+	let lastUpdate = 0;
+	downloadToFile(url, tempPath, {
+		maxBytes,
+		timeoutMs: URL_IMPORT_TIMEOUT,
+		maxRedirects: URL_IMPORT_MAX_REDIRECTS,
+		onProgress: (bytes, total) => {
+			const progress = total ? Math.min(99, Math.floor((bytes / total) * 100)) : 0;
+			const state = urlImports.get(id);
+			// the import may have been dropped or swept meanwhile; at most a few updates a second
+			if (!state || (Date.now() - lastUpdate < 250 && state.progress === progress)) return;
+			lastUpdate = Date.now();
+			updateImport(id, { bytes, total, progress, elapsed: Math.round((Date.now() - state.startedAt) / 1000) });
+		},
+	}).then(async (got) => {
+		if (limiters.uploadBytes) limiters.uploadBytes.charge(key, got.size);
+		updateImport(id, { mode: 'check', bytes: got.size, progress: 100, message: 'checking file' });
+		const result = await routeResult((r) => acceptUpload(req, r, { path: tempPath, originalName: got.fileName, size: got.size, source: 'url' }, fields, req.user));
+		if (result.status === 200) updateImport(id, { status: 'done', message: 'finished', result: result.body });
+		else updateImport(id, { status: 'error', message: result.body.error, code: result.status });
+	}).catch((e) => {
+		try { fs.unlinkSync(tempPath); } catch (e2) {}
+		updateImport(id, { status: 'error', message: e.message, code: e.status || 500 });
+	});
+});
+
+// Everything that happens once an upload's bytes are on disk, shared by /upload and
+// resumable uploads: quota and content checks, moving the file to <id><ext>, the metadata
+// record, transcode/follow-up jobs and the short link. `file.path` is consumed (moved or deleted);
+// `file.source` says how it arrived, for the metrics.
+async function acceptUpload(req, res, file, fields, user) {
+	// what a failure half-way has to clean up
+	let finalPath = null;
+	let record = null;
+	try {
+		const quotaError = claimStorage(user, file.size, file.path);
+		if (quotaError) {
+			try { fs.unlinkSync(file.path); } catch (e) {}
+			return res.status(quotaError.status).json({ error: quotaError.error });
+		}
+
+		// optional lifetime: ttl ("1h", "7d", "never") and/or a maximum number of views
+		const ttl = parseTtl(fields.ttl || DEFAULT_TTL);
+		const maxViews = parseMaxViews(fields.maxViews);
+		if (ttl === undefined || maxViews === undefined) {
+			try { fs.unlinkSync(file.path); } catch (e) {}
+			return res.status(400).json({ error: ttl === undefined ? 'invalid ttl (use e.g. 1h, 7d or never)' : 'invalid maxViews' });
+		}
+		// optional custom short link
+		const slug = fields.slug ? String(fields.slug) : null;
+		const slugProblem = checkUploadSlug(slug);
+		if (slugProblem) {
+			try { fs.unlinkSync(file.path); } catch (e) {}
+			return res.status(slugProblem.status).json({ error: slugProblem.error });
+		}
+		// the short domain its links go on
+		const target = domains.forUploader(fields.domain, user);
+		if (target.error) {
+			try { fs.unlinkSync(file.path); } catch (e) {}
+			return res.status(target.status).json({ error: target.error });
+		}
+		const domain = target.domain;
+		// optional title and description, shown instead of the file name
+		const details = parseDetails(fields);
+		if (details.error) {
+			try { fs.unlinkSync(file.path); } catch (e) {}
+			return res.status(400).json({ error: details.error });
+		}
 
 		const id = uuidv4();
-		const ext = path.extname(req.file.originalname) || '';
-		const origName = req.file.originalname;
-		const tempName = req.file.filename; // multer's temp name in uploads
-		const tempPath = path.join(UPLOADS_DIR, tempName);
+		const origName = file.originalName;
+		const tempPath = file.path;
+
+		// Don't trust the filename: the container signature and ffprobe decide whether this
+		// is a video at all, what extension it is stored under and the MIME type it's served as.
+		const sniffed = sniffContainer(tempPath);
+		let probe = null;
+		let rejectReason = null;
+		if (!sniffed) rejectReason = 'unsupported file type: not a recognised video container';
+		else {
+			try { probe = await probeMedia(tempPath); } catch (e) {
+				log.info('Rejected upload', { reqId: req.id, file: origName, error: e.message });
+				rejectReason = 'could not read the file as media';
+			}
+			if (probe && !firstStream(probe, 'video')) rejectReason = 'the file has no video stream';
+		}
+		if (rejectReason) {
+			try { fs.unlinkSync(tempPath); } catch (e) {}
+			return res.status(415).json({ error: rejectReason });
+		}
 
-		// target filename initially same extension as original
-		let finalExt = ext.toLowerCase();
+		let finalExt = sniffed.ext;
 		let finalName = id + finalExt;
-		let finalPath = path.join(UPLOADS_DIR, finalName);
+		finalPath = path.join(UPLOADS_DIR, finalName);
 
 		// move multer file to the intended filename (we'll overwrite if needed)
 		try {
@@ -204,361 +1133,2451 @@ app.post('/upload', upload.single('file'), async (req, res) => {
 		let transcodeQueued = false;
 		let warning = null;
 
-		// If not a supported container, try converting to mp4
-		// Do NOT include .mkv here so MKV uploads are converted to MP4 for better browser/Discord support
-		const supportedExts = new Set(['.mp4', '.mov', '.webm']);
-			if (!supportedExts.has(finalExt)) {
-				// schedule an asynchronous transcode job and return immediately. Clients can poll /transcode-status/:id
-				const convertedName = id + '.mp4';
-				const convertedPath = path.join(UPLOADS_DIR, convertedName);
-				converted = false;
-				// transcodeJobs[id] = { status: 'queued', progress: 0, message: 'queued' };
-
-						// run conversion in background (simple flow using transcodeToMp4)
-						transcodeJobs[id] = transcodeJobs[id] || { status: 'queued', progress: 0, message: 'queued' };
-						transcodeQueued = true;
-						(async () => {
-							transcodeJobs[id].status = 'running';
-							transcodeJobs[id].message = 'starting';
-							try { broadcastStatus(id); } catch (e) {}
-							try {
-								transcodeJobs[id].message = 'remux/re-encode (simple)';
-								try { broadcastStatus(id); } catch (e) {}
-								await transcodeToMp4(finalPath, convertedPath, id);
-								// replace final file with converted one
-								try { fs.unlinkSync(finalPath); } catch (e) {}
-								finalName = convertedName;
-								finalPath = convertedPath;
-								finalExt = '.mp4';
-								converted = true;
-
-								// update metadata on disk
-								const d2 = readData();
-								if (d2[id]) {
-									d2[id].filename = finalName;
-									d2[id].mime = mime.lookup(finalPath) || d2[id].mime;
-									d2[id].size = fs.statSync(finalPath).size;
-									d2[id].converted = true;
-									writeData(d2);
-								}
-								transcodeJobs[id].status = 'done';
-								transcodeJobs[id].progress = 100;
-								transcodeJobs[id].message = 'finished';
-								try { broadcastStatus(id); } catch (e) {}
-							} catch (err) {
-								transcodeJobs[id].status = 'error';
-								transcodeJobs[id].message = (err && err.message) || String(err);
-								console.error('Transcode error:', transcodeJobs[id].message);
-								try { broadcastStatus(id); } catch (e) {}
-							}
-						})();
-			}
+		// Web-safe MP4s are served as-is and everything else (MKV, AVI, HEVC/VP9 video,
+		// AC3/DTS audio, ... in any container) is converted to MP4.
+		const plan = planTranscode(probe, finalExt);
+		const media = probeSummary(probe);
+		if (plan.needed) {
+			// queue a background transcode job and return immediately. Clients can poll
+			// /transcode-status/:id or subscribe over the WebSocket for progress.
+			transcodeQueued = true;
+		}
 
 		const stat = fs.statSync(finalPath);
+		const contentType = mimeFromProbe(probe, sniffed);
+		// files served as-is go to storage now; the rest once they're converted
+		if (!transcodeQueued) {
+			try {
+				await storage.put(finalName, finalPath, { contentType });
+			} catch (e) {
+				log.error('Storage error', { reqId: req.id, key: finalName, error: e.message });
+				try { fs.unlinkSync(finalPath); } catch (e2) {}
+				return res.status(503).json({ error: 'could not store the file; try again later' });
+			}
+		}
 
-		const d = readData();
-		d[id] = {
+		record = store.putVideo({
 			id,
 			filename: finalName,
 			originalName: origName,
-			mime: mime.lookup(finalPath) || req.file.mimetype || 'application/octet-stream',
+			title: details.patch.title || null,
+			description: details.patch.description || null,
+			owner: user ? user.id : null,
+			mime: contentType,
 			size: stat.size,
 			createdAt: Date.now(),
 			converted: converted,
-		};
-		writeData(d);
-
-		const host = req.get('host');
-		const protocol = req.protocol;
-		const videoUrl = `${protocol}://${host}/v/${id}`;
-		const shortUrl = `${protocol}://${host}/s/${id}`;
-
-	// generate a compact short id for lawton-style short links
-	let shortId = null;
-	try {
-		const store = readData();
-		store._short = store._short || {};
-		// create a short id and ensure it's unique (few attempts)
-		for (let attempts = 0; attempts < 6; attempts++) {
-			const cand = generateShortId(5 + Math.floor(Math.random() * 3));
-			if (!store._short[cand]) { shortId = cand; break; }
+			width: media.width,
+			height: media.height,
+			duration: media.duration,
+			media,
+			expiresAt: ttl ? Date.now() + ttl : null,
+			maxViews,
+			views: 0,
+			domain: domain.host,
+			// for links in events that have no request of their own
+			baseUrl: baseUrl(req),
+			visibility: fields.visibility || DEFAULT_VISIBILITY,
+			passwordHash: fields.passwordHash || null,
+			accessSalt: newAccessSalt(),
+		});
+		// work to do once the file is web-playable: an optional size-budget rendition
+		// (e.g. compress=10mb, see parseSizeBudget) and HLS (hls=1, or automatic for long videos)
+		const followUps = { renditions: [], hls: null };
+		const body = fields;
+		if (body.compress && body.compress !== 'none') {
+			if (parseSizeBudget(body.compress)) followUps.renditions.push({ target: body.compress, maxHeight: body.compressMaxHeight, maxFps: body.compressMaxFps });
+			else warning = 'ignored invalid compress target';
 		}
-		if (shortId) {
-			store._short[shortId] = id;
-			writeData(store);
+		if (body.hls !== undefined && body.hls !== '') followUps.hls = ['1', 'true', 'on', 'yes'].includes(String(body.hls).toLowerCase());
+
+		// enqueue only once the record exists so the job can find it
+		let followUpJobs;
+		if (transcodeQueued) {
+			jobQueue.enqueue({ id, type: 'transcode', videoId: id, payload: { input: finalName, followUps } });
+			followUpJobs = followUpJobIds(record, followUps);
+		} else {
+			jobQueue.enqueue({ id: id + '.poster', type: 'poster', videoId: id });
+			followUpJobs = queueFollowUps(id, followUps);
 		}
-	} catch (e) { /* ignore */ }
 
-	const resp = { id, videoUrl, shortUrl, info: d[id], transcodeQueued };
-	try { if (shortId) resp.lawtonShortUrl = `https://${SHORT_DOMAIN}/${shortId}`; else resp.lawtonShortUrl = `https://${SHORT_DOMAIN}/${id}`; } catch (e) {}
-		if (warning) resp.warning = warning;
-		res.json(resp);
-});
+		const base = baseUrl(req);
+		const videoUrl = `${base}/v/${id}`;
+		const shortUrl = `${base}/s/${id}`;
 
-// Short redirect link
-app.get('/s/:id', (req, res) => {
-	const id = req.params.id;
-	const d = readData();
-	if (!d[id]) return sendInvalidEmbed(req, res);
-	res.redirect(`/v/${id}`);
-});
+		// the requested slug, or a compact random short id for lawton-style short links
+		let shortId = slug && store.addShort(slug, id) ? slug : null;
+		if (slug && !shortId) warning = `slug "${slug}" was taken meanwhile; a random short link was assigned`;
+		if (!shortId) shortId = assignShortId(id, domain);
 
-// Serve video with Range support so Discord (and browsers) can embed/seek
-app.get('/v/:id', (req, res) => {
-	const id = req.params.id;
-	const d = readData();
-	if (!d[id]) return sendInvalidEmbed(req, res);
-
-	// If this item has been marked removed, serve the public/Removed.png image instead.
-	if (d[id].removed) {
-		const removedImg = path.join(__dirname, 'public', 'Removed.png');
-		if (fs.existsSync(removedImg)) {
-			const stat = fs.statSync(removedImg);
-			res.setHeader('Content-Type', 'image/png');
-			res.setHeader('Content-Length', stat.size);
-			res.setHeader('Cache-Control', 'public, max-age=60');
-			const stream = fs.createReadStream(removedImg);
-			return stream.pipe(res);
-		} else {
-			// fallback to invalid embed if Removed.png not present
-			return sendInvalidEmbed(req, res);
+		const resp = { id, videoUrl, shortUrl, lawtonShortUrl: shortLinkUrl(shortId, domain), info: publicRecord(record), transcodeQueued, renditionJobs: followUpJobs.renditions, hlsJob: followUpJobs.hls };
+		if (warning) resp.warning = warning;
+		metric.uploads.inc({ source: file.source });
+		metric.uploadBytes.inc({ source: file.source }, stat.size);
+		emitVideoEvent('video.uploaded', record, { transcodeQueued }, req);
+		res.json(protectResponse(req, res, record, resp));
+	} catch (e) {
+		log.error('Upload failed', { reqId: req.id, file: file.originalName, error: e.message });
+		for (const p of [file.path, finalPath]) {
+			if (p) { try { fs.unlinkSync(p); } catch (e2) {} }
+		}
+		// a record without its short link or jobs is no use to anyone; drop it quietly
+		if (record) {
+			try {
+				store.updateVideo(record.id, { removed: true, removedAt: Date.now() });
+				purgeVideo(record.id);
+			} catch (e2) {}
 		}
+		if (!res.headersSent) res.status(500).json({ error: e.message || 'upload failed' });
 	}
+}
+
+// A requested upload slug must be valid and free. Returns null or { status, error }.
+function checkUploadSlug(slug) {
+	if (slug === undefined || slug === null || slug === '') return null;
+	const err = slugError(String(slug));
+	if (err) return { status: 400, error: err };
+	if (store.resolveShort(String(slug))) return { status: 409, error: 'slug is already taken' };
+	return null;
+}
 
-	const filePath = path.join(UPLOADS_DIR, d[id].filename);
-	if (!fs.existsSync(filePath)) return sendInvalidEmbed(req, res);
+// --- Clips ---
 
-	const stat = fs.statSync(filePath);
-	const fileSize = stat.size;
-	const range = req.headers.range;
-	const contentType = d[id].mime || mime.lookup(filePath) || 'application/octet-stream';
+// Longest animated GIF/WebP clip we make; MP4 clips can be any length
+const CLIP_MAX_ANIMATED_SECONDS = parseFloat(process.env.CLIP_MAX_ANIMATED_SECONDS) || 30;
 
-	res.setHeader('Accept-Ranges', 'bytes');
-	res.setHeader('Content-Type', contentType);
+function clipPaths(id, format) {
+	const ext = CLIP_FORMATS[format].ext;
+	return { filename: id + ext, partial: path.join(UPLOADS_DIR, `${id}.part${ext}`) };
+}
 
-	if (range) {
-		const parts = range.replace(/bytes=/, '').split('-');
-		const start = parseInt(parts[0], 10);
-		const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-		if (isNaN(start) || isNaN(end) || start > end) {
-			return res.status(416).set('Content-Range', `bytes */${fileSize}`).end();
+// Cut a clip out of its parent video into the clip's own record. The job id is the clip's
+// video id, so its progress reaches clients exactly like an upload's transcode.
+jobQueue.register('clip', {
+	run: async (job, ctx) => {
+		const video = store.getVideo(job.videoId);
+		const parent = store.getVideo(job.payload.parentId);
+		if (!video || video.removed || !parent || isUnavailable(parent)) {
+			const err = new Error('video no longer exists');
+			err.permanent = true;
+			throw err;
 		}
+		const clip = job.payload.clip;
+		const paths = clipPaths(video.id, clip.format);
+		const finalPath = path.join(UPLOADS_DIR, paths.filename);
+		const input = await localCopy(parent.filename, video.id);
+		try {
+			await transcodeToMp4(input.path, paths.partial, job.id, null, ctx, clip);
+		} finally {
+			input.release();
+		}
+		if (ctx.cancelled) throw new Error('cancelled');
+		fs.renameSync(paths.partial, finalPath);
 
-		const chunkSize = (end - start) + 1;
-		res.status(206);
-		res.setHeader('Content-Range', `bytes ${start}-${end}/${fileSize}`);
-		res.setHeader('Content-Length', chunkSize);
-
-		const stream = fs.createReadStream(filePath, { start, end });
-		stream.on('open', () => stream.pipe(res));
-		stream.on('error', (err) => res.status(500).end(err));
-	} else {
-		res.setHeader('Content-Length', fileSize);
-		const stream = fs.createReadStream(filePath);
-		stream.on('open', () => stream.pipe(res));
-		stream.on('error', (err) => res.status(500).end(err));
-	}
+		let media = null;
+		try { media = probeSummary(await probeMedia(finalPath)); } catch (e) {}
+		// ffmpeg can't decode animated WebP, so those go without a poster
+		if (clip.format !== 'webp') {
+			try { await generatePoster(video.id, finalPath); } catch (e) { log.error('Poster error', { video: video.id, error: e.message }); }
+		}
+		const stored = await storage.put(paths.filename, finalPath, { contentType: CLIP_FORMATS[clip.format].mime });
+		store.updateVideo(video.id, {
+			filename: paths.filename,
+			mime: CLIP_FORMATS[clip.format].mime,
+			size: stored.size,
+			converted: true,
+			media,
+			width: media ? media.width : null,
+			height: media ? media.height : null,
+		});
+		return { filename: paths.filename };
+	},
+	cleanup: (job) => {
+		try { fs.unlinkSync(clipPaths(job.videoId, job.payload.clip.format).partial); } catch (e) {}
+	},
 });
 
-// create http server so we can attach WebSocket server
-const PORT = process.env.PORT || 3000;
-const server = http.createServer(app);
-
-// Short URL domain configuration. If LAWTON_SHORT_DOMAIN is set, use it; otherwise default to lawton.au
-const SHORT_DOMAIN = process.env.LAWTON_SHORT_DOMAIN || 'lawton.au';
-// Admin token for simple admin panel authentication. Set ADMIN_TOKEN env var to enable.
-const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+// Create a clip of a video: { id, start, end, crop: "w:h:x:y", mute, format: mp4|gif|webp }.
+// Timestamps are seconds or [HH:]MM:SS; start defaults to 0 and end to the end of the
+// video. The clip becomes a new video with its own id and short link, `parentId` pointing
+// at the source, and is cut by a 'clip' job whose progress is reported under the new id.
+app.post('/clip', uploadAuth, createClip);
 
-// WebSocket server for realtime transcode updates
-const wss = new WebSocket.Server({ server });
-// subscribers: id -> Set of ws
-const subscribers = new Map();
+function createClip(req, res) {
+	try {
+		const body = req.body || {};
+		const parent = body.id ? store.getVideo(body.id) : null;
+		if (!parent || isUnavailable(parent)) return res.status(404).json({ error: 'video not found' });
+		// only the owner can clip a protected video
+		if (isProtected(parent) && !(req.user && req.user.id === parent.owner)) return res.status(404).json({ error: 'video not found' });
+		const active = jobQueue.get(parent.id);
+		if (active && (active.status === 'queued' || active.status === 'running')) return res.status(409).json({ error: 'video is still being converted' });
 
-function broadcastStatus(id) {
-	const set = subscribers.get(id);
-	if (!set) return;
-	const job = transcodeJobs[id] || { status: 'none' };
-	const msg = JSON.stringify({ type: 'status', id, job });
-	for (const ws of set) {
-		try {
-			if (ws.readyState === WebSocket.OPEN) ws.send(msg);
-		} catch (e) {
-			// ignore send errors; individual sockets will be cleaned on close
+		const format = String(body.format || 'mp4').toLowerCase();
+		if (!CLIP_FORMATS[format]) return res.status(400).json({ error: 'format must be mp4, gif or webp' });
+		const start = body.start === undefined || body.start === '' ? 0 : parseTimestamp(body.start);
+		let end = body.end === undefined || body.end === '' ? parent.duration : parseTimestamp(body.end);
+		if (start === null || end === null) return res.status(400).json({ error: 'invalid start/end (use seconds or HH:MM:SS)' });
+		if (!end) return res.status(400).json({ error: 'end required (the video length is unknown)' });
+		if (parent.duration) end = Math.min(end, parent.duration);
+		if (!(end > start)) return res.status(400).json({ error: 'end must be after start (and start within the video)' });
+		if (format !== 'mp4' && end - start > CLIP_MAX_ANIMATED_SECONDS) {
+			return res.status(400).json({ error: `${format.toUpperCase()} clips can be at most ${CLIP_MAX_ANIMATED_SECONDS}s long` });
 		}
-	}
+		let crop = null;
+		if (body.crop) {
+			crop = parseCrop(body.crop);
+			if (!crop) return res.status(400).json({ error: 'invalid crop (use width:height:x:y)' });
+			if (parent.width && parent.height && (crop.x + crop.width > parent.width || crop.y + crop.height > parent.height)) {
+				return res.status(400).json({ error: `crop rectangle is outside the ${parent.width}x${parent.height} video` });
+			}
+		}
+		const quota = userQuota(req.user);
+		if (quota && userUsage(req.user.id) >= quota) return res.status(413).json({ error: 'your storage quota is full' });
+		const target = domains.forUploader(body.domain, req.user);
+		if (target.error) return res.status(target.status).json({ error: target.error });
+
+		const id = uuidv4();
+		const clip = { start, end, crop, mute: ['1', 'true', 'on', 'yes'].includes(String(body.mute).toLowerCase()), format };
+		const baseName = String(parent.originalName || parent.id).replace(/\.[^.]+$/, '');
+		const record = store.putVideo({
+			id,
+			filename: clipPaths(id, format).filename,
+			originalName: `${baseName} (clip ${+start.toFixed(1)}-${+end.toFixed(1)}s)${CLIP_FORMATS[format].ext}`,
+			title: parent.title ? `${parent.title} (clip ${+start.toFixed(1)}-${+end.toFixed(1)}s)`.slice(0, TITLE_MAX) : null,
+			owner: req.user ? req.user.id : null,
+			parentId: parent.id,
+			clip,
+			mime: CLIP_FORMATS[format].mime,
+			size: 0,
+			createdAt: Date.now(),
+			converted: false,
+			width: null,
+			height: null,
+			duration: end - start,
+			views: 0,
+			domain: target.domain.host,
+			baseUrl: baseUrl(req),
+			// clips are as private as the video they come from
+			visibility: parent.visibility || 'unlisted',
+			passwordHash: parent.passwordHash || null,
+			accessSalt: newAccessSalt(),
+		});
+		jobQueue.enqueue({ id, type: 'clip', videoId: id, payload: { parentId: parent.id, clip } });
+
+		const shortId = assignShortId(id, target.domain);
+		emitVideoEvent('video.uploaded', record, { transcodeQueued: true, clipOf: parent.id }, req);
+		const base = baseUrl(req);
+		res.json(protectResponse(req, res, record, {
+			id,
+			videoUrl: `${base}/v/${id}`,
+			shortUrl: `${base}/s/${id}`,
+			lawtonShortUrl: shortLinkUrl(shortId, target.domain),
+			info: publicRecord(record),
+			transcodeQueued: true,
+			jobId: id,
+		}));
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
 }
 
-wss.on('connection', (ws, req) => {
+// --- Visibility ---
+
+// Whether this request may see `video`. Public and unlisted videos are open to anyone with
+// the link; protected ones need a valid signed link (?exp=&sig=) or access cookie. A valid
+// signed link also sets the cookie, so the player's own requests (file, HLS segments,
+// poster) get in without carrying the signature.
+function checkAccess(req, res, video) {
+	if (video.visibility !== 'public') res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+	if (!isProtected(video)) return true;
+	// never let a shared cache hand a protected response to someone else
+	res.setHeader('Cache-Control', 'private, no-cache');
+	if (access.checkQuery(video, req.query)) {
+		setAccessCookie(req, res, video, Number(req.query.exp));
+		return true;
+	}
+	return access.checkCookie(video, req.headers.cookie);
+}
+
+// `exp` is in unix seconds
+function setAccessCookie(req, res, video, exp) {
+	res.cookie(access.cookieName(video), access.cookieValue(video, exp), {
+		maxAge: Math.max(0, exp * 1000 - Date.now()),
+		path: '/',
+		httpOnly: true,
+		sameSite: 'lax',
+		secure: req.secure,
+	});
+}
+
+// The request's signed-link query, to carry over to the media URLs of pages we render for
+// it: crawlers and embedded players don't have the access cookie.
+function accessQuery(req, video) {
+	if (!isProtected(video) || !access.checkQuery(video, req.query)) return '';
+	return `?exp=${encodeURIComponent(req.query.exp)}&sig=${encodeURIComponent(req.query.sig)}`;
+}
+
+// Links to a video that work for `ttlMs` without a password or cookie. `expiresAt` is in ms.
+function signedLinks(req, video, ttlMs) {
+	const { exp, query } = access.signedQuery(video, ttlMs);
+	const base = baseUrl(req);
+	const slug = store.getShortsForVideo(video.id)[0];
+	return {
+		url: `${slug ? shortLinkUrl(slug, domainOf(video)) : `${base}/s/${video.id}`}?${query}`,
+		shortUrl: `${base}/s/${video.id}?${query}`,
+		videoUrl: `${base}/v/${video.id}?${query}`,
+		expiresAt: exp * 1000,
+	};
+}
+
+// An upload/clip response for a protected video: the uploader gets the access cookie so
+// they can watch it straight away, and the links of signed videos come signed.
+function protectResponse(req, res, video, resp) {
+	if (!isProtected(video)) return resp;
+	setAccessCookie(req, res, video, Math.floor((Date.now() + UNLOCK_TTL) / 1000));
+	if (video.visibility === 'signed') {
+		const links = signedLinks(req, video, SIGNED_URL_TTL);
+		Object.assign(resp, { videoUrl: links.videoUrl, shortUrl: links.shortUrl, lawtonShortUrl: links.url, signedUntil: links.expiresAt });
+	}
+	return resp;
+}
+
+// A video record without the fields that must never leave the server
+function publicRecord(video) {
+	const { passwordHash, accessSalt, ...rest } = video;
+	return rest;
+}
+
+// Visibility options of an upload or change ({ visibility, password }) for `video` (null for
+// a new upload). A password on its own implies visibility=password. Returns { visibility,
+// passwordHash } (passwordHash only when a new password was given) or { error }.
+function parseVisibility(body, video) {
+	const password = body.password === undefined || body.password === null ? '' : String(body.password);
+	const fallback = video ? video.visibility || 'unlisted' : DEFAULT_VISIBILITY;
+	const visibility = body.visibility ? String(body.visibility).toLowerCase() : (password ? 'password' : fallback);
+	if (!VISIBILITIES.includes(visibility)) return { error: `visibility must be one of ${VISIBILITIES.join(', ')}` };
+	if (password && visibility !== 'password') return { error: 'a password needs visibility=password' };
+	if (password.length > 256) return { error: 'password is too long' };
+	if (visibility === 'password' && !password && !(video && video.passwordHash)) return { error: 'password required' };
+	return { visibility, passwordHash: password ? hashPassword(password) : undefined };
+}
+
+// Change a video's visibility. Every change gets a fresh access salt, so cookies and signed
+// links issued before it stop working. Returns { visibility } or { error }.
+function changeVisibility(video, body) {
+	const vis = parseVisibility(body || {}, video);
+	if (vis.error) return vis;
+	const patch = { visibility: vis.visibility, accessSalt: newAccessSalt() };
+	if (vis.passwordHash) patch.passwordHash = vis.passwordHash;
+	else if (vis.visibility !== 'password') patch.passwordHash = null;
+	store.updateVideo(video.id, patch);
+	return { visibility: vis.visibility };
+}
+
+// Respond with signed links to a protected video, valid for `ttl` (default SIGNED_URL_TTL)
+function sendSignedLinks(req, res, video, ttl) {
+	if (!isProtected(video)) return res.status(400).json({ error: 'only password and signed videos need signed links' });
+	const ttlMs = ttl ? parseTtl(ttl) : SIGNED_URL_TTL;
+	if (!ttlMs) return res.status(400).json({ error: 'invalid ttl (use e.g. 1h or 7d)' });
+	res.json({ ok: true, ...signedLinks(req, video, ttlMs) });
+}
+
+// What someone without access to a protected video gets: crawlers a generic embed (no
+// title, poster or media), browsers the password form or, for signed videos, a notice that
+// the link is invalid or has expired.
+function sendLocked(req, res, video, opts = {}) {
+	const crawler = isEmbedCrawler(req);
+	const password = video.visibility === 'password';
+	const description = password
+		? 'This video is password protected. Open the link to unlock it.'
+		: 'This video can only be watched through a valid link, and this one is invalid or has expired.';
+	let body = '';
+	if (!crawler) {
+		body = password
+			? `<form method="post" action="/unlock/${encodeURIComponent(video.id)}">
+			<h1>Protected video</h1>
+			${opts.error ? `<p class="error">${escapeHtml(opts.error)}</p>` : ''}
+			<input type="password" name="password" placeholder="Password" required autofocus />
+			<button type="submit">Unlock</button>
+		</form>`
+			: `<h1>Protected video</h1><p>${description}</p>`;
+	}
+	const html = `<!doctype html><html><head>
+		<meta charset="utf-8" />
+		<meta name="viewport" content="width=device-width,initial-scale=1" />
+		<meta name="robots" content="noindex, nofollow" />
+		<title>Protected video</title>
+		<meta property="og:title" content="Protected video" />
+		<meta property="og:description" content="${description}" />
+		<meta name="theme-color" content="${escapeHtml(EMBED_THEME_COLOR)}" />
+		<meta name="twitter:card" content="summary" />
+		<style>body{font-family:system-ui,Arial;background:#111;color:#eee;margin:0}main{max-width:420px;margin:80px auto;padding:0 16px}h1{font-size:18px;font-weight:600}input,button{font:inherit;padding:8px;margin:4px 0}input{width:100%;box-sizing:border-box}.error{color:#f77}</style>
+		</head><body><main>${body}</main></body></html>`;
+	res.setHeader('Content-Type', 'text/html');
+	res.setHeader('Cache-Control', 'private, no-store');
+	// crawlers only build previews from 200 responses
+	res.status(crawler ? 200 : 403).send(html);
+}
+
+// The password form posts here; a correct password sets the access cookie for UNLOCK_TTL
+app.post('/unlock/:id', express.urlencoded({ extended: false }), (req, res) => {
+	const video = store.getVideo(req.params.id);
+	if (!video || isUnavailable(video)) return sendInvalidEmbed(req, res);
+	const page = `/s/${encodeURIComponent(video.id)}`;
+	if (video.visibility !== 'password') return res.redirect(303, page);
+	const password = req.body && req.body.password;
+	if (!password || !verifyPassword(password, video.passwordHash)) return sendLocked(req, res, video, { error: 'Wrong password' });
+	setAccessCookie(req, res, video, Math.floor((Date.now() + UNLOCK_TTL) / 1000));
+	res.redirect(303, page);
+});
+
+// Short link / embed page. Link-preview crawlers (Discordbot etc.) get a page of Open
+// Graph + Twitter player tags pointing at the raw file; browsers get a player page.
+app.get('/s/:id', (req, res) => {
+	const id = req.params.id;
+	const video = store.getVideo(id);
+	if (!video) return sendInvalidEmbed(req, res);
+	if (isUnavailable(video)) return sendImageEmbed(req, res, `${baseUrl(req)}/Removed.png`);
+	if (!checkAccess(req, res, video)) return sendLocked(req, res, video);
+	const query = accessQuery(req, video);
+	// animated GIF/WebP clips embed as images
+	if (String(video.mime || '').startsWith('image/')) return sendImageEmbed(req, res, `${baseUrl(req)}/v/${id}${query}`, video.mime);
+	// the browser player page is counted when it requests the file
+	if (isEmbedCrawler(req)) analytics.recordHit(req, id);
+	return sendVideoEmbed(req, res, video, { player: !isEmbedCrawler(req), query });
+});
+
+// Bare player page used as the twitter:player iframe
+app.get('/player/:id', (req, res) => {
+	const video = store.getVideo(req.params.id);
+	if (!video || isUnavailable(video)) return sendInvalidEmbed(req, res);
+	if (!checkAccess(req, res, video)) return sendLocked(req, res, video);
+	const html = `<!doctype html><html><head><meta charset="utf-8" /><meta name="viewport" content="width=device-width,initial-scale=1" />
+		<style>html,body{margin:0;height:100%;background:#000}video{width:100%;height:100%;object-fit:contain}</style>
+		</head><body>${videoPlayerHtml(video, accessQuery(req, video))}</body></html>`;
+	res.setHeader('Content-Type', 'text/html');
+	res.send(html);
+});
+
+// Poster frame extracted at upload/transcode time
+app.get('/poster/:id', async (req, res) => {
+	const video = store.getVideo(req.params.id);
+	if (video && isUnavailable(video)) return res.redirect(302, '/Removed.png');
+	if (video && !checkAccess(req, res, video)) return res.status(403).end();
+	if (!video || !video.poster) return res.redirect(302, '/invalid.png');
+	let stream;
+	try {
+		stream = await storage.get(video.poster);
+	} catch (e) {
+		if (e.code !== 'ENOENT') log.error('Storage error', { reqId: req.id, key: video.poster, error: e.message });
+		return res.redirect(302, '/invalid.png');
+	}
+	res.setHeader('Content-Type', 'image/jpeg');
+	if (!res.getHeader('Cache-Control')) res.setHeader('Cache-Control', 'public, max-age=3600');
+	stream.on('error', () => res.destroy());
+	stream.pipe(res);
+});
+
+// Serve video with Range support so Discord (and browsers) can embed/seek
+app.get('/v/:id', (req, res) => {
+	const id = req.params.id;
+	const video = store.getVideo(id);
+	if (!video) return sendInvalidEmbed(req, res);
+
+	// If this item has been marked removed (or has expired), serve the public/Removed.png image instead.
+	if (isUnavailable(video)) return sendRemovedImage(req, res);
+	if (!checkAccess(req, res, video)) return sendLocked(req, res, video);
+
+	countView(req, video);
+	return sendVideoFile(req, res, video.filename, video.mime, video.id);
+});
+
+// Serve a derived rendition (e.g. /v/:id/10mb) with the same Range support
+app.get('/v/:id/:rendition', (req, res) => {
+	const video = store.getVideo(req.params.id);
+	if (!video) return sendInvalidEmbed(req, res);
+	if (isUnavailable(video)) return sendRemovedImage(req, res);
+	if (!checkAccess(req, res, video)) return sendLocked(req, res, video);
+	const r = (video.renditions || {})[req.params.rendition];
+	if (!r || !r.filename) return sendInvalidEmbed(req, res);
+	countView(req, video);
+	return sendVideoFile(req, res, r.filename, 'video/mp4', video.id);
+});
+
+// HLS playlists and segments produced by the 'hls' job
+const HLS_FILE_RE = /^(?:master|\d+p)\.m3u8$|^\d+p_\d+\.ts$/;
+
+app.get('/hls/:id/:file', async (req, res) => {
+	const video = store.getVideo(req.params.id);
+	if (!video || isUnavailable(video) || !video.hls) return res.status(404).end();
+	// before anything else, so a 404 can't tell an outsider which files a protected video has
+	if (!checkAccess(req, res, video)) return res.status(403).end();
+	const file = req.params.file;
+	if (!HLS_FILE_RE.test(file)) return res.status(404).end();
+	const key = `${video.hls.dir}/${file}`;
+	try {
+		const stat = await storage.stat(key);
+		if (!stat) return res.status(404).end();
+		const isPlaylist = file.endsWith('.m3u8');
+		// players fetch the master playlist once per session, then variants and segments
+		if (file === 'master.m3u8') countView(req, video);
+		// playlists always come from here: their segment URLs are relative to this path
+		const direct = !isPlaylist && presignedUrl(key, 'video/mp2t');
+		if (direct) return res.redirect(302, direct);
+		res.setHeader('Content-Type', isPlaylist ? 'application/vnd.apple.mpegurl' : 'video/mp2t');
+		res.setHeader('Content-Length', stat.size);
+		// segments never change; playlists are small, keep them short-lived (protected videos
+		// are already marked private)
+		if (!res.getHeader('Cache-Control')) res.setHeader('Cache-Control', isPlaylist ? 'public, max-age=60' : 'public, max-age=86400');
+		const stream = await storage.get(key);
+		stream.on('error', () => res.destroy());
+		if (!isPlaylist) countBytes(stream, video.id, 'hls');
+		stream.pipe(res);
+	} catch (e) {
+		log.error('Storage error', { reqId: req.id, key, error: e.message });
+		if (!res.headersSent) res.status(502).end();
+	}
+});
+
+// hls.js for browsers without native HLS (everything but Safari)
+app.get('/vendor/hls.min.js', (req, res) => {
+	let file;
+	try { file = require.resolve('hls.js/dist/hls.min.js'); } catch (e) { return res.status(404).end(); }
+	res.setHeader('Cache-Control', 'public, max-age=86400');
+	res.sendFile(file);
+});
+
+// Removed videos and ones past their TTL or view limit are served like removed items,
+// even before the sweeper gets to them.
+function isUnavailable(video) {
+	return !!video.removed || isExpired(video);
+}
+
+// Record a request in the analytics and, if it's a new unique view (not a crawler, and
+// not the same client seeking or buffering), count it toward the video's view limit.
+function countView(req, video) {
+	if (req.method === 'HEAD') return;
+	if (analytics.recordHit(req, video.id) !== 'view') return;
+	try { store.updateVideo(video.id, { views: (video.views || 0) + 1, lastViewedAt: Date.now() }); } catch (e) {}
+}
+
+// Add the bytes a file stream actually delivers to the video's bandwidth stats, and to the
+// `kind` (file or hls) of streamed bytes in the metrics.
+function countBytes(stream, videoId, kind) {
+	let sent = 0;
+	stream.on('data', (chunk) => { sent += chunk.length; });
+	stream.on('close', () => {
+		analytics.recordBytes(videoId, sent);
+		metric.streamBytes.inc({ kind }, sent);
+	});
+}
+
+function sendRemovedImage(req, res) {
+	const removedImg = path.join(__dirname, 'public', 'Removed.png');
+	if (fs.existsSync(removedImg)) {
+		const stat = fs.statSync(removedImg);
+		res.setHeader('Content-Type', 'image/png');
+		res.setHeader('Content-Length', stat.size);
+		res.setHeader('Cache-Control', 'public, max-age=60');
+		const stream = fs.createReadStream(removedImg);
+		return stream.pipe(res);
+	}
+	// fallback to invalid embed if Removed.png not present
+	return sendInvalidEmbed(req, res);
+}
+
+// With STORAGE_SERVE=redirect, a presigned URL for `key` valid for STORAGE_PRESIGN_TTL
+// (null when serving through the app, or the driver has none)
+function presignedUrl(key, contentType) {
+	if (STORAGE_SERVE !== 'redirect') return null;
+	return storage.presign(key, { expiresIn: STORAGE_PRESIGN_TTL / 1000, contentType });
+}
+
+// Stream a stored file with Range support: single, suffix and multiple ranges
+// (multipart/byteranges), validated by a strong ETag / Last-Modified so caches can
+// revalidate (304) and resume (If-Range). Pass `videoId` to count the bytes served in its
+// stats. With STORAGE_SERVE=redirect the client is sent to a presigned URL instead, which
+// does its own range handling (and whose bytes aren't counted).
+async function sendVideoFile(req, res, key, contentTypeHint, videoId) {
+	const contentType = contentTypeHint || mime.lookup(key) || 'application/octet-stream';
+	let stat;
+	try {
+		stat = await storage.stat(key);
+	} catch (e) {
+		log.error('Storage error', { reqId: req.id, key, error: e.message });
+		return res.status(502).end();
+	}
+	if (!stat) return sendInvalidEmbed(req, res);
+	const direct = presignedUrl(key, contentType);
+	if (direct) {
+		// the presigned URL expires, so don't let anyone cache the redirect for long
+		res.setHeader('Cache-Control', 'private, no-cache');
+		return res.redirect(302, direct);
+	}
+
+	const fileSize = stat.size;
+	const etag = stat.etag;
+
+	res.setHeader('Accept-Ranges', 'bytes');
+	res.setHeader('ETag', etag);
+	res.setHeader('Last-Modified', stat.mtime.toUTCString());
+	// cacheable, but revalidated so removals and expiry take effect (checkAccess has already
+	// made protected videos private)
+	if (!res.getHeader('Cache-Control')) res.setHeader('Cache-Control', 'public, no-cache');
+	// never let a browser second-guess the type of user-uploaded bytes
+	res.setHeader('X-Content-Type-Options', 'nosniff');
+
+	const condition = checkConditions(req, etag, stat.mtimeMs);
+	if (condition !== 200) return res.status(condition).end();
+
+	const ranges = ifRangeMatches(req, etag, stat.mtimeMs) ? parseRange(req.headers.range, fileSize) : null;
+	if (ranges && !ranges.length) {
+		return res.status(416).set('Content-Range', `bytes */${fileSize}`).end();
+	}
+
+	const send = (parts, length) => {
+		res.setHeader('Content-Length', length);
+		if (req.method === 'HEAD') return res.end();
+		let i = 0;
+		let current = null;
+		let closed = false;
+		const next = async () => {
+			if (i >= parts.length) return res.end();
+			const part = parts[i++];
+			if (part.head) res.write(part.head);
+			if (!part.range) return next();
+			try {
+				current = await storage.get(key, part.range);
+			} catch (err) {
+				log.error('File stream error', { reqId: req.id, key, error: err.message });
+				return res.destroy();
+			}
+			// the client may have gone while we waited
+			if (closed) return current.destroy();
+			if (videoId) countBytes(current, videoId, 'file');
+			current.on('error', (err) => { log.error('File stream error', { reqId: req.id, key, error: err.message }); res.destroy(); });
+			current.on('end', next);
+			current.pipe(res, { end: false });
+		};
+		// client went away: stop reading
+		res.on('close', () => {
+			closed = true;
+			i = parts.length;
+			if (current) current.destroy();
+		});
+		next();
+	};
+
+	if (!ranges) {
+		res.setHeader('Content-Type', contentType);
+		return send([{ range: {} }], fileSize);
+	}
+	res.status(206);
+	if (ranges.length === 1) {
+		const { start, end } = ranges[0];
+		res.setHeader('Content-Type', contentType);
+		res.setHeader('Content-Range', `bytes ${start}-${end}/${fileSize}`);
+		return send([{ range: { start, end } }], end - start + 1);
+	}
+	const boundary = crypto.randomBytes(12).toString('hex');
+	const parts = ranges.map(({ start, end }) => ({
+		head: `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${fileSize}\r\n\r\n`,
+		range: { start, end },
+	}));
+	parts.push({ head: `\r\n--${boundary}--\r\n` });
+	const length = parts.reduce((sum, p) => sum + Buffer.byteLength(p.head) + (p.range ? p.range.end - p.range.start + 1 : 0), 0);
+	res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+	return send(parts, length);
+}
+
+// create http server so we can attach WebSocket server
+const PORT = process.env.PORT || 3000;
+const server = http.createServer(app);
+
+// Accent colour used for embeds (theme-color meta and webhook embed colour)
+const EMBED_THEME_COLOR = process.env.EMBED_THEME_COLOR || '#5865F2';
+// Admin token for simple admin panel authentication. Set ADMIN_TOKEN env var to enable.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+// Named admin tokens ("alice:token1,bob:token2") so the audit log can tell admins apart;
+// ADMIN_TOKEN, if set, is the admin called "admin".
+const ADMINS = parseAdminTokens(process.env.ADMIN_TOKENS, ADMIN_TOKEN);
+// Token Prometheus scrapes /metrics with (admin tokens work too)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+// Files of videos removed by an admin or their owner are kept this long so the removal can
+// be undone (restore), then deleted by the sweeper.
+const REMOVED_RETENTION_MS = (parseFloat(process.env.REMOVED_RETENTION_HOURS) || 168) * 3600 * 1000;
+// Default lifetime for uploads that don't pass a ttl ("never" unless DEFAULT_TTL is set, e.g. "30d")
+const DEFAULT_TTL = process.env.DEFAULT_TTL || 'never';
+// Set UPLOAD_REQUIRE_KEY=1 to reject uploads without a valid per-user API key.
+const UPLOAD_REQUIRE_KEY = ['1', 'true', 'yes'].includes(String(process.env.UPLOAD_REQUIRE_KEY || '').toLowerCase());
+// Visibility of uploads that don't choose one: public, unlisted or signed (password needs a password)
+const DEFAULT_VISIBILITY = ['public', 'unlisted', 'signed'].includes(process.env.DEFAULT_VISIBILITY) ? process.env.DEFAULT_VISIBILITY : 'unlisted';
+// How long the signed links handed out for signed videos work, unless asked otherwise
+const SIGNED_URL_TTL = parseTtl(process.env.SIGNED_URL_TTL || '7d') || 7 * 24 * 3600 * 1000;
+// How long unlocking a password-protected video (or uploading a protected one) lasts
+const UNLOCK_TTL = parseTtl(process.env.UNLOCK_TTL || '1d') || 24 * 3600 * 1000;
+// Key for signed links and access cookies: LINK_SECRET, or a random one made on first start
+// and kept in .link-secret so links keep working across restarts.
+const access = createAccess(loadLinkSecret());
+
+function loadLinkSecret() {
+	if (process.env.LINK_SECRET) return process.env.LINK_SECRET;
+	const file = path.join(__dirname, '.link-secret');
+	try { return fs.readFileSync(file, 'utf8').trim(); } catch (e) {}
+	const secret = crypto.randomBytes(32).toString('hex');
+	try { fs.writeFileSync(file, secret, { mode: 0o600 }); } catch (e) { log.error('Could not save .link-secret', { error: e.message }); }
+	return secret;
+}
+
+// WebSocket server for realtime transcode updates
+const wss = new WebSocket.Server({ server, verifyClient: verifyWsClient });
+// subscribers: id -> Set of ws
+const subscribers = new Map();
+// in-process listeners (the Discord bot): id -> Set of fn(job)
+const jobWatchers = new Map();
+
+function broadcastStatus(id) {
+	const job = jobStatus(id) || { status: 'none' };
+	for (const watch of jobWatchers.get(id) || []) {
+		try { watch(job); } catch (e) {}
+	}
+	const set = subscribers.get(id);
+	if (!set) return;
+	const msg = JSON.stringify({ type: 'status', id, job });
+	for (const ws of set) {
+		try {
+			if (ws.readyState === WebSocket.OPEN) ws.send(msg);
+		} catch (e) {
+			// ignore send errors; individual sockets will be cleaned on close
+		}
+	}
+}
+
+// most ids one socket may follow
+const WS_MAX_SUBSCRIPTIONS = 50;
+// ip -> open connections
+const wsOpen = new Map();
+
+// The client address of a WebSocket upgrade, worked out from TRUST_PROXY with the same
+// compiled function Express uses for req.ip
+function wsClientIp(req) {
+	return proxyAddr(req, app.get('trust proxy fn'));
+}
+
+// Refuse upgrades from IPs over RATE_LIMIT_WS or with WS_MAX_PER_IP connections open
+function verifyWsClient(info, done) {
+	const ip = wsClientIp(info.req);
+	if ((wsOpen.get(ip) || 0) >= WS_MAX_PER_IP) return done(false, 429, 'Too many open connections');
+	if (limiters.ws) {
+		const r = limiters.ws.take(`ip:${ip}`);
+		if (!r.ok) return done(false, 429, 'Too Many Requests', { 'Retry-After': Math.max(1, Math.ceil(r.retryAfterMs / 1000)) });
+	}
+	done(true);
+}
+
+wss.on('connection', (ws, req) => {
+	const ip = wsClientIp(req);
+	wsOpen.set(ip, (wsOpen.get(ip) || 0) + 1);
+	ws._subscriptions = new Set();
 	ws.on('message', (msg) => {
 		try {
 			const data = JSON.parse(msg.toString());
 			if (data && data.type === 'subscribe' && data.id) {
+				if (!ws._subscriptions.has(data.id) && ws._subscriptions.size >= WS_MAX_SUBSCRIPTIONS) {
+					ws.send(JSON.stringify({ type: 'error', id: data.id, error: 'too many subscriptions' }));
+					return;
+				}
 				let set = subscribers.get(data.id);
 				if (!set) { set = new Set(); subscribers.set(data.id, set); }
 				set.add(ws);
-				ws._subscribedId = data.id;
+				ws._subscriptions.add(data.id);
 				// send current job state immediately
-				const job = transcodeJobs[data.id] || { status: 'none' };
+				const job = jobStatus(data.id) || { status: 'none' };
 				ws.send(JSON.stringify({ type: 'status', id: data.id, job }));
 			}
-			if (data && data.type === 'unsubscribe' && data.id) {
-				const set = subscribers.get(data.id);
-				if (set) set.delete(ws);
-			}
+			if (data && data.type === 'unsubscribe' && data.id) unsubscribe(ws, data.id);
 		} catch (e) { /* ignore */ }
 	});
-	ws.on('close', () => {
-		if (ws._subscribedId) {
-			const set = subscribers.get(ws._subscribedId);
-			if (set) set.delete(ws);
+	ws.on('close', () => {
+		for (const id of ws._subscriptions) unsubscribe(ws, id);
+		const open = (wsOpen.get(ip) || 1) - 1;
+		if (open > 0) wsOpen.set(ip, open); else wsOpen.delete(ip);
+	});
+});
+
+function unsubscribe(ws, id) {
+	ws._subscriptions.delete(id);
+	const set = subscribers.get(id);
+	if (!set) return;
+	set.delete(ws);
+	if (!set.size) subscribers.delete(id);
+}
+
+// TRUST_PROXY as Express's "trust proxy" setting: true/false, a hop count, or addresses
+function parseTrustProxy(value) {
+	const v = String(value == null ? '' : value).trim();
+	if (!v || ['0', 'false', 'no'].includes(v.toLowerCase())) return false;
+	if (['true', 'yes'].includes(v.toLowerCase())) return true;
+	if (/^\d+$/.test(v)) return parseInt(v, 10);
+	return v;
+}
+
+function parseAdminTokens(list, defaultToken) {
+	const admins = [];
+	if (defaultToken) admins.push({ name: 'admin', token: defaultToken });
+	for (const entry of String(list || '').split(',')) {
+		const i = entry.indexOf(':');
+		if (i <= 0) continue;
+		const name = entry.slice(0, i).trim();
+		const token = entry.slice(i + 1).trim();
+		if (name && token) admins.push({ name, token });
+	}
+	return admins;
+}
+
+// Simple admin auth middleware: expects Authorization: Bearer <admin token> and sets
+// req.admin to the admin's name
+function adminAuth(req, res, next) {
+	if (!ADMINS.length) return res.status(403).json({ error: 'admin not configured' });
+	const auth = req.get('authorization') || req.get('Authorization') || '';
+	if (!auth.toLowerCase().startsWith('bearer ')) return res.status(401).json({ error: 'missing token' });
+	const token = auth.slice(7).trim();
+	// check every token so the time taken doesn't depend on which one matched
+	let admin = null;
+	for (const a of ADMINS) if (safeEqual(token, a.token) && !admin) admin = a;
+	if (!token || !admin) return res.status(403).json({ error: 'invalid token' });
+	req.admin = admin.name;
+	next();
+}
+
+// Record an admin action in the audit log. Never fails the request it belongs to.
+function audit(req, action, target, details) {
+	try {
+		store.addAudit({ at: Date.now(), admin: req.admin || null, ip: req.ip, action, target: target || null, details: details || null });
+	} catch (e) {
+		log.error('Failed to write audit log', { reqId: req.id, action, error: e.message });
+	}
+}
+
+// Per-user API keys, sent as `X-API-Key: <key>` or `Authorization: Bearer <key>`.
+// Sets req.user / req.apiKey when a valid key is presented.
+function readApiKey(req) {
+	const header = req.get('x-api-key');
+	if (header) return header.trim();
+	// only claim bearer tokens shaped like our keys, so the admin token still works elsewhere
+	const auth = req.get('authorization') || '';
+	if (auth.toLowerCase().startsWith('bearer ') && auth.slice(7).trim().startsWith(KEY_PREFIX)) return auth.slice(7).trim();
+	return null;
+}
+
+function authenticateKey(req) {
+	const presented = readApiKey(req);
+	if (!presented) return { presented: false, result: null };
+	const result = verifyApiKey(store, presented);
+	if (result && (!result.key.lastUsedAt || Date.now() - result.key.lastUsedAt > 60 * 1000)) {
+		try { store.putApiKey({ ...result.key, lastUsedAt: Date.now() }); } catch (e) {}
+	}
+	return { presented: true, result };
+}
+
+// Uploads: a presented key must be valid; with UPLOAD_REQUIRE_KEY set, a key is mandatory.
+function uploadAuth(req, res, next) {
+	const { presented, result } = authenticateKey(req);
+	if (presented && !result) return res.status(403).json({ error: 'invalid API key' });
+	if (!result && UPLOAD_REQUIRE_KEY) return res.status(401).json({ error: 'API key required' });
+	if (result) { req.user = result.user; req.apiKey = result.key; }
+	next();
+}
+
+// Routes that only make sense for a signed-in user (/me/...)
+function userAuth(req, res, next) {
+	const { presented, result } = authenticateKey(req);
+	if (!presented) return res.status(401).json({ error: 'API key required' });
+	if (!result) return res.status(403).json({ error: 'invalid API key' });
+	req.user = result.user;
+	req.apiKey = result.key;
+	next();
+}
+
+function publicUser(user) {
+	return { id: user.id, name: user.name, createdAt: user.createdAt, disabled: !!user.disabled };
+}
+
+// Parse a date filter: ms since the epoch or anything Date.parse understands ("2024-05-01").
+function parseDateParam(value) {
+	if (value === undefined || value === '') return null;
+	const t = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+	return isNaN(t) ? undefined : t;
+}
+
+function parseFlagParam(value) {
+	if (value === undefined || value === '') return null;
+	if (['1', 'true', 'yes'].includes(String(value).toLowerCase())) return true;
+	if (['0', 'false', 'no'].includes(String(value).toLowerCase())) return false;
+	return undefined;
+}
+
+// Admin: list videos, newest first. Filters: q (matches id, name, filename, short link or
+// owner), from / to (creation date), minSize / maxSize ("50mb"), removed, converted
+// (1 or 0). Paged with page (from 1) and pageSize (default 50, max 500).
+app.get('/admin/list', adminAuth, (req, res) => {
+	try {
+		const q = String(req.query.q || '').trim().toLowerCase();
+		const from = parseDateParam(req.query.from);
+		const to = parseDateParam(req.query.to);
+		const minSize = req.query.minSize ? parseBytes(req.query.minSize) : null;
+		const maxSize = req.query.maxSize ? parseBytes(req.query.maxSize) : null;
+		const removed = parseFlagParam(req.query.removed);
+		const converted = parseFlagParam(req.query.converted);
+		if ([from, to, minSize, maxSize, removed, converted].includes(undefined)) return res.status(400).json({ error: 'invalid filter' });
+		const pageSize = Math.min(500, Math.max(1, parseInt(req.query.pageSize, 10) || 50));
+		let page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+		const owners = new Map(store.listUsers().map((u) => [u.id, u.name]));
+		const matches = [];
+		// listVideos() is already sorted by createdAt desc
+		for (const info of store.listVideos()) {
+			const created = info.createdAt || 0;
+			if (from !== null && created < from) continue;
+			if (to !== null && created > to) continue;
+			if (minSize !== null && (info.size || 0) < minSize) continue;
+			if (maxSize !== null && (info.size || 0) > maxSize) continue;
+			if (removed !== null && !!info.removed !== removed) continue;
+			if (converted !== null && !!info.converted !== converted) continue;
+			const shorts = store.getShortsForVideo(info.id);
+			const owner = info.owner ? (owners.get(info.owner) || null) : null;
+			if (q && ![info.id, info.title, info.description, info.originalName, info.filename, owner, ...shorts].some((f) => f && String(f).toLowerCase().includes(q))) continue;
+			matches.push({ info, shorts, owner });
+		}
+		const pages = Math.max(1, Math.ceil(matches.length / pageSize));
+		page = Math.min(page, pages);
+		const items = matches.slice((page - 1) * pageSize, page * pageSize).map(({ info, shorts, owner }) => ({
+			id: info.id, title: info.title || null, description: info.description || null, originalName: info.originalName, filename: info.filename, size: info.size, createdAt: info.createdAt,
+			converted: info.converted || false, short: shorts[0] || null, shorts, removed: info.removed || false, removedAt: info.removedAt || null,
+			restorable: isRestorable(info), pinned: !!info.pinned, expired: !!info.expired || isExpired(info), expiresAt: info.expiresAt || null,
+			maxViews: info.maxViews || null, views: info.views || 0, ownerId: info.owner || null, owner, visibility: info.visibility || 'unlisted',
+		}));
+		res.json({ ok: true, items, total: matches.length, page, pageSize, pages });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Serve a minimal admin entry page at /admin that prompts for the token and
+// stores it to localStorage, then redirects to the static admin UI (/admin.html).
+app.get('/admin', (req, res) => {
+	const html = `<!doctype html><html><head><meta charset="utf-8" /><meta name="viewport" content="width=device-width,initial-scale=1" /><title>Admin Login</title></head><body>
+	<script>
+		// Prompt for token, save to localStorage as 'admin_token' and navigate to /public/admin.html
+		(async function(){
+			try{
+				let token = localStorage.getItem('admin_token') || '';
+				if (!token) token = prompt('Enter admin token (Bearer token value)');
+				if (token) {
+					localStorage.setItem('admin_token', token);
+					// Redirect to the admin UI which will read token from localStorage
+					window.location.replace('/admin.html');
+				} else {
+					document.body.innerHTML = '<p>No token provided. <a href="/admin.html">Open admin UI</a></p>';
+				}
+			}catch(e){ document.body.innerHTML = '<p>Error: '+(e && e.message)+'</p>'; }
+		})();
+	</script>
+	</body></html>`;
+	res.setHeader('Content-Type','text/html');
+	res.send(html);
+});
+
+// Stop any pending/running jobs for a video.
+function cancelVideoJobs(video) {
+	try {
+		jobQueue.cancel(video.id);
+		jobQueue.cancel(video.id + '.poster');
+		jobQueue.cancel(video.id + '.hls');
+		for (const r of Object.values(video.renditions || {})) if (r.jobId) jobQueue.cancel(r.jobId);
+	} catch (e) {}
+}
+
+// Delete a video's file, poster, renditions and HLS output from storage (best-effort,
+// in the background; failures are logged). Returns true: the files are as good as gone.
+function deleteVideoFiles(video) {
+	const { files, prefixes } = videoObjects(video);
+	const report = (key) => (e) => log.error('Storage delete error', { key, error: e.message });
+	for (const key of files) storage.delete(key).catch(report(key));
+	for (const prefix of prefixes) storage.deletePrefix(prefix).catch(report(prefix));
+	return true;
+}
+
+// Soft-delete a video: cancel its jobs and mark it removed. A `restorable` removal (by an
+// admin or the owner) keeps the files and short links for REMOVED_RETENTION_MS so it can be
+// undone with restoreVideo; otherwise (expiry, eviction) the files are deleted and the short
+// links freed right away.
+function removeVideo(id, extra, restorable) {
+	const video = store.getVideo(id);
+	if (!video) return null;
+	cancelVideoJobs(video);
+	const patch = { removed: true, removedAt: Date.now(), ...(extra || {}) };
+	if (restorable) patch.fileDeleted = false;
+	else {
+		patch.fileDeleted = deleteVideoFiles(video);
+		store.removeShortsForVideo(id);
+	}
+	const updated = store.updateVideo(id, patch);
+	// notify subscribers if any
+	try { transcodeJobs[id] = transcodeJobs[id] || {}; transcodeJobs[id].status = 'removed'; broadcastStatus(id); } catch (e) {}
+	if (!video.removed) {
+		if (patch.expired) emitVideoEvent('video.expired', updated);
+		else emitVideoEvent('video.removed', updated, { reason: patch.evicted ? 'evicted' : 'removed', restorable: !!restorable });
+	}
+	return updated;
+}
+
+function isRestorable(video) {
+	if (!video.removed || video.fileDeleted !== false) return false;
+	// files on local storage can be checked; a bucket is trusted to still have them
+	const local = storage.localPath(video.filename);
+	return !local || fs.existsSync(local);
+}
+
+// Undo a restorable removal. Returns the updated record, or null if there's nothing to restore.
+function restoreVideo(id) {
+	const video = store.getVideo(id);
+	if (!video || !isRestorable(video)) return null;
+	const updated = store.updateVideo(id, { removed: false, removedAt: null, fileDeleted: null, restoredAt: Date.now() });
+	if (transcodeJobs[id] && transcodeJobs[id].status === 'removed') delete transcodeJobs[id];
+	return updated;
+}
+
+// Permanently delete a video: files, record, short links, stats and job history. Its short
+// ids become free for new uploads.
+function purgeVideo(id) {
+	const video = store.getVideo(id);
+	if (!video) return false;
+	// the URLs are gone once the record is
+	if (!video.removed) emitVideoEvent('video.removed', { ...video, removed: true }, { reason: 'purged', restorable: false });
+	cancelVideoJobs(video);
+	deleteVideoFiles(video);
+	for (const job of jobQueue.list()) {
+		if (job.videoId === id) { try { store.deleteJob(job.id); } catch (e) {} }
+	}
+	store.deleteVideo(id);
+	try { transcodeJobs[id] = transcodeJobs[id] || {}; transcodeJobs[id].status = 'removed'; broadcastStatus(id); } catch (e) {}
+	delete transcodeJobs[id];
+	return true;
+}
+
+// Delete the kept files of restorable removals once REMOVED_RETENTION_MS has passed (or all
+// of them, oldest removal first, until `bytes` are freed). Returns the bytes freed.
+function releaseRemovedFiles(bytes) {
+	const now = Date.now();
+	const kept = store.listVideos()
+		.filter((v) => v.removed && v.fileDeleted === false)
+		.sort((a, b) => (a.removedAt || 0) - (b.removedAt || 0));
+	let freed = 0;
+	for (const v of kept) {
+		const expired = now - (v.removedAt || 0) > REMOVED_RETENTION_MS;
+		if (!expired && !(bytes && freed < bytes)) continue;
+		freed += videoUsage({ ...v, removed: false });
+		store.updateVideo(v.id, { fileDeleted: deleteVideoFiles(v) });
+		store.removeShortsForVideo(v.id);
+	}
+	return freed;
+}
+
+// Admin: delete a video by id (can be undone with restore until the files are released)
+app.post('/admin/delete', adminAuth, express.json(), (req, res) => {
+	try {
+		const id = req.body && req.body.id;
+		if (!id) return res.status(400).json({ error: 'id required' });
+		if (!removeVideo(id, null, true)) return res.status(404).json({ error: 'not found' });
+		audit(req, 'remove', id);
+		return res.json({ ok: true });
+	} catch (e) { return res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: a video's short links (?id=), or what a slug points at (?slug=)
+app.get('/admin/links', adminAuth, (req, res) => {
+	if (req.query.slug) {
+		const id = store.resolveShort(String(req.query.slug));
+		if (!id) return res.status(404).json({ error: 'not found' });
+		return res.json({ ok: true, slug: req.query.slug, id });
+	}
+	if (!req.query.id || !store.getVideo(String(req.query.id))) return res.status(404).json({ error: 'not found' });
+	res.json({ ok: true, items: describeLinks(String(req.query.id)) });
+});
+
+// Admin: point a short link at a video ({ slug, id }), claiming it or re-pointing it from
+// whichever video has it now
+app.post('/admin/links', adminAuth, (req, res) => {
+	try {
+		const { slug, id } = req.body || {};
+		const video = id ? store.getVideo(String(id)) : null;
+		if (!video) return res.status(404).json({ error: 'video not found' });
+		const previous = store.resolveShort(String(slug || ''));
+		const problem = pointSlug(String(slug || ''), video, () => true);
+		if (problem) return res.status(problem.status).json({ error: problem.error });
+		if (previous !== video.id) audit(req, 'link.set', slug, { id: video.id, previous });
+		res.json({ ok: true, slug, url: shortLinkUrl(slug, domainOf(video)), items: describeLinks(video.id) });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: free a short link
+app.delete('/admin/links/:slug', adminAuth, (req, res) => {
+	try {
+		const id = store.resolveShort(req.params.slug);
+		if (!id) return res.status(404).json({ error: 'not found' });
+		store.removeShort(req.params.slug);
+		audit(req, 'link.remove', req.params.slug, { id });
+		res.json({ ok: true });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: apply one action to many videos: { action: 'remove' | 'restore' | 'purge', ids }.
+// Each id gets its own result, so one bad id doesn't stop the rest.
+const BULK_ACTIONS = {
+	remove: (id) => {
+		const video = store.getVideo(id);
+		if (!video) return 'not found';
+		if (video.removed) return 'already removed';
+		removeVideo(id, null, true);
+		return null;
+	},
+	restore: (id) => {
+		const video = store.getVideo(id);
+		if (!video) return 'not found';
+		if (!video.removed) return 'not removed';
+		return restoreVideo(id) ? null : 'files are gone; cannot restore';
+	},
+	purge: (id) => (purgeVideo(id) ? null : 'not found'),
+};
+
+app.post('/admin/bulk', adminAuth, (req, res) => {
+	try {
+		const { action, ids } = req.body || {};
+		const run = Object.prototype.hasOwnProperty.call(BULK_ACTIONS, action) ? BULK_ACTIONS[action] : null;
+		if (!run) return res.status(400).json({ error: `action must be one of ${Object.keys(BULK_ACTIONS).join(', ')}` });
+		if (!Array.isArray(ids) || !ids.length || ids.length > 500) return res.status(400).json({ error: 'ids must be a list of 1-500 video ids' });
+		const results = [];
+		for (const id of new Set(ids.map(String))) {
+			let error;
+			try { error = run(id); } catch (e) { error = e.message; }
+			if (!error) audit(req, action, id);
+			results.push(error ? { id, ok: false, error } : { id, ok: true });
+		}
+		res.json({ ok: true, done: results.filter((r) => r.ok).length, results });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: the audit log, newest first. ?limit= (max 500), ?before=<entry id> for the next
+// page, ?target=<video/user/key id>.
+app.get('/admin/audit', adminAuth, (req, res) => {
+	try {
+		const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+		const before = parseInt(req.query.before, 10) || null;
+		const items = store.listAudit({ limit, before, target: req.query.target ? String(req.query.target) : null });
+		res.json({ ok: true, items, next: items.length === limit ? items[items.length - 1].id : null });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: change a video's expiry. { id, ttl } sets it relative to now ("7d", or "never"
+// to clear it); { id, expiresAt } sets an absolute time (ms, null clears); maxViews
+// sets or (null/0) clears the view limit.
+app.post('/admin/expiry', adminAuth, (req, res) => {
+	try {
+		const body = req.body || {};
+		if (!body.id) return res.status(400).json({ error: 'id required' });
+		const video = store.getVideo(body.id);
+		if (!video) return res.status(404).json({ error: 'not found' });
+		if (video.removed) return res.status(409).json({ error: 'video is already removed' });
+		const patch = {};
+		if (body.ttl !== undefined) {
+			const ttl = parseTtl(body.ttl);
+			if (ttl === undefined) return res.status(400).json({ error: 'invalid ttl' });
+			patch.expiresAt = ttl ? Date.now() + ttl : null;
+		} else if (body.expiresAt !== undefined) {
+			const at = body.expiresAt === null ? null : Number(body.expiresAt);
+			if (at !== null && !(at > 0)) return res.status(400).json({ error: 'invalid expiresAt' });
+			patch.expiresAt = at;
+		}
+		if (body.maxViews !== undefined) {
+			const mv = parseMaxViews(body.maxViews === null ? '' : body.maxViews);
+			if (mv === undefined) return res.status(400).json({ error: 'invalid maxViews' });
+			patch.maxViews = mv;
+		}
+		const updated = store.updateVideo(video.id, patch);
+		audit(req, 'expiry', video.id, { expiresAt: updated.expiresAt || null, maxViews: updated.maxViews || null });
+		res.json({ ok: true, expiresAt: updated.expiresAt || null, maxViews: updated.maxViews || null, views: updated.views || 0 });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Change a video's visibility: { id, visibility, password }
+app.post('/admin/visibility', adminAuth, (req, res) => {
+	try {
+		const body = req.body || {};
+		if (!body.id) return res.status(400).json({ error: 'id required' });
+		const video = store.getVideo(body.id);
+		if (!video) return res.status(404).json({ error: 'not found' });
+		const result = changeVisibility(video, body);
+		if (result.error) return res.status(400).json({ error: result.error });
+		audit(req, 'visibility', video.id, { visibility: result.visibility, from: video.visibility || 'unlisted', password: !!body.password });
+		res.json({ ok: true, visibility: result.visibility });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Change a video's title and/or description: { id, title, description }
+app.post('/admin/details', adminAuth, (req, res) => {
+	try {
+		const body = req.body || {};
+		if (!body.id) return res.status(400).json({ error: 'id required' });
+		const video = store.getVideo(body.id);
+		if (!video) return res.status(404).json({ error: 'not found' });
+		const result = changeDetails(video, body);
+		if (result.error) return res.status(400).json({ error: result.error });
+		audit(req, 'details', video.id, result);
+		res.json({ ok: true, ...result });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// A signed link to a protected video (e.g. to review it): { id, ttl }
+app.post('/admin/sign', adminAuth, (req, res) => {
+	const body = req.body || {};
+	const video = body.id ? store.getVideo(body.id) : null;
+	if (!video) return res.status(404).json({ error: 'not found' });
+	return sendSignedLinks(req, res, video, body.ttl);
+});
+
+// --- Storage quotas ---
+
+// Refuse uploads up front while the disk is nearly full, or when the request is obviously
+// over the per-file limit, before multer writes anything.
+function storageGuard(req, res, next) {
+	const incoming = parseInt(req.headers['content-length'], 10) || 0;
+	// allow some slack for the multipart envelope
+	if (MAX_UPLOAD_SIZE && incoming > MAX_UPLOAD_SIZE + 64 * 1024) {
+		return res.status(413).json({ error: `file too large (max ${formatBytes(MAX_UPLOAD_SIZE)})` });
+	}
+	const free = freeDiskBytes(UPLOADS_DIR);
+	if (MIN_FREE_DISK && free !== null && free - incoming < MIN_FREE_DISK) {
+		return res.status(507).json({ error: 'server is low on disk space; uploads are paused' });
+	}
+	next();
+}
+
+// multer with its errors turned into JSON responses
+function receiveUpload(req, res, next) {
+	upload.single('file')(req, res, (err) => {
+		if (!err) return next();
+		if (req.file) { try { fs.unlinkSync(req.file.path); } catch (e) {} }
+		if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `file too large (max ${formatBytes(MAX_UPLOAD_SIZE)})` });
+		return res.status(400).json({ error: err.message || 'upload failed' });
+	});
+}
+
+function userQuota(user) {
+	if (!user) return null;
+	return user.quota !== undefined && user.quota !== null ? user.quota : USER_QUOTA;
+}
+
+function userUsage(userId) {
+	return store.listVideosByOwner(userId).reduce((sum, v) => sum + videoUsage(v), 0);
+}
+
+// Bytes a video's files take up in storage: measured on local storage, as recorded otherwise
+function videoUsage(video) {
+	return storage.name === 'local' ? videoDiskUsage(video, UPLOADS_DIR) : videoStoredBytes(video);
+}
+
+// Everything held against STORAGE_QUOTA: uploads/ (which is the storage, for local), plus
+// the stored files of every video (including removed ones kept for restoring) otherwise
+function storageUsed() {
+	const working = diskUsage(UPLOADS_DIR);
+	if (storage.name === 'local') return working;
+	return store.listVideos().reduce((sum, v) => sum + videoStoredBytes(v.fileDeleted === false ? { ...v, removed: false } : v), working);
+}
+
+// Remove the least recently viewed non-pinned videos until `bytes` more fit under
+// STORAGE_QUOTA. Returns the ids that were evicted.
+function evictForSpace(bytes, used) {
+	const evicted = [];
+	if (!STORAGE_QUOTA || !STORAGE_EVICT) return evicted;
+	let over = used + bytes - STORAGE_QUOTA;
+	if (over <= 0) return evicted;
+	// files kept for restoring removed videos go first
+	over -= releaseRemovedFiles(over);
+	if (over <= 0) return evicted;
+	const candidates = store.listVideos()
+		.filter((v) => !v.removed && !v.pinned)
+		.sort((a, b) => (a.lastViewedAt || a.createdAt || 0) - (b.lastViewedAt || b.createdAt || 0));
+	for (const v of candidates) {
+		if (over <= 0) break;
+		const size = videoUsage(v);
+		removeVideo(v.id, { evicted: true });
+		evicted.push(v.id);
+		over -= size;
+	}
+	if (evicted.length) log.info(`Evicted ${evicted.length} videos to stay under the storage quota`, { videos: evicted });
+	return evicted;
+}
+
+// Check an upload of `size` bytes (already on disk at `tempPath`) against the total and
+// per-user quotas, evicting old videos if allowed. Returns null or { status, error }.
+function claimStorage(user, size, tempPath) {
+	const quota = userQuota(user);
+	if (quota && userUsage(user.id) + size > quota) {
+		return { status: 413, error: `upload would exceed your storage quota of ${formatBytes(quota)}` };
+	}
+	if (STORAGE_QUOTA) {
+		// the upload is already in uploads/; don't count it twice
+		const used = () => storageUsed() - (tempPath ? diskUsage(tempPath) : 0);
+		const before = used();
+		const evicted = evictForSpace(size, before);
+		if ((evicted.length ? used() : before) + size > STORAGE_QUOTA) {
+			return { status: 507, error: 'server storage quota is full' };
+		}
+	}
+	return null;
+}
+
+// Admin: storage usage vs. limits, overall and per user
+app.get('/admin/usage', adminAuth, (req, res) => {
+	try {
+		const users = store.listUsers().map((u) => ({ id: u.id, name: u.name, used: userUsage(u.id), quota: userQuota(u) }));
+		const videos = store.listVideos().filter((v) => !v.removed);
+		res.json({
+			ok: true,
+			used: storageUsed(),
+			storage: storage.name,
+			quota: STORAGE_QUOTA,
+			free: freeDiskBytes(UPLOADS_DIR),
+			minFree: MIN_FREE_DISK,
+			maxUploadSize: MAX_UPLOAD_SIZE,
+			userQuota: USER_QUOTA,
+			evict: STORAGE_EVICT,
+			videos: videos.length,
+			pinned: videos.filter((v) => v.pinned).length,
+			users,
+		});
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: views, bandwidth and referrers per day over the last `days` (default 30), for
+// every video or just `id`
+app.get('/admin/stats', adminAuth, (req, res) => {
+	try {
+		const days = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 30));
+		const videoId = req.query.id ? String(req.query.id) : null;
+		const dayList = [];
+		for (let i = days - 1; i >= 0; i--) dayList.push(dayKey(Date.now() - i * 86400000));
+		// include what's still buffered in memory
+		analytics.flush();
+		const summary = summarizeStats(store.listStats({ videoId, since: dayList[0] }), dayList);
+		for (const v of summary.videos) {
+			const rec = store.getVideo(v.id);
+			v.name = rec ? rec.originalName || rec.filename : null;
+			v.removed = !rec || !!rec.removed;
+		}
+		res.json({ ok: true, days, id: videoId, ...summary });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: pin a video so quota eviction never removes it ({ id, pinned: false } unpins)
+app.post('/admin/pin', adminAuth, (req, res) => {
+	try {
+		const id = req.body && req.body.id;
+		if (!id) return res.status(400).json({ error: 'id required' });
+		const updated = store.updateVideo(id, { pinned: req.body.pinned !== false });
+		if (!updated) return res.status(404).json({ error: 'not found' });
+		audit(req, updated.pinned ? 'pin' : 'unpin', id);
+		res.json({ ok: true, pinned: updated.pinned });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: set a user's quota ("5gb"), or reset it to USER_QUOTA with null/""
+app.post('/admin/users/:id/quota', adminAuth, (req, res) => {
+	try {
+		const user = store.getUser(req.params.id);
+		if (!user) return res.status(404).json({ error: 'not found' });
+		const raw = req.body && req.body.quota;
+		let quota = null;
+		if (raw !== null && raw !== undefined && raw !== '') {
+			quota = parseBytes(raw);
+			if (!quota) return res.status(400).json({ error: 'invalid quota (use e.g. 500mb or 5gb)' });
+		}
+		store.putUser({ ...user, quota });
+		audit(req, 'user.quota', user.id, { quota });
+		res.json({ ok: true, quota: userQuota({ ...user, quota }) });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: list users with their (hash-less) API keys
+app.get('/admin/users', adminAuth, (req, res) => {
+	try {
+		const items = store.listUsers().map((u) => ({
+			...publicUser(u),
+			keys: store.listApiKeys(u.id).map(publicKey),
+			videos: store.listVideosByOwner(u.id).length,
+			used: userUsage(u.id),
+			quota: userQuota(u),
+		}));
+		res.json({ ok: true, items });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: create a user and their first API key. The key is only ever shown in this response.
+app.post('/admin/users', adminAuth, (req, res) => {
+	try {
+		const name = String((req.body && req.body.name) || '').trim();
+		if (!/^[A-Za-z0-9_.-]{2,32}$/.test(name)) return res.status(400).json({ error: 'name must be 2-32 characters of A-Z, 0-9, _ . -' });
+		if (store.getUserByName(name)) return res.status(409).json({ error: 'name taken' });
+		const user = store.putUser({ id: uuidv4(), name, createdAt: Date.now(), disabled: false });
+		const { record, key } = generateApiKey(user.id, (req.body && req.body.keyName) || 'default');
+		store.putApiKey(record);
+		audit(req, 'user.create', user.id, { name });
+		res.json({ ok: true, user: publicUser(user), apiKey: key, keyInfo: publicKey(record) });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: delete a user and all their keys (their videos are kept)
+app.delete('/admin/users/:id', adminAuth, (req, res) => {
+	try {
+		if (!store.deleteUser(req.params.id)) return res.status(404).json({ error: 'not found' });
+		audit(req, 'user.delete', req.params.id);
+		res.json({ ok: true });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: issue another key for a user
+app.post('/admin/users/:id/keys', adminAuth, (req, res) => {
+	try {
+		const user = store.getUser(req.params.id);
+		if (!user) return res.status(404).json({ error: 'not found' });
+		const { record, key } = generateApiKey(user.id, req.body && req.body.name);
+		store.putApiKey(record);
+		audit(req, 'key.issue', record.id, { userId: user.id });
+		res.json({ ok: true, apiKey: key, keyInfo: publicKey(record) });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: revoke a single key
+app.post('/admin/keys/:keyId/revoke', adminAuth, (req, res) => {
+	try {
+		const rec = store.getApiKey(req.params.keyId);
+		if (!rec) return res.status(404).json({ error: 'not found' });
+		if (!rec.revokedAt) {
+			store.putApiKey({ ...rec, revokedAt: Date.now() });
+			audit(req, 'key.revoke', rec.id, { userId: rec.userId });
+		}
+		res.json({ ok: true });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// The calling user
+app.get('/me', userAuth, (req, res) => {
+	res.json({ ok: true, user: publicUser(req.user), key: publicKey(req.apiKey), usage: { used: userUsage(req.user.id), quota: userQuota(req.user) } });
+});
+
+// The calling user's videos
+app.get('/me/videos', userAuth, (req, res) => {
+	try {
+		const items = store.listVideosByOwner(req.user.id).map((v) => ({
+			id: v.id, title: videoTitle(v), description: v.description || null, originalName: v.originalName, size: v.size, createdAt: v.createdAt, converted: v.converted || false,
+			removed: v.removed || false, short: store.getShortsForVideo(v.id)[0] || null, links: describeLinks(v.id), visibility: v.visibility || 'unlisted',
+		}));
+		res.json({ ok: true, items });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Short links of one of the calling user's videos
+app.get('/me/videos/:id/links', userAuth, (req, res) => {
+	const video = store.getVideo(req.params.id);
+	if (!video || video.owner !== req.user.id) return res.status(404).json({ error: 'not found' });
+	res.json({ ok: true, items: describeLinks(video.id) });
+});
+
+// Add a custom short link ({ slug }) to one of the calling user's videos. A slug already on
+// another of their videos is moved over; anyone else's is off limits.
+app.post('/me/videos/:id/links', userAuth, (req, res) => {
+	try {
+		const video = store.getVideo(req.params.id);
+		if (!video || video.owner !== req.user.id) return res.status(404).json({ error: 'not found' });
+		const slug = String((req.body && req.body.slug) || '');
+		const problem = pointSlug(slug, video, (currentId) => {
+			const current = store.getVideo(currentId);
+			return !!current && current.owner === req.user.id;
+		});
+		if (problem) return res.status(problem.status).json({ error: problem.error });
+		res.json({ ok: true, slug, url: shortLinkUrl(slug, domainOf(video)), items: describeLinks(video.id) });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Change the visibility of one of the calling user's videos: { visibility, password }
+app.post('/me/videos/:id/visibility', userAuth, (req, res) => {
+	try {
+		const video = store.getVideo(req.params.id);
+		if (!video || video.owner !== req.user.id) return res.status(404).json({ error: 'not found' });
+		const result = changeVisibility(video, req.body);
+		if (result.error) return res.status(400).json({ error: result.error });
+		res.json({ ok: true, visibility: result.visibility });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Change the title and/or description of one of the calling user's videos: { title, description }
+app.post('/me/videos/:id/details', userAuth, (req, res) => {
+	try {
+		const video = store.getVideo(req.params.id);
+		if (!video || video.owner !== req.user.id) return res.status(404).json({ error: 'not found' });
+		const result = changeDetails(video, req.body);
+		if (result.error) return res.status(400).json({ error: result.error });
+		res.json({ ok: true, ...result });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// A signed link to one of the calling user's protected videos: { ttl }
+app.post('/me/videos/:id/sign', userAuth, (req, res) => {
+	const video = store.getVideo(req.params.id);
+	if (!video || video.owner !== req.user.id) return res.status(404).json({ error: 'not found' });
+	return sendSignedLinks(req, res, video, req.body && req.body.ttl);
+});
+
+// Free a short link on one of the calling user's videos
+app.delete('/me/links/:slug', userAuth, (req, res) => {
+	try {
+		const current = store.getVideo(store.resolveShort(req.params.slug));
+		if (!current || current.owner !== req.user.id) return res.status(404).json({ error: 'not found' });
+		store.removeShort(req.params.slug);
+		res.json({ ok: true });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Delete one of the calling user's videos
+app.delete('/me/videos/:id', userAuth, (req, res) => {
+	try {
+		const video = store.getVideo(req.params.id);
+		// don't reveal whether someone else's id exists
+		if (!video || video.owner !== req.user.id) return res.status(404).json({ error: 'not found' });
+		removeVideo(video.id, null, true);
+		res.json({ ok: true });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// The calling user's keys; they can mint new ones and revoke any of their own
+app.get('/me/keys', userAuth, (req, res) => {
+	res.json({ ok: true, items: store.listApiKeys(req.user.id).map(publicKey) });
+});
+
+app.post('/me/keys', userAuth, (req, res) => {
+	try {
+		const { record, key } = generateApiKey(req.user.id, req.body && req.body.name);
+		store.putApiKey(record);
+		res.json({ ok: true, apiKey: key, keyInfo: publicKey(record) });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+app.delete('/me/keys/:keyId', userAuth, (req, res) => {
+	try {
+		const rec = store.getApiKey(req.params.keyId);
+		if (!rec || rec.userId !== req.user.id) return res.status(404).json({ error: 'not found' });
+		if (!rec.revokedAt) store.putApiKey({ ...rec, revokedAt: Date.now() });
+		res.json({ ok: true });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: (re-)process a video into a size-budget rendition, e.g. { id, target: '10mb', maxHeight: 720, maxFps: 30 }
+app.post('/admin/compress', adminAuth, (req, res) => {
+	try {
+		const { id, target } = req.body || {};
+		if (!id || !target) return res.status(400).json({ error: 'id and target required' });
+		const video = store.getVideo(id);
+		if (!video) return res.status(404).json({ error: 'not found' });
+		if (video.removed) return res.status(409).json({ error: 'video is removed' });
+		if (!parseSizeBudget(target)) return res.status(400).json({ error: 'invalid target' });
+		const active = jobQueue.get(id);
+		if (active && (active.status === 'queued' || active.status === 'running')) return res.status(409).json({ error: 'video is still being converted' });
+		const name = queueRendition(id, target, req.body);
+		audit(req, 'compress', id, { rendition: name });
+		res.json({ ok: true, rendition: name, jobId: `${id}.${name}` });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: (re-)generate the HLS ladder for a video
+app.post('/admin/hls', adminAuth, (req, res) => {
+	try {
+		const id = req.body && req.body.id;
+		if (!id) return res.status(400).json({ error: 'id required' });
+		const video = store.getVideo(id);
+		if (!video) return res.status(404).json({ error: 'not found' });
+		if (video.removed) return res.status(409).json({ error: 'video is removed' });
+		const active = jobQueue.get(id);
+		if (active && (active.status === 'queued' || active.status === 'running')) return res.status(409).json({ error: 'video is still being converted' });
+		const job = queueHls(id);
+		audit(req, 'hls', id);
+		res.json({ ok: true, jobId: job.id });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: list transcode jobs with their queue position
+app.get('/admin/jobs', adminAuth, (req, res) => {
+	try {
+		const positions = jobQueue.positions();
+		const items = jobQueue.list().map((j) => ({ ...j, queuePosition: positions.has(j.id) ? positions.get(j.id) : null, live: transcodeJobs[j.id] || null }));
+		res.json({ ok: true, items, stats: jobQueue.stats() });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: cancel a queued or running transcode job
+app.post('/admin/jobs/:id/cancel', adminAuth, (req, res) => {
+	try {
+		if (!jobQueue.get(req.params.id)) return res.status(404).json({ error: 'not found' });
+		if (!jobQueue.cancel(req.params.id)) return res.status(409).json({ error: 'job is not queued or running' });
+		audit(req, 'job.cancel', req.params.id);
+		res.json({ ok: true });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// --- Titles, the gallery and collections ---
+
+const TITLE_MAX = 200;
+const DESCRIPTION_MAX = 2000;
+
+// What a video is called on its pages and embeds: the title it was given, else the name of
+// the file it was uploaded as
+function videoTitle(video) {
+	return (video && (video.title || video.originalName)) || 'Video';
+}
+
+// The { title, description } of an upload or an edit, as a patch of the fields that were
+// given (an empty one clears it). Returns { patch } or { error }.
+function parseDetails(body) {
+	const patch = {};
+	for (const [field, max] of [['title', TITLE_MAX], ['description', DESCRIPTION_MAX]]) {
+		if (body[field] === undefined) continue;
+		let value = body[field] === null ? '' : String(body[field]).trim();
+		// titles are one line
+		if (field === 'title') value = value.replace(/\s+/g, ' ');
+		if (value.length > max) return { error: `${field} is too long (at most ${max} characters)` };
+		patch[field] = value || null;
+	}
+	return { patch };
+}
+
+// Change a video's title and/or description: { title, description }. Returns the new
+// { title, description } or { error }.
+function changeDetails(video, body) {
+	const { patch, error } = parseDetails(body || {});
+	if (error) return { error };
+	if (!Object.keys(patch).length) return { error: 'title or description required' };
+	const updated = store.updateVideo(video.id, patch);
+	return { title: updated.title || null, description: updated.description || null };
+}
+
+// The gallery (/gallery, fed by GET /videos) lists public videos to everyone, and a signed-in
+// caller's own videos of any visibility too. Their protected videos come with signed links
+// that last GALLERY_LINK_TTL, so the thumbnails and pages open without the password.
+const GALLERY_SORTS = {
+	newest: (a, b) => (b.createdAt || 0) - (a.createdAt || 0),
+	oldest: (a, b) => (a.createdAt || 0) - (b.createdAt || 0),
+	title: (a, b) => videoTitle(a).localeCompare(videoTitle(b), undefined, { sensitivity: 'base' }),
+	longest: (a, b) => (b.duration || 0) - (a.duration || 0),
+	shortest: (a, b) => (a.duration || 0) - (b.duration || 0),
+};
+const GALLERY_LINK_TTL = UNLOCK_TTL;
+
+app.get('/gallery', (req, res) => {
+	res.sendFile(path.join(__dirname, 'public', 'gallery.html'));
+});
+
+function galleryItem(req, video, mine) {
+	const base = baseUrl(req);
+	const id = encodeURIComponent(video.id);
+	const query = mine && isProtected(video) ? `?${access.signedQuery(video, GALLERY_LINK_TTL).query}` : '';
+	const image = String(video.mime || '').startsWith('image/');
+	const slug = store.getShortsForVideo(video.id)[0];
+	const job = jobStatus(video.id);
+	const item = {
+		id: video.id,
+		title: videoTitle(video),
+		description: video.description || null,
+		duration: video.duration || null,
+		width: video.width || null,
+		height: video.height || null,
+		createdAt: video.createdAt || null,
+		visibility: video.visibility || 'unlisted',
+		url: `${base}/s/${id}${query}`,
+		shortUrl: slug && !query ? shortLinkUrl(slug, domainOf(video)) : null,
+		// animated clips are their own thumbnail
+		posterUrl: video.poster ? `${base}/poster/${id}${query}` : (image ? `${base}/v/${id}${query}` : null),
+		mine,
+		processing: !!job && (job.status === 'queued' || job.status === 'running'),
+	};
+	if (mine) item.views = video.views || 0;
+	return item;
+}
+
+// ?q= searches titles, descriptions and file names; ?sort= is one of GALLERY_SORTS
+// (newest by default); ?mine=1 lists only the caller's videos; ?offset= and ?limit= page.
+// The API key is optional here.
+app.get('/videos', (req, res) => {
+	try {
+		const { presented, result } = authenticateKey(req);
+		if (presented && !result) return res.status(403).json({ error: 'invalid API key' });
+		const user = result ? result.user : null;
+		const sort = String(req.query.sort || 'newest').toLowerCase();
+		if (!GALLERY_SORTS[sort]) return res.status(400).json({ error: `sort must be one of ${Object.keys(GALLERY_SORTS).join(', ')}` });
+		const onlyMine = ['1', 'true', 'yes'].includes(String(req.query.mine).toLowerCase());
+		if (onlyMine && !user) return res.status(401).json({ error: 'mine=1 needs an API key' });
+		const q = String(req.query.q || '').trim().toLowerCase();
+		const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 48));
+		const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+
+		const source = onlyMine ? store.listVideosByOwner(user.id) : store.listVideos();
+		const matches = source.filter((v) => {
+			if (isUnavailable(v)) return false;
+			const mine = !!user && v.owner === user.id;
+			if (!mine && (onlyMine || v.visibility !== 'public')) return false;
+			return !q || [v.title, v.description, v.originalName].some((f) => f && String(f).toLowerCase().includes(q));
+		}).sort(GALLERY_SORTS[sort]);
+		const items = matches.slice(offset, offset + limit).map((v) => galleryItem(req, v, !!user && v.owner === user.id));
+		res.setHeader('Cache-Control', user ? 'private, no-store' : 'public, max-age=30');
+		res.json({ ok: true, items, total: matches.length, offset, limit, next: offset + limit < matches.length ? offset + limit : null });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Collections: named, ordered lists of a user's videos, shared under one short link whose
+// page (/c/:id) plays them one after another. Their short links share the videos' slug
+// namespace, pointing at COLLECTION_PREFIX + the collection id.
+const COLLECTION_PREFIX = 'c:';
+const COLLECTION_MAX_VIDEOS = 200;
+
+function collectionLinks(collection) {
+	const domain = domains.get(collection.domain);
+	return store.getShortsForVideo(COLLECTION_PREFIX + collection.id).map((slug) => ({ slug, url: shortLinkUrl(slug, domain) }));
+}
+
+// A collection as its owner (or an admin) sees it, with the titles of its videos
+function describeCollection(req, collection) {
+	const links = collectionLinks(collection);
+	const items = collection.videos.map((id) => {
+		const video = store.getVideo(id);
+		return { id, title: video ? videoTitle(video) : null, available: !!video && !isUnavailable(video) };
+	});
+	return {
+		...collection,
+		url: `${baseUrl(req)}/c/${encodeURIComponent(collection.id)}`,
+		shortUrl: links.length ? links[0].url : null,
+		shortLinks: links.map((l) => l.url),
+		items,
+	};
+}
+
+// The `videos` of a create or update: ids of `user`'s own videos, each once. Returns
+// { videos } or { status, error }.
+function parseCollectionVideos(value, user) {
+	if (!Array.isArray(value)) return { status: 400, error: 'videos must be an array of video ids' };
+	const ids = [...new Set(value.map(String))];
+	if (ids.length > COLLECTION_MAX_VIDEOS) return { status: 400, error: `a collection holds at most ${COLLECTION_MAX_VIDEOS} videos` };
+	for (const id of ids) {
+		const video = store.getVideo(id);
+		// don't reveal whether someone else's id exists
+		if (!video || video.owner !== user.id) return { status: 404, error: `video not found: ${id}` };
+	}
+	return { videos: ids };
+}
+
+function newCollectionId() {
+	for (let attempts = 0; attempts < 20; attempts++) {
+		const id = generateShortId(12);
+		if (!store.getCollection(id)) return id;
+	}
+	throw new Error('could not allocate a collection id');
+}
+
+// The calling user's collections
+app.get('/me/collections', userAuth, (req, res) => {
+	try {
+		res.json({ ok: true, items: store.listCollections(req.user.id).map((c) => describeCollection(req, c)) });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Create a collection: { title, description, videos: [ids], slug, domain }. It gets a
+// random short link on `domain`, or the custom `slug`.
+app.post('/me/collections', userAuth, (req, res) => {
+	try {
+		const body = req.body || {};
+		const details = parseDetails(body);
+		if (details.error) return res.status(400).json({ error: details.error });
+		if (!details.patch.title) return res.status(400).json({ error: 'title required' });
+		const list = parseCollectionVideos(body.videos === undefined ? [] : body.videos, req.user);
+		if (list.error) return res.status(list.status).json({ error: list.error });
+		const slug = body.slug ? String(body.slug) : null;
+		const slugProblem = checkUploadSlug(slug);
+		if (slugProblem) return res.status(slugProblem.status).json({ error: slugProblem.error });
+		const target = domains.forUploader(body.domain, req.user);
+		if (target.error) return res.status(target.status).json({ error: target.error });
+
+		const now = Date.now();
+		const collection = store.putCollection({
+			id: newCollectionId(),
+			owner: req.user.id,
+			title: details.patch.title,
+			description: details.patch.description || null,
+			videos: list.videos,
+			domain: target.domain.host,
+			createdAt: now,
+			updatedAt: now,
+		});
+		const linkTarget = COLLECTION_PREFIX + collection.id;
+		if (!(slug && store.addShort(slug, linkTarget))) assignShortId(linkTarget, target.domain);
+		res.json({ ok: true, collection: describeCollection(req, collection) });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Change a collection's title, description and/or videos (the whole list, in play order)
+app.post('/me/collections/:id', userAuth, (req, res) => {
+	try {
+		const collection = store.getCollection(req.params.id);
+		if (!collection || collection.owner !== req.user.id) return res.status(404).json({ error: 'not found' });
+		const body = req.body || {};
+		const details = parseDetails(body);
+		if (details.error) return res.status(400).json({ error: details.error });
+		if (body.title !== undefined && !details.patch.title) return res.status(400).json({ error: 'title cannot be empty' });
+		const next = { ...collection, ...details.patch, updatedAt: Date.now() };
+		if (body.videos !== undefined) {
+			const list = parseCollectionVideos(body.videos, req.user);
+			if (list.error) return res.status(list.status).json({ error: list.error });
+			next.videos = list.videos;
 		}
-	});
+		res.json({ ok: true, collection: describeCollection(req, store.putCollection(next)) });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
 });
 
-// Simple admin auth middleware: expects Authorization: Bearer <ADMIN_TOKEN>
-function adminAuth(req, res, next) {
-	if (!ADMIN_TOKEN) return res.status(403).json({ error: 'admin not configured' });
-	const auth = req.get('authorization') || req.get('Authorization') || '';
-	if (!auth.toLowerCase().startsWith('bearer ')) return res.status(401).json({ error: 'missing token' });
-	const token = auth.slice(7).trim();
-	if (!token || token !== ADMIN_TOKEN) return res.status(403).json({ error: 'invalid token' });
-	next();
+// Delete a collection and free its short links; the videos stay
+function deleteCollection(id) {
+	if (!store.deleteCollection(id)) return false;
+	store.removeShortsForVideo(COLLECTION_PREFIX + id);
+	return true;
 }
 
-// Admin: list videos
-app.get('/admin/list', adminAuth, (req, res) => {
+app.delete('/me/collections/:id', userAuth, (req, res) => {
 	try {
-		const d = readData();
-		const out = [];
-		const shortMap = d._short || {};
-		// build reverse map: id -> short
-		const rev = {};
-		for (const [k, v] of Object.entries(shortMap)) rev[v] = k;
-		for (const [id, info] of Object.entries(d)) {
-			if (id === '_short') continue;
-		out.push({ id, originalName: info.originalName, filename: info.filename, size: info.size, createdAt: info.createdAt, converted: info.converted || false, short: rev[id] || null, removed: info.removed || false });
-		}
-		// sort by createdAt desc
-		out.sort((a,b)=> (b.createdAt||0)-(a.createdAt||0));
-		res.json({ ok: true, items: out });
+		const collection = store.getCollection(req.params.id);
+		if (!collection || collection.owner !== req.user.id) return res.status(404).json({ error: 'not found' });
+		deleteCollection(collection.id);
+		res.json({ ok: true });
 	} catch (e) { res.status(500).json({ error: e && e.message }); }
 });
 
-// Serve a minimal admin entry page at /admin that prompts for the token and
-// stores it to localStorage, then redirects to the static admin UI (/admin.html).
-app.get('/admin', (req, res) => {
-	const html = `<!doctype html><html><head><meta charset="utf-8" /><meta name="viewport" content="width=device-width,initial-scale=1" /><title>Admin Login</title></head><body>
-	<script>
-		// Prompt for token, save to localStorage as 'admin_token' and navigate to /public/admin.html
-		(async function(){
-			try{
-				let token = localStorage.getItem('admin_token') || '';
-				if (!token) token = prompt('Enter admin token (Bearer token value)');
-				if (token) {
-					localStorage.setItem('admin_token', token);
-					// Redirect to the admin UI which will read token from localStorage
-					window.location.replace('/admin.html');
-				} else {
-					document.body.innerHTML = '<p>No token provided. <a href="/admin.html">Open admin UI</a></p>';
-				}
-			}catch(e){ document.body.innerHTML = '<p>Error: '+(e && e.message)+'</p>'; }
-		})();
-	</script>
-	</body></html>`;
-	res.setHeader('Content-Type','text/html');
-	res.send(html);
+// Admin: every collection (or one user's, ?owner=<user id>)
+app.get('/admin/collections', adminAuth, (req, res) => {
+	try {
+		const owners = new Map(store.listUsers().map((u) => [u.id, u.name]));
+		const items = store.listCollections(req.query.owner ? String(req.query.owner) : undefined)
+			.map((c) => ({ ...describeCollection(req, c), ownerName: owners.get(c.owner) || null }));
+		res.json({ ok: true, items });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
 });
 
-// Admin: delete a video by id
-app.post('/admin/delete', adminAuth, express.json(), (req, res) => {
+app.delete('/admin/collections/:id', adminAuth, (req, res) => {
 	try {
-		const id = req.body && req.body.id;
-		if (!id) return res.status(400).json({ error: 'id required' });
-		const d = readData();
-		if (!d[id]) return res.status(404).json({ error: 'not found' });
-		const filename = d[id].filename;
-				// mark as removed in metadata (don't immediately delete file so disk recovery is possible)
-				try {
-					d[id].removed = true;
-				} catch (e) {}
-				// also attempt to delete the file (best-effort) and record if deletion succeeded
-				try { fs.unlinkSync(path.join(UPLOADS_DIR, filename)); d[id].filename = filename; d[id].fileDeleted = true; } catch (e) { d[id].fileDeleted = false; }
-				// remove short mappings that point to this id
-		if (d._short) {
-			for (const [k, v] of Object.entries(d._short)) {
-				if (v === id) delete d._short[k];
+		if (!deleteCollection(req.params.id)) return res.status(404).json({ error: 'not found' });
+		audit(req, 'collection.delete', req.params.id);
+		res.json({ ok: true });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// The videos of `collection` this request may watch, in play order. Gone videos and
+// animated-image clips are skipped, and so are protected ones the viewer hasn't unlocked
+// (their access cookie), since a collection's link can't carry their signatures.
+function collectionVideos(req, res, collection) {
+	res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+	const items = [];
+	for (const id of collection.videos || []) {
+		const video = store.getVideo(id);
+		if (!video || isUnavailable(video) || String(video.mime || '').startsWith('image/')) continue;
+		if (isProtected(video)) {
+			if (!access.checkCookie(video, req.headers.cookie)) continue;
+			res.setHeader('Cache-Control', 'private, no-cache');
+		}
+		items.push(video);
+	}
+	return items;
+}
+
+// 75.4 -> "1:15", 3725 -> "1:02:05"
+function formatDuration(seconds) {
+	const s = Math.round(seconds);
+	const hms = [Math.floor(s / 3600), Math.floor(s / 60) % 60, s % 60];
+	return (hms[0] ? hms : hms.slice(1)).map((n, i) => (i ? String(n).padStart(2, '0') : String(n))).join(':');
+}
+
+// <video> plus a script that plays `videos` one after another, through HLS where a video
+// has it (like videoPlayerHtml). Links in the page's #playlist jump between them.
+function playlistPlayerHtml(videos) {
+	const items = videos.map((v) => {
+		const id = encodeURIComponent(v.id);
+		return { src: `/v/${id}`, hls: v.hls ? `/hls/${id}/master.m3u8` : null, poster: v.poster ? `/poster/${id}` : null };
+	});
+	// keep "</script>" in a title or id from ending the script early
+	const json = JSON.stringify(items).replace(/</g, '\\u003c');
+	return `<video id="player" controls playsinline preload="metadata"></video>
+		${videos.some((v) => v.hls) ? '<script src="/vendor/hls.min.js"></script>' : ''}
+		<script>(function(){
+			var items = ${json}, v = document.getElementById('player'), links = document.querySelectorAll('#playlist a'), current = -1, hls = null;
+			function play(i, autoplay) {
+				if (i < 0 || i >= items.length) return;
+				var it = items[i];
+				current = i;
+				if (hls) { hls.destroy(); hls = null; }
+				v.poster = it.poster || '';
+				if (it.hls && v.canPlayType('application/vnd.apple.mpegurl')) v.src = it.hls;
+				else if (it.hls && window.Hls && Hls.isSupported()) {
+					hls = new Hls();
+					hls.on(Hls.Events.ERROR, function(e, d){ if (d.fatal) { hls.destroy(); hls = null; v.src = it.src; } });
+					v.removeAttribute('src');
+					hls.loadSource(it.hls);
+					hls.attachMedia(v);
+				} else v.src = it.src;
+				for (var j = 0; j < links.length; j++) links[j].className = j === i ? 'current' : '';
+				if (autoplay) { var p = v.play(); if (p && p.catch) p.catch(function(){}); }
 			}
+			v.addEventListener('error', function(){ var it = items[current]; if (it && !hls && v.src.indexOf(it.src) === -1) v.src = it.src; });
+			v.addEventListener('ended', function(){ play(current + 1, true); });
+			for (var i = 0; i < links.length; i++) links[i].addEventListener('click', (function(n){ return function(e){ e.preventDefault(); play(n, true); }; })(i));
+			play(0, false);
+		})();</script>`;
+}
+
+// A collection's page. Link-preview crawlers get the embed of its first video under the
+// collection's title, with the playlist as the twitter:player; browsers get the playlist.
+app.get('/c/:id', (req, res) => {
+	const collection = store.getCollection(req.params.id);
+	if (!collection) return sendInvalidEmbed(req, res);
+	const videos = collectionVideos(req, res, collection);
+	const base = baseUrl(req);
+	const id = encodeURIComponent(collection.id);
+	const title = escapeHtml(collection.title);
+	const count = `${videos.length} video${videos.length === 1 ? '' : 's'}`;
+	if (isEmbedCrawler(req)) {
+		if (!videos.length) return sendInvalidEmbed(req, res);
+		analytics.recordHit(req, videos[0].id);
+		return sendVideoEmbed(req, res, videos[0], {
+			title: collection.title,
+			description: collection.description || count,
+			pageUrl: `${base}/c/${id}`,
+			playerUrl: `${base}/c/${id}/player`,
+		});
+	}
+	const list = videos.map((v, i) => `<li><a href="#${i + 1}">${escapeHtml(videoTitle(v))}</a>${v.duration ? ` <span>${formatDuration(v.duration)}</span>` : ''}</li>`).join('');
+	const html = `<!doctype html><html><head>
+		<meta charset="utf-8" />
+		<meta name="viewport" content="width=device-width,initial-scale=1" />
+		<title>${title}</title>
+		<style>body{font-family:system-ui,Arial;background:#111;color:#eee;margin:0}main{max-width:960px;margin:24px auto;padding:0 16px}h1{font-size:18px;font-weight:600}p{color:#bbb;white-space:pre-wrap}video{width:100%;max-height:70vh;background:#000;border-radius:6px}a{color:${escapeHtml(EMBED_THEME_COLOR)};text-decoration:none}ol{padding-left:24px}li{margin:6px 0}li span{color:#888;font-size:13px}a.current{font-weight:600;color:#fff}</style>
+		</head><body><main><h1>${title}</h1>
+		${collection.description ? `<p>${escapeHtml(collection.description)}</p>` : ''}
+		${videos.length ? `${playlistPlayerHtml(videos)}<ol id="playlist">${list}</ol>` : '<p>There is nothing to play here.</p>'}
+		<p>${count}</p></main></body></html>`;
+	res.setHeader('Content-Type', 'text/html');
+	if (!res.getHeader('Cache-Control')) res.setHeader('Cache-Control', 'public, max-age=60');
+	res.send(html);
+});
+
+// Bare playlist player used as a collection's twitter:player iframe
+app.get('/c/:id/player', (req, res) => {
+	const collection = store.getCollection(req.params.id);
+	const videos = collection ? collectionVideos(req, res, collection) : [];
+	if (!videos.length) return sendInvalidEmbed(req, res);
+	const html = `<!doctype html><html><head><meta charset="utf-8" /><meta name="viewport" content="width=device-width,initial-scale=1" />
+		<style>html,body{margin:0;height:100%;background:#000}video{width:100%;height:100%;object-fit:contain}</style>
+		</head><body>${playlistPlayerHtml(videos)}</body></html>`;
+	res.setHeader('Content-Type', 'text/html');
+	res.send(html);
+});
+
+// --- Event webhooks ---
+
+// Queue `event` about `video` for the webhooks subscribed to it. Its URLs are on `req`'s
+// origin when a request caused it. Never fails the caller.
+function emitVideoEvent(event, video, extra, req) {
+	try {
+		const base = req ? baseUrl(req) : PUBLIC_BASE_URL || video.baseUrl || null;
+		eventHooks.emit(event, { ...(extra || {}), video: describeVideo(video, base) });
+	} catch (e) {
+		log.error(`Failed to queue ${event} webhooks`, { video: video.id, error: e.message });
+	}
+}
+
+// Admin: the webhooks and the events they can subscribe to
+app.get('/admin/webhooks', adminAuth, (req, res) => {
+	try {
+		res.json({ ok: true, items: eventHooks.list(), events: eventHooks.EVENTS });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: subscribe { url, events: [...] or "a,b" or "*", description }. The response has the
+// signing secret, which isn't shown again.
+app.post('/admin/webhooks', adminAuth, (req, res) => {
+	try {
+		const hook = eventHooks.create(req.body || {});
+		audit(req, 'webhook.create', hook.id, { url: hook.url, events: hook.events });
+		const { secret, ...rest } = hook;
+		res.json({ ok: true, webhook: rest, secret });
+	} catch (e) { res.status(e.status || 500).json({ error: e && e.message }); }
+});
+
+// Admin: change { url, events, description, disabled }
+app.post('/admin/webhooks/:id', adminAuth, (req, res) => {
+	try {
+		const body = req.body || {};
+		const hook = eventHooks.update(req.params.id, { url: body.url, events: body.events, description: body.description, disabled: body.disabled });
+		audit(req, 'webhook.update', hook.id, { url: hook.url, events: hook.events, disabled: hook.disabled });
+		res.json({ ok: true, webhook: hook });
+	} catch (e) { res.status(e.status || 500).json({ error: e && e.message }); }
+});
+
+app.delete('/admin/webhooks/:id', adminAuth, (req, res) => {
+	try {
+		eventHooks.remove(req.params.id);
+		audit(req, 'webhook.delete', req.params.id);
+		res.json({ ok: true });
+	} catch (e) { res.status(e.status || 500).json({ error: e && e.message }); }
+});
+
+// Admin: replace a webhook's signing secret; the new one is in the response
+app.post('/admin/webhooks/:id/secret', adminAuth, (req, res) => {
+	try {
+		const hook = eventHooks.rotateSecret(req.params.id);
+		audit(req, 'webhook.secret', hook.id);
+		res.json({ ok: true, secret: hook.secret });
+	} catch (e) { res.status(e.status || 500).json({ error: e && e.message }); }
+});
+
+// Admin: send a `ping` event to check a webhook
+app.post('/admin/webhooks/:id/ping', adminAuth, (req, res) => {
+	try {
+		const delivery = eventHooks.ping(req.params.id);
+		res.json({ ok: true, delivery });
+	} catch (e) { res.status(e.status || 500).json({ error: e && e.message }); }
+});
+
+// Admin: the delivery log, newest first (?limit=&before=<createdAt of the last one shown>&webhook=&status=)
+app.get('/admin/webhook-deliveries', adminAuth, (req, res) => {
+	try {
+		const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+		const before = parseInt(req.query.before, 10) || null;
+		const items = eventHooks.deliveries({
+			limit,
+			before,
+			webhookId: req.query.webhook ? String(req.query.webhook) : null,
+			status: req.query.status ? String(req.query.status) : null,
+		});
+		res.json({ ok: true, items, next: items.length === limit ? items[items.length - 1].createdAt : null });
+	} catch (e) { res.status(500).json({ error: e && e.message }); }
+});
+
+// Admin: send a delivered or failed delivery again
+app.post('/admin/webhook-deliveries/:id/retry', adminAuth, (req, res) => {
+	try {
+		const delivery = eventHooks.redeliver(req.params.id);
+		audit(req, 'webhook.redeliver', delivery.id, { webhookId: delivery.webhookId, event: delivery.event });
+		res.json({ ok: true, delivery });
+	} catch (e) { res.status(e.status || 500).json({ error: e && e.message }); }
+});
+
+// --- Metrics and health checks ---
+
+// The gauges, read at every scrape; the counters are in `metric` at the top
+metrics.gauge('transcode_queue_depth', 'Background jobs queued or running, by type', ['type', 'status'], {
+	collect: (g) => {
+		for (const [type, counts] of Object.entries(jobQueue.stats().byType)) {
+			g.set({ type, status: 'queued' }, counts.queued);
+			g.set({ type, status: 'running' }, counts.running);
 		}
-	writeData(d);
-		// notify subscribers if any
-	try { transcodeJobs[id] = transcodeJobs[id] || {}; transcodeJobs[id].status = 'removed'; broadcastStatus(id); } catch (e) {}
-		return res.json({ ok: true });
-	} catch (e) { return res.status(500).json({ error: e && e.message }); }
+	},
+});
+metrics.gauge('websocket_connections', 'Open WebSocket connections', [], { collect: (g) => g.set(wss.clients.size) });
+metrics.gauge('websocket_subscribers', 'WebSocket connections following at least one job', [], {
+	collect: (g) => {
+		const sockets = new Set();
+		for (const set of subscribers.values()) for (const ws of set) sockets.add(ws);
+		g.set(sockets.size);
+	},
+});
+metrics.gauge('websocket_subscriptions', 'Jobs followed over WebSockets, counted per connection', [], {
+	collect: (g) => g.set([...subscribers.values()].reduce((sum, set) => sum + set.size, 0)),
+});
+metrics.gauge('videos', 'Videos in the metadata store, by state (active, removed)', ['state'], {
+	collect: (g) => {
+		g.set({ state: 'active' }, 0);
+		g.set({ state: 'removed' }, 0);
+		for (const v of store.listVideos()) g.inc({ state: v.removed ? 'removed' : 'active' });
+	},
+});
+metrics.gauge('storage_used_bytes', 'Bytes held against STORAGE_QUOTA: uploads/ plus, on S3, every stored file', [], { collect: (g) => g.set(storageUsed()) });
+metrics.gauge('storage_quota_bytes', 'STORAGE_QUOTA, when one is set', [], { collect: (g) => { if (STORAGE_QUOTA) g.set(STORAGE_QUOTA); } });
+metrics.gauge('disk_free_bytes', 'Free space on the disk holding uploads/', [], {
+	collect: (g) => {
+		const free = freeDiskBytes(UPLOADS_DIR);
+		if (free !== null) g.set(free);
+	},
+});
+
+// Prometheus scrapes with `Authorization: Bearer <METRICS_TOKEN>` or an admin token
+function metricsAuth(req, res, next) {
+	const auth = req.get('authorization') || '';
+	const token = auth.toLowerCase().startsWith('bearer ') ? auth.slice(7).trim() : '';
+	if (METRICS_TOKEN && token && safeEqual(token, METRICS_TOKEN)) return next();
+	if (ADMINS.length) return adminAuth(req, res, next);
+	if (!METRICS_TOKEN) return res.status(403).json({ error: 'metrics not configured' });
+	return res.status(token ? 403 : 401).json({ error: token ? 'invalid token' : 'missing token' });
+}
+
+app.get('/metrics', metricsAuth, (req, res) => {
+	res.setHeader('Cache-Control', 'no-store');
+	res.type(metrics.contentType).send(metrics.render());
+});
+
+// ffmpeg and ffprobe as fluent-ffmpeg finds them: the bundled binaries, else FFMPEG_PATH /
+// FFPROBE_PATH, else the PATH. Running them costs a process each, so a result is reused
+// for a minute.
+const binaryChecks = new Map(); // binary -> { at, result }
+
+function checkBinary(bin) {
+	const cached = binaryChecks.get(bin);
+	if (cached && Date.now() - cached.at < 60 * 1000) return cached.result;
+	const result = new Promise((resolve) => {
+		execFile(bin, ['-version'], { timeout: 5000 }, (err, stdout) => {
+			if (err) return resolve({ ok: false, error: err.code === 'ENOENT' ? `${path.basename(bin)} not found` : err.message });
+			const version = /version (\S+)/.exec(String(stdout));
+			resolve({ ok: true, version: version ? version[1] : null });
+		});
+	});
+	binaryChecks.set(bin, { at: Date.now(), result });
+	return result;
+}
+
+// What /healthz and /readyz report: whether ffmpeg and ffprobe run, the metadata store can
+// be written and read, and uploads/ is writable with more than MIN_FREE_DISK free (below
+// that, uploads are refused).
+async function healthChecks() {
+	const checks = {};
+	[checks.ffmpeg, checks.ffprobe] = await Promise.all([
+		checkBinary(ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg'),
+		checkBinary(ffprobePath || process.env.FFPROBE_PATH || 'ffprobe'),
+	]);
+	try {
+		store.check();
+		checks.store = { ok: true, backend: store.backend };
+	} catch (e) {
+		checks.store = { ok: false, backend: store.backend, error: e.message };
+	}
+	try {
+		fs.accessSync(UPLOADS_DIR, fs.constants.W_OK);
+		const free = freeDiskBytes(UPLOADS_DIR);
+		// null: the platform can't tell
+		const ok = free === null || (MIN_FREE_DISK ? free >= MIN_FREE_DISK : free > 0);
+		checks.disk = { ok, free, minFree: MIN_FREE_DISK };
+		if (!ok) checks.disk.error = 'uploads/ is low on disk space';
+	} catch (e) {
+		checks.disk = { ok: false, error: `uploads/ is not writable: ${e.message}` };
+	}
+	const failed = Object.keys(checks).filter((k) => !checks[k].ok);
+	return { ok: !failed.length, failed, checks };
+}
+
+// Liveness: the process is up and its metadata store works. A missing ffmpeg or a full disk
+// only shows as `degraded`, as restarting the process wouldn't fix them.
+app.get('/healthz', async (req, res) => {
+	const { ok, failed, checks } = await healthChecks();
+	res.setHeader('Cache-Control', 'no-store');
+	const status = ok ? 'ok' : checks.store.ok ? 'degraded' : 'fail';
+	res.status(checks.store.ok ? 200 : 503).json({ ok: checks.store.ok, status, failed, checks });
+});
+
+// Readiness: 503 unless every check passes, so a load balancer stops sending uploads here
+app.get('/readyz', async (req, res) => {
+	const { ok, failed, checks } = await healthChecks();
+	res.setHeader('Cache-Control', 'no-store');
+	if (!ok) return res.status(503).json({ ok: false, error: `not ready: ${failed.join(', ')}`, checks });
+	res.json({ ok: true, checks });
+});
+
+jobQueue.start();
+eventHooks.start();
+
+// background cleanup of expired videos and stray files in uploads/
+const sweeper = createSweeper({
+	store,
+	uploadsDir: UPLOADS_DIR,
+	removeVideo,
+	isExpired,
+	// videos with a queued or running job still own their partial files
+	activeVideoIds: () => new Set(jobQueue.list().filter((j) => j.status === 'queued' || j.status === 'running').map((j) => j.videoId)),
+	intervalMs: (parseInt(process.env.SWEEP_INTERVAL_SECONDS, 10) || 600) * 1000,
+	staleMs: (parseInt(process.env.SWEEP_STALE_SECONDS, 10) || 3600) * 1000,
+	// transcodes and renditions grow uploads/ after the upload-time check
+	afterSweep: () => {
+		uploadSessions.sweep();
+		releaseRemovedFiles(0);
+		evictForSpace(0, storageUsed());
+	},
 });
+sweeper.start();
+
+// view/bandwidth counters, written to the store every STATS_FLUSH_SECONDS
+const analytics = createAnalytics({
+	store,
+	flushMs: (parseInt(process.env.STATS_FLUSH_SECONDS, 10) || 30) * 1000,
+	isCrawler: isEmbedCrawler,
+});
+analytics.start();
 
 server.listen(PORT, () => {
-	console.log(`Server listening on http://localhost:${PORT}`);
+	log.info(`Server listening on http://localhost:${PORT}`);
 });
 
-// Post an embed-only payload to a Discord webhook URL so the message shows an embed without the raw link
-app.post('/post-webhook', express.json(), async (req, res) => {
+// Post an embed-only payload to a Discord webhook URL so the message shows an embed without
+// the raw link. Only Discord webhooks are accepted, and posts are queued per webhook to
+// respect Discord's rate limits (see lib/webhooks.js).
+const webhooks = createWebhookQueue();
+
+app.post('/post-webhook', uploadAuth, rateLimit(limiters.webhooks, 'webhook posts'), async (req, res) => {
 	const { webhookUrl, id, label } = req.body || {};
 	if (!webhookUrl || !id) return res.status(400).json({ error: 'webhookUrl and id required' });
+	if (!parseDiscordWebhook(webhookUrl)) return res.status(400).json({ error: 'webhookUrl must be a Discord webhook URL (https://discord.com/api/webhooks/...)' });
 
-	const d = readData();
-	if (!d[id]) return res.status(404).json({ error: 'id not found' });
+	const video = store.getVideo(id);
+	if (!video) return res.status(404).json({ error: 'id not found' });
 
-	const videoUrl = `${req.protocol}://${req.get('host')}/v/${id}`;
-	const title = (label && String(label).trim()) || d[id].originalName || 'Video';
+	const base = baseUrl(req);
+	// the name and description of a protected video are for people who can open it
+	const title = (label && String(label).trim()) || (isProtected(video) ? 'Protected video' : videoTitle(video));
+	const description = (!isProtected(video) && video.description) || 'Uploaded via Video Hoster';
 
-	const payload = { embeds: [{ title, url: videoUrl, description: 'Uploaded via Video Hoster' }] };
+	const embed = { title, url: `${base}/s/${id}`, description, color: parseInt(EMBED_THEME_COLOR.replace('#', ''), 16) || undefined };
+	if (video.poster && !isProtected(video)) embed.image = { url: `${base}/poster/${id}` };
+	if (video.width && video.height) embed.footer = { text: `${video.width}×${video.height}` };
+	const payload = { embeds: [embed] };
 
-	// Try to use global fetch if available (Node 18+). Otherwise fall back to https.request.
 	try {
-		if (typeof fetch === 'function') {
-			const r = await fetch(webhookUrl, {
-				method: 'POST',
-				headers: { 'Content-Type': 'application/json' },
-				body: JSON.stringify(payload),
-			});
-			if (!r.ok) return res.status(502).json({ error: 'Webhook request failed', status: r.status });
-			return res.json({ ok: true });
-		} else {
-			// fallback
-			const { URL } = require('url');
-			const https = require('https');
-			const u = new URL(webhookUrl);
-			const opts = {
-				hostname: u.hostname,
-				path: u.pathname + (u.search || ''),
-				method: 'POST',
-				headers: {
-					'Content-Type': 'application/json',
-					'Content-Length': Buffer.byteLength(JSON.stringify(payload)),
-				},
-			};
-
-			const req2 = https.request(opts, (r2) => {
-				let data = '';
-				r2.on('data', (c) => data += c.toString());
-				r2.on('end', () => {
-					if (r2.statusCode >= 200 && r2.statusCode < 300) return res.json({ ok: true });
-					return res.status(502).json({ error: 'Webhook request failed', status: r2.statusCode, body: data });
-				});
-			});
-			req2.on('error', (err) => res.status(500).json({ error: err.message }));
-			req2.write(JSON.stringify(payload));
-			req2.end();
-		}
+		const r = await webhooks.post(webhookUrl, payload);
+		if (r.status >= 200 && r.status < 300) return res.json({ ok: true });
+		return res.status(502).json({ error: 'Webhook request failed', status: r.status, body: r.body });
 	} catch (err) {
-		return res.status(500).json({ error: err.message });
+		if (err.status === 429) return sendRateLimited(res, err.retryAfterMs, err.message);
+		if (err.status) return res.status(err.status).json({ error: err.message });
+		return res.status(502).json({ error: err.message });
 	}
 });
 
+// --- Discord bot ---
+
+// Slash commands over Discord's interactions endpoint (see lib/discord.js), enabled by
+// DISCORD_APPLICATION_ID and DISCORD_PUBLIC_KEY. A Discord account acts as the user it was
+// linked to with /link, so quotas, rate limits and /me all apply to what it uploads.
+const discordBot = process.env.DISCORD_APPLICATION_ID && process.env.DISCORD_PUBLIC_KEY ? createDiscordBot({
+	applicationId: process.env.DISCORD_APPLICATION_ID,
+	publicKey: process.env.DISCORD_PUBLIC_KEY,
+	botToken: process.env.DISCORD_BOT_TOKEN,
+	apiBase: process.env.DISCORD_API_BASE || undefined,
+	handlers: { upload: discordUpload, clip: discordClip, mylinks: discordMyLinks, delete: discordDelete, link: discordLink },
+}) : null;
+
+// how long /upload may spend fetching the file
+const DISCORD_DOWNLOAD_TIMEOUT = (parseInt(process.env.DISCORD_DOWNLOAD_TIMEOUT_SECONDS, 10) || 120) * 1000;
+// interaction tokens expire after 15 minutes; stop following a job a little before
+const DISCORD_FOLLOW_MS = 14 * 60 * 1000;
+const DISCORD_NOT_LINKED = 'Link your Video Hoster account first: `/link key:<one of your API keys>`';
+
+// The user a Discord account is linked to
+function discordUser(ctx) {
+	const id = String(ctx.user.id || '');
+	return (id && store.listUsers().find((u) => u.discordId === id && !u.disabled)) || null;
+}
+
+// The interaction's request as seen by route logic: the linked user and a body of options.
+// Links are built from it like from any request.
+function botRequest(ctx, user, body) {
+	return Object.assign(Object.create(ctx.req), { user, body, query: {} });
+}
+
+// Run `(res) => ...` route logic and resolve with the { status, body } it responds with
+function routeResult(run) {
+	return new Promise((resolve, reject) => {
+		const res = {
+			statusCode: 200,
+			status(code) { this.statusCode = code; return this; },
+			json(body) { resolve({ status: this.statusCode, body }); return this; },
+			// there's no browser to keep a cookie
+			cookie() { return this; },
+			setHeader() {},
+		};
+		Promise.resolve().then(() => run(res)).catch(reject);
+	});
+}
+
+// `s` with Discord's markdown characters taken out, for file names in messages
+function plainText(s) {
+	return String(s).replace(/[*_`~|\\]/g, '');
+}
+
+// A video by id, short slug or one of its links (.../s/<id>, https://<short domain>/<slug>)
+function findVideoRef(value) {
+	let ref = String(value || '').trim();
+	try { ref = new URL(ref).pathname.split('/').filter(Boolean).pop() || ''; } catch (e) {}
+	if (!ref) return null;
+	return store.getVideo(ref) || store.getVideo(store.resolveShort(ref));
+}
+
+function describeJob(job) {
+	if (job.status === 'queued') return job.queuePosition ? `queued (#${job.queuePosition} in line)` : 'queued';
+	if (job.status === 'running') return `converting… ${job.progress || 0}%${job.eta ? `, about ${job.eta}s left` : ''}`;
+	return job.message || job.status;
+}
+
+// Follow job `id`, calling onProgress(job) on every update. Resolves with its final status
+// (done, error, cancelled, removed), or the latest one if it takes longer than `timeoutMs`.
+function waitForJob(id, onProgress, timeoutMs) {
+	const FINAL = ['done', 'error', 'cancelled', 'removed', 'none'];
+	return new Promise((resolve) => {
+		const current = jobStatus(id) || { status: 'none' };
+		if (FINAL.includes(current.status)) return resolve(current);
+		let last = current;
+		let set = jobWatchers.get(id);
+		if (!set) { set = new Set(); jobWatchers.set(id, set); }
+		const finish = () => {
+			clearTimeout(timer);
+			set.delete(watch);
+			if (!set.size && jobWatchers.get(id) === set) jobWatchers.delete(id);
+			resolve(last);
+		};
+		const watch = (job) => {
+			last = job;
+			if (FINAL.includes(job.status)) finish();
+			else onProgress(job);
+		};
+		const timer = setTimeout(finish, timeoutMs);
+		set.add(watch);
+		onProgress(current);
+	});
+}
+
+// Follow the conversion of a new upload or clip in the ephemeral reply, then answer with
+// its link (and, with `share`, post it in the channel so Discord embeds it)
+async function discordFinish(ctx, resp, name) {
+	const link = resp.lawtonShortUrl || resp.shortUrl;
+	let job = { status: 'done' };
+	if (resp.transcodeQueued) {
+		job = await waitForJob(resp.jobId || resp.id, (j) => ctx.update(`**${name}**: ${describeJob(j)}`), DISCORD_FOLLOW_MS);
+	}
+	if (job.status === 'error' || job.status === 'cancelled' || job.status === 'removed') {
+		return ctx.reply(`**${name}** could not be converted: ${job.message || job.status}`);
+	}
+	if (job.status !== 'done') {
+		return ctx.reply(`**${name}** is still converting (${describeJob(job)}). It will be at ${link} — see \`/mylinks\`.`);
+	}
+	const signed = resp.signedUntil ? ` (signed link, valid until <t:${Math.floor(resp.signedUntil / 1000)}:f>)` : '';
+	await ctx.reply(`**${name}** is ready: ${link}${signed}`);
+	if (ctx.options.share !== false) await ctx.followUp({ content: link, allowed_mentions: { parse: [] } });
+}
+
+// /link key:<api key> - act as that key's user from now on
+async function discordLink(ctx) {
+	const result = verifyApiKey(store, String(ctx.options.key || '').trim());
+	if (!result) return ctx.reply('That API key is not valid.');
+	const discordId = String(ctx.user.id);
+	// one Discord account, one user
+	for (const u of store.listUsers()) {
+		if (u.discordId === discordId && u.id !== result.user.id) store.putUser({ ...u, discordId: null });
+	}
+	store.putUser({ ...result.user, discordId });
+	return ctx.reply(`Linked to **${result.user.name}**.`);
+}
+
+// /upload file:<attachment> | url:<link> [visibility] [ttl] [share]
+async function discordUpload(ctx) {
+	const user = discordUser(ctx);
+	if (!user) return ctx.reply(DISCORD_NOT_LINKED);
+	const attachment = ctx.attachment('file');
+	const url = attachment ? attachment.url : ctx.options.url;
+	if (!url) return ctx.reply('Attach a video with `file:` or give a link with `url:`.');
+	const key = `user:${user.id}`;
+	if (limiters.uploads) {
+		const r = limiters.uploads.take(key);
+		if (!r.ok) return ctx.reply(`Too many uploads; try again in ${Math.ceil(r.retryAfterMs / 1000)}s.`);
+	}
+	if (limiters.uploadBytes && attachment) {
+		const r = limiters.uploadBytes.check(key, attachment.size || 0);
+		if (!r.ok) return ctx.reply(r.tooLarge ? 'That file is over your upload limit.' : `Upload limit reached; try again in ${Math.ceil(r.retryAfterMs / 1000)}s.`);
+	}
+	const room = downloadAllowance(user);
+	if (room.error) return ctx.reply(`Upload refused: ${room.error}.`);
+
+	const name = plainText((attachment && attachment.filename) || 'video');
+	ctx.update(`**${name}**: downloading…`);
+	const tempPath = downloadTempPath();
+	let got;
+	try {
+		got = await downloadToFile(url, tempPath, {
+			maxBytes: room.maxBytes,
+			timeoutMs: DISCORD_DOWNLOAD_TIMEOUT,
+			// attachments come from Discord's CDN in a signed interaction; links can point anywhere
+			guard: !attachment,
+			onProgress: (size, total) => ctx.update(`**${name}**: downloading… ${total ? `${Math.floor((size / total) * 100)}%` : formatBytes(size)}`),
+		});
+	} catch (e) {
+		return ctx.reply(`Could not download ${attachment ? 'the attachment' : 'that link'}: ${e.message}`);
+	}
+	if (limiters.uploadBytes) limiters.uploadBytes.charge(key, got.size);
+
+	const fields = { visibility: ctx.options.visibility, ttl: ctx.options.ttl };
+	const fileName = (attachment && attachment.filename) || got.fileName;
+	const result = await routeResult((res) => acceptUpload(botRequest(ctx, user, fields), res, { path: tempPath, originalName: fileName, size: got.size, source: 'discord' }, fields, user));
+	if (result.status !== 200) return ctx.reply(`Upload failed: ${result.body.error}`);
+	return discordFinish(ctx, result.body, plainText(fileName));
+}
+
+// /clip video:<id or link> [start] [end] [format] [mute] [share]
+async function discordClip(ctx) {
+	const user = discordUser(ctx);
+	if (!user) return ctx.reply(DISCORD_NOT_LINKED);
+	const video = findVideoRef(ctx.options.video);
+	// like /clip, but only from your own videos
+	if (!video || video.owner !== user.id) return ctx.reply('You have no video with that id or link.');
+	const body = { id: video.id, start: ctx.options.start, end: ctx.options.end, format: ctx.options.format, mute: ctx.options.mute };
+	const result = await routeResult((res) => createClip(botRequest(ctx, user, body), res));
+	if (result.status !== 200) return ctx.reply(`Clip failed: ${result.body.error}`);
+	return discordFinish(ctx, result.body, 'Clip');
+}
+
+// /mylinks - the caller's latest videos with their links
+async function discordMyLinks(ctx) {
+	const user = discordUser(ctx);
+	if (!user) return ctx.reply(DISCORD_NOT_LINKED);
+	const videos = store.listVideosByOwner(user.id).filter((v) => !isUnavailable(v)).sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+	if (!videos.length) return ctx.reply('You have no videos yet. Use `/upload` to add one.');
+	const lines = [];
+	for (const v of videos.slice(0, 15)) {
+		const links = describeLinks(v.id);
+		const link = v.visibility === 'signed' ? signedLinks(ctx.req, v, SIGNED_URL_TTL).url : (links.length ? links[0].url : `${baseUrl(ctx.req)}/s/${v.id}`);
+		const job = jobStatus(v.id);
+		const state = job && (job.status === 'queued' || job.status === 'running') ? ` — ${describeJob(job)}` : '';
+		lines.push(`• ${plainText(videoTitle(v))} (${v.visibility || 'unlisted'}): <${link}>${state}\n  id \`${v.id}\``);
+	}
+	if (videos.length > 15) lines.push(`…and ${videos.length - 15} more`);
+	return ctx.reply(lines.join('\n').slice(0, 2000));
+}
+
+// /delete video:<id or link>
+async function discordDelete(ctx) {
+	const user = discordUser(ctx);
+	if (!user) return ctx.reply(DISCORD_NOT_LINKED);
+	const video = findVideoRef(ctx.options.video);
+	if (!video || video.owner !== user.id || video.removed) return ctx.reply('You have no video with that id or link.');
+	removeVideo(video.id, null, true);
+	return ctx.reply(`Deleted **${plainText(videoTitle(video))}**.`);
+}
+
 // Endpoint to check transcode status
 app.get('/transcode-status/:id', (req, res) => {
 	const id = req.params.id;
-	const job = transcodeJobs[id];
+	const job = jobStatus(id);
 	if (!job) return res.json({ status: 'none' });
 	return res.json(job);
 });
@@ -566,29 +3585,32 @@ app.get('/transcode-status/:id', (req, res) => {
 // Return stored info and generated URLs for a given id
 app.get('/info/:id', (req, res) => {
 	const id = req.params.id;
-	const d = readData();
-	if (!d[id]) return res.status(404).json({ error: 'not found' });
-	const protocol = req.protocol;
-	const host = req.get('host');
-	const videoUrl = `${protocol}://${host}/v/${id}`;
-	const shortUrl = `${protocol}://${host}/s/${id}`;
-	try {
-		const store = d || readData();
-		let shortCandidate = null;
-		if (store._short) {
-			// find key by value (short -> id mapping)
-			for (const [k, v] of Object.entries(store._short)) {
-				if (v === id) { shortCandidate = k; break; }
-			}
-		}
-	const lawtonShort = `https://${SHORT_DOMAIN}/${shortCandidate || id}`;
-	const removedImage = `${protocol}://${host}/public/Removed.png`;
-	return res.json({ id, videoUrl, shortUrl, lawtonShortUrl: lawtonShort, info: d[id], removed: !!d[id].removed, removedImageUrl: removedImage });
+	const video = store.getVideo(id);
+	if (!video) return res.status(404).json({ error: 'not found' });
+	if (!checkAccess(req, res, video)) return res.json({ id, visibility: video.visibility, locked: true, removed: isUnavailable(video) });
+	try {
+		return res.json(describeVideo(video, baseUrl(req)));
 	} catch (e) {
-		return res.json({ id, videoUrl, shortUrl, info: d[id] });
+		const base = baseUrl(req);
+		return res.json({ id, videoUrl: `${base}/v/${id}`, shortUrl: `${base}/s/${id}`, info: publicRecord(video) });
 	}
 });
 
+// What /info/:id returns for a video (and event webhooks send): its URLs on `base`, short
+// links, renditions and state
+function describeVideo(video, base) {
+	const id = video.id;
+	const domain = domainOf(video);
+	const links = describeLinks(id);
+	const lawtonShort = links.length ? links[0].url : shortLinkUrl(id, domain);
+	const renditions = describeRenditions(video, base);
+	const out = { id, title: videoTitle(video), lawtonShortUrl: lawtonShort, domain: domain.host, shortLinks: links.map((l) => l.url), info: publicRecord(video), visibility: video.visibility || 'unlisted', media: video.media || null, renditions, removed: isUnavailable(video), expired: !!video.expired || isExpired(video) };
+	// an event for a video from before uploads kept their origin has no links of ours to give
+	if (!base) return out;
+	const hlsUrl = video.hls && !isUnavailable(video) ? `${base}/hls/${id}/master.m3u8` : null;
+	return { ...out, videoUrl: `${base}/v/${id}`, shortUrl: `${base}/s/${id}`, hlsUrl, removedImageUrl: `${base}/public/Removed.png` };
+}
+
 // Serve a simple placeholder PNG (1x1 transparent or small image). We'll serve a tiny embedded PNG.
 app.get('/invalid.png', (req, res) => {
 	// Prefer the workspace image at public/Invalid.png (case-sensitive on some systems)
@@ -612,17 +3634,18 @@ app.get('/invalid.png', (req, res) => {
 });
 
 function sendInvalidEmbed(req, res) {
+	return sendImageEmbed(req, res, `${baseUrl(req)}/invalid.png`);
+}
+
+function sendImageEmbed(req, res, imgUrl, imgType) {
 	// Return a minimal HTML page with Open Graph tags so Discord will create an embed with the image
-	const host = req.get('host');
-	const protocol = req.protocol;
-	const imgUrl = `${protocol}://${host}/invalid.png`;
 	// Provide only the image meta so Discord will preferably show an image-only embed.
 	// Also include a lightweight in-page <img> with CSS to avoid borders on some mobile clients.
 	const html = `<!doctype html><html><head>
 		<meta charset="utf-8" />
 		<meta name="viewport" content="width=device-width,initial-scale=1" />
 		<meta property="og:image" content="${imgUrl}" />
-		<meta property="og:image:type" content="image/png" />
+		<meta property="og:image:type" content="${imgType || 'image/png'}" />
 		<meta name="twitter:card" content="summary_large_image" />
 		<link rel="image_src" href="${imgUrl}" />
 		<style>html,body{margin:0;padding:0;background:#fff}img{border:0!important;display:block!important;width:100%!important;height:auto!important;}</style>
@@ -631,3 +3654,100 @@ function sendInvalidEmbed(req, res) {
 	res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
 	res.status(200).send(html);
 }
+
+// User agents of link-preview bots that only need the meta tags, not a player page.
+const EMBED_CRAWLER_RE = /discordbot|twitterbot|facebookexternalhit|slackbot|telegrambot|whatsapp|linkedinbot|embedly/i;
+
+function isEmbedCrawler(req) {
+	return EMBED_CRAWLER_RE.test(req.get('user-agent') || '');
+}
+
+function escapeHtml(s) {
+	return String(s == null ? '' : s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// `opts.query` (a signed link's query) is added to the media URLs. `opts.title`,
+// `opts.description`, `opts.pageUrl` and `opts.playerUrl` replace the video's own, for
+// pages that embed it on behalf of something else (a collection).
+function sendVideoEmbed(req, res, video, opts = {}) {
+	const base = baseUrl(req);
+	const id = encodeURIComponent(video.id);
+	const query = opts.query || '';
+	const videoUrl = `${base}/v/${id}${query}`;
+	const pageUrl = opts.pageUrl || `${base}/s/${id}${query}`;
+	const playerUrl = opts.playerUrl || `${base}/player/${id}${query}`;
+	const posterUrl = video.poster ? `${base}/poster/${id}${query}` : null;
+	const type = video.mime || 'video/mp4';
+	const title = escapeHtml(opts.title || videoTitle(video));
+	const description = escapeHtml(opts.description === undefined ? video.description : opts.description);
+	const w = video.width || 1280;
+	const h = video.height || 720;
+
+	const meta = [
+		'<meta property="og:type" content="video.other" />',
+		`<meta property="og:title" content="${title}" />`,
+		description ? `<meta property="og:description" content="${description}" />` : '',
+		`<meta property="og:url" content="${pageUrl}" />`,
+		`<meta property="og:video" content="${videoUrl}" />`,
+		`<meta property="og:video:url" content="${videoUrl}" />`,
+		base.startsWith('https:') ? `<meta property="og:video:secure_url" content="${videoUrl}" />` : '',
+		`<meta property="og:video:type" content="${escapeHtml(type)}" />`,
+		`<meta property="og:video:width" content="${w}" />`,
+		`<meta property="og:video:height" content="${h}" />`,
+		posterUrl ? `<meta property="og:image" content="${posterUrl}" />` : '',
+		posterUrl ? '<meta property="og:image:type" content="image/jpeg" />' : '',
+		posterUrl ? `<meta property="og:image:width" content="${w}" />` : '',
+		posterUrl ? `<meta property="og:image:height" content="${h}" />` : '',
+		`<meta name="theme-color" content="${escapeHtml(EMBED_THEME_COLOR)}" />`,
+		'<meta name="twitter:card" content="player" />',
+		`<meta name="twitter:title" content="${title}" />`,
+		description ? `<meta name="twitter:description" content="${description}" />` : '',
+		posterUrl ? `<meta name="twitter:image" content="${posterUrl}" />` : '',
+		`<meta name="twitter:player" content="${playerUrl}" />`,
+		`<meta name="twitter:player:width" content="${w}" />`,
+		`<meta name="twitter:player:height" content="${h}" />`,
+		`<meta name="twitter:player:stream" content="${videoUrl}" />`,
+		`<meta name="twitter:player:stream:content_type" content="${escapeHtml(type)}" />`,
+	].filter(Boolean).join('\n\t\t');
+
+	let body = '';
+	if (opts.player) {
+		body = `<main><h1>${title}</h1>
+		${description ? `<p class="description">${description}</p>` : ''}
+		${videoPlayerHtml(video, query)}
+		<p><a href="/v/${id}${query}">Direct link</a></p></main>`;
+	}
+
+	const html = `<!doctype html><html><head>
+		<meta charset="utf-8" />
+		<meta name="viewport" content="width=device-width,initial-scale=1" />
+		<title>${title}</title>
+		${meta}
+		<style>body{font-family:system-ui,Arial;background:#111;color:#eee;margin:0}main{max-width:960px;margin:24px auto;padding:0 16px}h1{font-size:18px;font-weight:600;word-break:break-all}.description{color:#bbb;white-space:pre-wrap}video{width:100%;max-height:80vh;background:#000;border-radius:6px}a{color:${escapeHtml(EMBED_THEME_COLOR)}}</style>
+		</head><body>${body}</body></html>`;
+	res.setHeader('Content-Type', 'text/html');
+	if (!res.getHeader('Cache-Control')) res.setHeader('Cache-Control', 'public, max-age=60');
+	res.status(200).send(html);
+}
+
+// <video> element for the built-in player pages. Plays the HLS ladder when the video has
+// one (natively in Safari, via hls.js elsewhere) and the progressive /v/:id file otherwise
+// or if HLS fails to load. `query` is a signed link's query for the media URLs.
+function videoPlayerHtml(video, query = '') {
+	const id = encodeURIComponent(video.id);
+	const poster = video.poster ? ` poster="/poster/${id}${query}"` : '';
+	const tag = `<video id="player" controls playsinline preload="metadata" src="/v/${id}${query}"${poster}></video>`;
+	if (!video.hls) return tag;
+	return `${tag}
+		<script src="/vendor/hls.min.js"></script>
+		<script>(function(){
+			var v = document.getElementById('player'), src = '/hls/${id}/master.m3u8${query}', fallback = '/v/${id}${query}';
+			if (v.canPlayType('application/vnd.apple.mpegurl')) { v.src = src; v.addEventListener('error', function(){ if (v.src.indexOf(fallback) === -1) v.src = fallback; }); return; }
+			if (!window.Hls || !Hls.isSupported()) return;
+			var hls = new Hls();
+			hls.on(Hls.Events.ERROR, function(e, d){ if (d.fatal) { hls.destroy(); v.src = fallback; } });
+			v.removeAttribute('src');
+			hls.loadSource(src);
+			hls.attachMedia(v);
+		})();</script>`;
+}
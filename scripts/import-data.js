@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// One-shot migration of a legacy data.json (including its `_short` map) into the
+// configured metadata store. Usage:
+//   node scripts/import-data.js [path/to/data.json]
+// Honours the same METADATA_STORE / METADATA_DB env vars as the server.
+const fs = require('fs');
+const path = require('path');
+const { createStore, importLegacyData } = require('../lib/store');
+
+const rootDir = path.join(__dirname, '..');
+const src = path.resolve(process.argv[2] || path.join(rootDir, 'data.json'));
+
+if (!fs.existsSync(src)) {
+	console.error(`No such file: ${src}`);
+	process.exit(1);
+}
+
+let data;
+try {
+	data = JSON.parse(fs.readFileSync(src, 'utf8') || '{}');
+} catch (e) {
+	console.error(`Failed to parse ${src}: ${e.message}`);
+	process.exit(1);
+}
+
+const store = createStore({ rootDir });
+if (store.backend === 'json' && path.resolve(process.env.METADATA_FILE || path.join(rootDir, 'data.json')) === src) {
+	console.error('Source and destination are the same file; set METADATA_STORE=sqlite to migrate.');
+	process.exit(1);
+}
+
+const r = importLegacyData(store, data);
+store.close();
+console.log(`Imported ${r.videos} videos and ${r.shorts} short links into ${store.backend} store` +
+	` (skipped ${r.skippedVideos} existing videos, ${r.skippedShorts} existing short links).`);
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+// Copy every video's files (video, poster, renditions, HLS output) from one storage
+// driver to another, e.g. from uploads/ to an S3 bucket. Usage:
+//   node scripts/migrate-storage.js <from> <to> [--delete]
+// where <from> and <to> are 'local' or 's3' (configured by the same S3_* env vars as the
+// server). Files already at the destination with the same size are skipped, so an
+// interrupted run can simply be started again. With --delete the source copies are removed
+// once a video has been copied completely. Stop the server first, and start it again
+// with STORAGE_DRIVER=<to> afterwards.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('../lib/store');
+const { createStorage, videoObjects } = require('../lib/storage');
+
+const rootDir = path.join(__dirname, '..');
+const uploadsDir = path.join(rootDir, 'uploads');
+const args = process.argv.slice(2).filter((a) => a !== '--delete');
+const deleteSource = process.argv.includes('--delete');
+const [fromName, toName] = args;
+
+if (!fromName || !toName || fromName === toName) {
+	console.error('Usage: node scripts/migrate-storage.js <local|s3> <local|s3> [--delete]');
+	process.exit(1);
+}
+
+let from;
+let to;
+try {
+	from = createStorage({ driver: fromName, uploadsDir });
+	to = createStorage({ driver: toName, uploadsDir });
+} catch (e) {
+	console.error(e.message);
+	process.exit(1);
+}
+
+// Copy one object unless the destination already has it. Returns the bytes copied.
+async function copyObject(key) {
+	const src = await from.stat(key);
+	if (!src) return null;
+	const dest = await to.stat(key);
+	if (dest && dest.size === src.size) return 0;
+	const local = from.localPath(key);
+	if (local) {
+		await to.put(key, local, { keep: true });
+		return src.size;
+	}
+	// download to a temp file first; put() takes it over
+	const tmp = path.join(uploadsDir, crypto.randomBytes(16).toString('hex'));
+	const stream = await from.get(key);
+	await new Promise((resolve, reject) => {
+		const out = fs.createWriteStream(tmp);
+		stream.on('error', reject);
+		out.on('error', reject);
+		out.on('finish', resolve);
+		stream.pipe(out);
+	});
+	try {
+		await to.put(key, tmp);
+	} finally {
+		try { fs.unlinkSync(tmp); } catch (e) {}
+	}
+	return src.size;
+}
+
+async function migrateVideo(video) {
+	const { files, prefixes } = videoObjects(video);
+	const keys = [...files];
+	for (const prefix of prefixes) for (const o of await from.list(prefix)) keys.push(o.key);
+	let bytes = 0;
+	let missing = 0;
+	for (const key of keys) {
+		const copied = await copyObject(key);
+		if (copied === null) missing++;
+		else bytes += copied;
+	}
+	if (deleteSource) {
+		for (const key of files) await from.delete(key);
+		for (const prefix of prefixes) await from.deletePrefix(prefix);
+	}
+	return { bytes, missing };
+}
+
+(async () => {
+	const store = createStore({ rootDir });
+	// purged files are gone; expired and evicted videos no longer have any
+	const videos = store.listVideos().filter((v) => v.filename && !(v.removed && v.fileDeleted !== false));
+	let total = 0;
+	let failed = 0;
+	for (const video of videos) {
+		try {
+			const r = await migrateVideo(video);
+			total += r.bytes;
+			if (r.missing) console.log(`${video.id}: ${r.missing} file(s) not found in ${fromName} storage`);
+		} catch (e) {
+			failed++;
+			console.error(`${video.id}: ${e.message}`);
+		}
+	}
+	store.close();
+	console.log(`Copied ${(total / 1024 / 1024).toFixed(1)} MB of ${videos.length - failed} videos from ${fromName} to ${toName}` +
+		`${deleteSource ? ' and deleted the originals' : ''}${failed ? ` (${failed} failed; run again to retry)` : ''}.`);
+	process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// Register the bot's slash commands with Discord (see lib/discord.js). Usage:
+//   node scripts/register-discord-commands.js [guild id]
+// With a guild id the commands show up in that server straight away; without one they
+// are registered globally, which can take a while to reach every server. Needs
+// DISCORD_APPLICATION_ID, DISCORD_PUBLIC_KEY and DISCORD_BOT_TOKEN (and honours
+// DISCORD_API_BASE) like the server.
+const { createDiscordBot } = require('../lib/discord');
+
+const { DISCORD_APPLICATION_ID, DISCORD_PUBLIC_KEY, DISCORD_BOT_TOKEN, DISCORD_API_BASE } = process.env;
+if (!DISCORD_APPLICATION_ID || !DISCORD_PUBLIC_KEY || !DISCORD_BOT_TOKEN) {
+	console.error('Set DISCORD_APPLICATION_ID, DISCORD_PUBLIC_KEY and DISCORD_BOT_TOKEN.');
+	process.exit(1);
+}
+
+const guildId = process.argv[2] || null;
+const bot = createDiscordBot({
+	applicationId: DISCORD_APPLICATION_ID,
+	publicKey: DISCORD_PUBLIC_KEY,
+	botToken: DISCORD_BOT_TOKEN,
+	apiBase: DISCORD_API_BASE || undefined,
+	handlers: {},
+});
+
+bot.registerCommands(guildId).then((registered) => {
+	const names = (registered || []).map((c) => `/${c.name}`).join(', ');
+	console.log(`Registered ${names} ${guildId ? `in guild ${guildId}` : 'globally'}.`);
+}).catch((e) => {
+	console.error(e.message);
+	process.exit(1);
+});
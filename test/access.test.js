@@ -0,0 +1,211 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { test, before, after } = require('node:test');
+const { hashPassword, verifyPassword, newAccessSalt, createAccess } = require('../lib/access');
+const { createStore } = require('../lib/store');
+
+// Grants on their own, then the server's checks: main.js run with a scratch metadata
+// database holding protected videos, and requested the way a browser or player would.
+
+const SECRET = 'test-link-secret';
+const access = createAccess(SECRET);
+
+const hls = { dir: 'hls-test', variants: [{ name: '720p' }] };
+const renditions = { '10mb': { filename: 'missing-10mb.mp4', target: '10mb' } };
+const videos = {
+	pw: { id: 'accesstestpw', visibility: 'password', passwordHash: hashPassword('hunter2'), hls, renditions },
+	other: { id: 'accesstestother', visibility: 'password', passwordHash: hashPassword('other') },
+	signed: { id: 'accesstestsigned', visibility: 'signed', hls, renditions },
+};
+for (const v of Object.values(videos)) {
+	Object.assign(v, { filename: `${v.id}.mp4`, mime: 'video/mp4', size: 1, createdAt: Date.now(), views: 0, accessSalt: newAccessSalt() });
+}
+
+// --- grants ---
+
+test('a signed link is valid until it expires', () => {
+	const { query } = access.signedQuery(videos.signed, 60 * 1000);
+	assert.equal(access.checkQuery(videos.signed, Object.fromEntries(new URLSearchParams(query))), true);
+	const expired = access.signedQuery(videos.signed, -60 * 1000);
+	assert.equal(access.checkQuery(videos.signed, Object.fromEntries(new URLSearchParams(expired.query))), false);
+});
+
+test('a tampered signed link is refused', () => {
+	const { exp, query } = access.signedQuery(videos.signed, 60 * 1000);
+	const { sig } = Object.fromEntries(new URLSearchParams(query));
+	const flipped = (sig[0] === 'A' ? 'B' : 'A') + sig.slice(1);
+	for (const q of [
+		{ exp, sig: flipped },
+		{ exp: exp + 3600, sig }, // a later expiry with the old signature
+		{ exp, sig: sig.slice(0, -1) },
+		{ exp },
+		{},
+	]) {
+		assert.equal(access.checkQuery(videos.signed, q), false, JSON.stringify(q));
+	}
+	// for another video, or this one after its password or visibility changed
+	assert.equal(access.checkQuery(videos.pw, { exp, sig }), false);
+	assert.equal(access.checkQuery({ ...videos.signed, accessSalt: newAccessSalt() }, { exp, sig }), false);
+	assert.equal(createAccess('another secret').checkQuery(videos.signed, { exp, sig }), false);
+});
+
+test('passwords are checked against their scrypt hash', () => {
+	assert.equal(verifyPassword('hunter2', videos.pw.passwordHash), true);
+	assert.equal(verifyPassword('hunter3', videos.pw.passwordHash), false);
+	assert.equal(verifyPassword('', videos.pw.passwordHash), false);
+	assert.equal(verifyPassword('hunter2', null), false);
+	assert.equal(verifyPassword('hunter2', 'md5$abc'), false);
+});
+
+test('a cookie only opens the video it was issued for', () => {
+	const exp = Math.floor(Date.now() / 1000) + 60;
+	const own = `${access.cookieName(videos.pw)}=${access.cookieValue(videos.pw, exp)}`;
+	assert.equal(access.checkCookie(videos.pw, `theme=dark; ${own}`), true);
+	const other = access.cookieValue(videos.other, exp);
+	assert.equal(access.checkCookie(videos.pw, `${access.cookieName(videos.other)}=${other}`), false);
+	assert.equal(access.checkCookie(videos.pw, `${access.cookieName(videos.pw)}=${other}`), false);
+	const stale = Math.floor(Date.now() / 1000) - 60;
+	assert.equal(access.checkCookie(videos.pw, `${access.cookieName(videos.pw)}=${access.cookieValue(videos.pw, stale)}`), false);
+	// a link signature is no cookie
+	const { query } = access.signedQuery(videos.pw, 60 * 1000);
+	const { sig } = Object.fromEntries(new URLSearchParams(query));
+	assert.equal(access.checkCookie(videos.pw, `${access.cookieName(videos.pw)}=${exp}.${sig}`), false);
+});
+
+// --- the server ---
+
+let dir;
+let server;
+let base;
+
+function freePort() {
+	return new Promise((resolve, reject) => {
+		const s = net.createServer().listen(0, '127.0.0.1', () => {
+			const { port } = s.address();
+			s.close(() => resolve(port));
+		});
+		s.on('error', reject);
+	});
+}
+
+before(async () => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dvh-access-'));
+	const dbFile = path.join(dir, 'data.sqlite');
+	const store = createStore({ backend: 'sqlite', dbFile });
+	for (const v of Object.values(videos)) store.putVideo(v);
+	store.close();
+
+	const port = await freePort();
+	base = `http://127.0.0.1:${port}`;
+	server = spawn(process.execPath, [path.join(__dirname, '..', 'main.js')], {
+		env: { ...process.env, PORT: String(port), LINK_SECRET: SECRET, METADATA_STORE: 'sqlite', METADATA_DB: dbFile, ADMIN_TOKEN: 'test-admin', PUBLIC_BASE_URL: '' },
+		stdio: ['ignore', 'pipe', 'pipe'],
+	});
+	await new Promise((resolve, reject) => {
+		let out = '';
+		const timer = setTimeout(() => reject(new Error(`server did not start:\n${out}`)), 20000);
+		server.stdout.on('data', (chunk) => {
+			out += chunk;
+			if (out.includes('Server listening')) { clearTimeout(timer); resolve(); }
+		});
+		server.stderr.on('data', (chunk) => { out += chunk; });
+		server.on('exit', (code) => { clearTimeout(timer); reject(new Error(`server exited with ${code}:\n${out}`)); });
+	});
+});
+
+after(() => {
+	if (server) server.kill();
+	if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function get(url, cookie) {
+	return fetch(base + url, { headers: cookie ? { Cookie: cookie } : {}, redirect: 'manual' });
+}
+
+function unlock(video, password) {
+	return fetch(`${base}/unlock/${video.id}`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+		body: new URLSearchParams({ password }),
+		redirect: 'manual',
+	});
+}
+
+// the name=value part of the access cookie a response sets
+function accessCookie(res) {
+	const header = res.headers.getSetCookie().find((c) => c.startsWith('dvh_access_'));
+	return header ? header.split(';')[0] : null;
+}
+
+// what a locked video's player needs: page, file, rendition and HLS
+function urlsOf(video) {
+	return [`/s/${video.id}`, `/player/${video.id}`, `/v/${video.id}`, `/v/${video.id}/10mb`, `/hls/${video.id}/master.m3u8`, `/hls/${video.id}/720p_0.ts`];
+}
+
+test('a signed video is locked without a link signature', async () => {
+	for (const url of urlsOf(videos.signed)) {
+		const r = await get(url);
+		assert.equal(r.status, 403, url);
+		assert.match(r.headers.get('cache-control'), /^private/, url);
+	}
+});
+
+test('a signed video opens with a valid link, which also sets the cookie', async () => {
+	const { query } = access.signedQuery(videos.signed, 60 * 1000);
+	const r = await get(`/v/${videos.signed.id}?${query}`);
+	assert.notEqual(r.status, 403);
+	const cookie = accessCookie(r);
+	assert.ok(cookie);
+	// the player's own requests carry only the cookie; the HLS files don't exist, hence 404
+	assert.equal((await get(`/hls/${videos.signed.id}/master.m3u8`, cookie)).status, 404);
+	assert.notEqual((await get(`/v/${videos.signed.id}/10mb`, cookie)).status, 403);
+});
+
+test('an expired or tampered link leaves a signed video locked', async () => {
+	const expired = access.signedQuery(videos.signed, -60 * 1000).query;
+	const { exp, query } = access.signedQuery(videos.signed, 60 * 1000);
+	const { sig } = Object.fromEntries(new URLSearchParams(query));
+	const tampered = [`exp=${exp + 3600}&sig=${sig}`, `exp=${exp}&sig=${sig.slice(1)}x`, `exp=${exp}`];
+	for (const q of [expired, ...tampered]) {
+		const r = await get(`/v/${videos.signed.id}?${q}`);
+		assert.equal(r.status, 403, q);
+		assert.equal(accessCookie(r), null, q);
+		assert.equal((await get(`/hls/${videos.signed.id}/master.m3u8?${q}`)).status, 403, q);
+	}
+	// a link signed for one video doesn't open another
+	assert.equal((await get(`/v/${videos.pw.id}?${query}`)).status, 403);
+});
+
+test('a wrong password shows the form again and sets no cookie', async () => {
+	const r = await unlock(videos.pw, 'hunter3');
+	assert.equal(r.status, 403);
+	assert.equal(accessCookie(r), null);
+	assert.match(await r.text(), /Wrong password/);
+	for (const url of urlsOf(videos.pw)) assert.equal((await get(url)).status, 403, url);
+});
+
+test('the right password unlocks the video, its renditions and HLS', async () => {
+	const r = await unlock(videos.pw, 'hunter2');
+	assert.equal(r.status, 303);
+	assert.equal(r.headers.get('location'), `/s/${videos.pw.id}`);
+	const cookie = accessCookie(r);
+	assert.ok(cookie.startsWith(`${access.cookieName(videos.pw)}=`));
+	for (const url of urlsOf(videos.pw)) assert.notEqual((await get(url, cookie)).status, 403, url);
+	// HLS names that can't exist are only told apart once the viewer is let in
+	assert.equal((await get(`/hls/${videos.pw.id}/secret.txt`)).status, 403);
+	assert.equal((await get(`/hls/${videos.pw.id}/secret.txt`, cookie)).status, 404);
+});
+
+test("another video's cookie doesn't unlock this one", async () => {
+	const cookie = accessCookie(await unlock(videos.other, 'other'));
+	assert.ok(cookie);
+	assert.notEqual((await get(`/v/${videos.other.id}`, cookie)).status, 403);
+	const value = cookie.slice(cookie.indexOf('=') + 1);
+	for (const c of [cookie, `${access.cookieName(videos.pw)}=${value}`]) {
+		for (const url of urlsOf(videos.pw)) assert.equal((await get(url, c)).status, 403, `${url} with ${c}`);
+	}
+});
@@ -0,0 +1,220 @@
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { test, before, after, beforeEach } = require('node:test');
+const express = require('express');
+const { COMMANDS, parsePublicKey, verifySignature, createDiscordBot } = require('../lib/discord');
+
+// The bot is driven the way Discord drives it: signed POSTs to an Express route set up like
+// main.js's, with its REST calls going to a stub of Discord's API on localhost.
+
+const APP_ID = '1234567890';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const publicKeyHex = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex');
+
+function sign(body, timestamp = Math.floor(Date.now() / 1000)) {
+	const signature = crypto.sign(null, Buffer.from(String(timestamp) + body), privateKey).toString('hex');
+	return { signature, timestamp: String(timestamp) };
+}
+
+// --- the stub Discord API ---
+
+let apiCalls = [];
+let apiReplies = []; // { status, body } to answer the next calls with, else 200 {}
+let waiting = [];
+
+function nextApiCalls(n) {
+	return new Promise((resolve) => {
+		waiting.push({ n, resolve });
+		settle();
+	});
+}
+
+function settle() {
+	waiting = waiting.filter((w) => {
+		if (apiCalls.length < w.n) return true;
+		w.resolve(apiCalls.slice(0, w.n));
+		return false;
+	});
+}
+
+const discordApi = http.createServer((req, res) => {
+	let raw = '';
+	req.on('data', (c) => { raw += c; });
+	req.on('end', () => {
+		apiCalls.push({ method: req.method, path: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null });
+		const reply = apiReplies.shift() || { status: 200, body: { id: '1' } };
+		res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify(reply.body));
+		settle();
+	});
+});
+
+// --- the bot behind an interactions endpoint ---
+
+const errors = [];
+let bot;
+let server;
+let endpoint;
+
+before(async () => {
+	await new Promise((resolve) => discordApi.listen(0, '127.0.0.1', resolve));
+	bot = createDiscordBot({
+		applicationId: APP_ID,
+		publicKey: publicKeyHex,
+		botToken: 'bot-token',
+		apiBase: `http://127.0.0.1:${discordApi.address().port}/api/v10/`,
+		editIntervalMs: 0,
+		log: { error: (msg, fields) => errors.push({ msg, ...fields }) },
+		handlers: {
+			mylinks: (ctx) => ctx.reply(`links for ${ctx.user.id}`),
+			upload: async (ctx) => {
+				const file = ctx.attachment('file');
+				await ctx.reply(`got ${file.filename}`);
+				await ctx.followUp({ content: file.url });
+			},
+			clip: async () => { throw new Error('ffmpeg exploded'); },
+		},
+	});
+	const app = express();
+	app.post('/discord/interactions', express.raw({ type: '*/*', limit: '1mb' }), (req, res) => bot.handle(req, res));
+	server = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+	endpoint = `http://127.0.0.1:${server.address().port}/discord/interactions`;
+});
+
+after(() => {
+	server.close();
+	discordApi.close();
+});
+
+beforeEach(() => {
+	apiCalls = [];
+	apiReplies = [];
+	errors.length = 0;
+});
+
+function interact(interaction, signed) {
+	const body = JSON.stringify(interaction);
+	const { signature, timestamp } = signed || sign(body);
+	return fetch(endpoint, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', 'X-Signature-Ed25519': signature, 'X-Signature-Timestamp': timestamp },
+		body,
+	});
+}
+
+function command(name, extra = {}) {
+	return { type: 2, token: 'interaction-token', member: { user: { id: '42', username: 'ann' } }, data: { name, ...extra } };
+}
+
+const original = `/api/v10/webhooks/${APP_ID}/interaction-token/messages/@original`;
+
+// --- signatures ---
+
+test('verifySignature accepts a fresh signature of timestamp + body', () => {
+	const key = parsePublicKey(publicKeyHex);
+	const body = '{"type":1}';
+	const { signature, timestamp } = sign(body);
+	assert.equal(verifySignature(key, signature, timestamp, Buffer.from(body)), true);
+});
+
+test('verifySignature refuses a signature of something else', () => {
+	const key = parsePublicKey(publicKeyHex);
+	const { signature, timestamp } = sign('{"type":2}');
+	assert.equal(verifySignature(key, signature, timestamp, Buffer.from('{"type":1}')), false);
+	assert.equal(verifySignature(key, 'abcd', timestamp, Buffer.from('{"type":1}')), false);
+	assert.equal(verifySignature(key, undefined, undefined, Buffer.from('{"type":1}')), false);
+});
+
+test('verifySignature refuses a stale timestamp even when the signature is right', () => {
+	const key = parsePublicKey(publicKeyHex);
+	const body = '{"type":1}';
+	const { signature, timestamp } = sign(body, Math.floor(Date.now() / 1000) - 10 * 60);
+	assert.equal(verifySignature(key, signature, timestamp, Buffer.from(body)), false);
+});
+
+test('parsePublicKey insists on a 32-byte hex key', () => {
+	assert.throws(() => parsePublicKey('abc'), /64 hex characters/);
+});
+
+// --- the interactions endpoint ---
+
+test('a valid PING gets a PONG', async () => {
+	const r = await interact({ type: 1 });
+	assert.equal(r.status, 200);
+	assert.deepEqual(await r.json(), { type: 1 });
+});
+
+test('a wrong signature is refused with 401', async () => {
+	const r = await interact({ type: 1 }, sign('{"type":2}'));
+	assert.equal(r.status, 401);
+	assert.deepEqual(await r.json(), { error: 'invalid request signature' });
+});
+
+test('a stale timestamp is refused with 401', async () => {
+	const body = JSON.stringify({ type: 1 });
+	const r = await interact({ type: 1 }, sign(body, Math.floor(Date.now() / 1000) - 10 * 60));
+	assert.equal(r.status, 401);
+});
+
+test('an unknown command is answered straight away', async () => {
+	const r = await interact(command('nope'));
+	assert.deepEqual(await r.json(), { type: 4, data: { content: 'Unknown command.', flags: 64 } });
+	assert.equal(apiCalls.length, 0);
+});
+
+// --- command replies through the API ---
+
+test('a command is deferred, then its reply edits the original message', async () => {
+	const r = await interact(command('mylinks'));
+	assert.deepEqual(await r.json(), { type: 5, data: { flags: 64 } });
+	const [edit] = await nextApiCalls(1);
+	assert.equal(edit.method, 'PATCH');
+	assert.equal(edit.path, original);
+	assert.deepEqual(edit.body, { allowed_mentions: { parse: [] }, content: 'links for 42' });
+	// interaction webhooks are authorised by their token, not the bot token
+	assert.equal(edit.headers.authorization, undefined);
+});
+
+test('handlers see their options and attachments, and can post a follow-up', async () => {
+	const attachment = { id: '9', filename: 'clip.mp4', url: 'https://cdn.example/clip.mp4' };
+	await interact(command('upload', { options: [{ name: 'file', type: 11, value: '9' }], resolved: { attachments: { 9: attachment } } }));
+	const [edit, followUp] = await nextApiCalls(2);
+	assert.equal(edit.path, original);
+	assert.equal(edit.body.content, 'got clip.mp4');
+	assert.equal(followUp.method, 'POST');
+	assert.equal(followUp.path, `/api/v10/webhooks/${APP_ID}/interaction-token`);
+	assert.deepEqual(followUp.body, { content: attachment.url });
+});
+
+test('a failing handler tells the user something went wrong', async () => {
+	await interact(command('clip'));
+	const [edit] = await nextApiCalls(1);
+	assert.equal(edit.body.content, 'Something went wrong, please try again.');
+	assert.equal(errors[0].msg, 'Discord command failed');
+	assert.equal(errors[0].error, 'ffmpeg exploded');
+});
+
+test('an edit that is rate limited is retried after retry_after', async () => {
+	apiReplies.push({ status: 429, body: { message: 'You are being rate limited.', retry_after: 0.01 } });
+	await interact(command('mylinks'));
+	const [first, retry] = await nextApiCalls(2);
+	assert.equal(first.path, original);
+	assert.equal(retry.path, original);
+	assert.equal(retry.body.content, 'links for 42');
+});
+
+test('registerCommands puts the command list with the bot token', async () => {
+	await bot.registerCommands('777');
+	assert.equal(apiCalls.length, 1);
+	const [call] = apiCalls;
+	assert.equal(call.method, 'PUT');
+	assert.equal(call.path, `/api/v10/applications/${APP_ID}/guilds/777/commands`);
+	assert.equal(call.headers.authorization, 'Bot bot-token');
+	assert.deepEqual(call.body, COMMANDS);
+});
+
+test('API errors are raised with their status', async () => {
+	apiReplies.push({ status: 403, body: { message: 'Missing Access' } });
+	await assert.rejects(bot.registerCommands(), (err) => err.status === 403 && /Missing Access/.test(err.message));
+});
@@ -0,0 +1,127 @@
+const assert = require('assert/strict');
+const { test } = require('node:test');
+const { parseRange, etagFor, checkConditions, ifRangeMatches } = require('../lib/ranges');
+
+// Tables of headers and the answers RFC 7233 (ranges) and RFC 7232 (conditions) call for.
+
+const SIZE = 1000;
+
+test('parseRange', async (t) => {
+	const cases = [
+		// [header, expected] - null: send the whole file, []: 416
+		[undefined, null],
+		['', null],
+		['bytes=0-99', [{ start: 0, end: 99 }]],
+		['bytes=500-', [{ start: 500, end: 999 }]],
+		['bytes=0-', [{ start: 0, end: 999 }]],
+		['bytes=-100', [{ start: 900, end: 999 }]],
+		['bytes=-5000', [{ start: 0, end: 999 }]],
+		['bytes=990-5000', [{ start: 990, end: 999 }]],
+		['bytes=999-999', [{ start: 999, end: 999 }]],
+		['BYTES = 0-0', [{ start: 0, end: 0 }]],
+		// unsatisfiable
+		['bytes=1000-', []],
+		['bytes=1000-1100', []],
+		['bytes=-0', []],
+		['bytes=1000-, -0', []],
+		// unsatisfiable parts are dropped when others can be served
+		['bytes=2000-3000, 0-9', [{ start: 0, end: 9 }]],
+		// several ranges are sorted, and overlapping or adjacent ones merged
+		['bytes=500-599, 0-99', [{ start: 0, end: 99 }, { start: 500, end: 599 }]],
+		['bytes=0-99, 50-149', [{ start: 0, end: 149 }]],
+		['bytes=0-99,100-199', [{ start: 0, end: 199 }]],
+		['bytes=0-99, 101-199', [{ start: 0, end: 99 }, { start: 101, end: 199 }]],
+		['bytes=-100, 850-949', [{ start: 850, end: 999 }]],
+		['bytes=10-20, 0-', [{ start: 0, end: 999 }]],
+		['bytes=0-9, , 20-29', [{ start: 0, end: 9 }, { start: 20, end: 29 }]],
+		// malformed or not bytes: ignored
+		['items=0-9', null],
+		['bytes=', null],
+		['bytes=-', null],
+		['bytes=9-0', null],
+		['bytes=a-b', null],
+		['bytes=0-9, x', null],
+		['bytes=0-9-10', null],
+		[`bytes=${Array.from({ length: 33 }, (_, i) => `${i * 10}-${i * 10 + 1}`).join(',')}`, null],
+	];
+	for (const [header, expected] of cases) {
+		await t.test(String(header), () => assert.deepEqual(parseRange(header, SIZE), expected));
+	}
+});
+
+test('parseRange of an empty file satisfies nothing', () => {
+	assert.deepEqual(parseRange('bytes=0-', 0), []);
+	assert.deepEqual(parseRange('bytes=-10', 0), []);
+});
+
+test('etagFor changes with the file and leaves out a missing inode', () => {
+	const stat = { ino: 255, size: 4096, mtimeMs: 1700000000000.5 };
+	assert.equal(etagFor(stat), '"ff-1000-18bcfe56800"');
+	assert.equal(etagFor({ size: 4096, mtimeMs: 1700000000000 }), '"1000-18bcfe56800"');
+	assert.notEqual(etagFor({ ...stat, size: 4097 }), etagFor(stat));
+	assert.notEqual(etagFor({ ...stat, mtimeMs: stat.mtimeMs + 1000 }), etagFor(stat));
+});
+
+const ETAG = '"ab-1000-18bcfe56800"';
+const MODIFIED = Date.parse('Tue, 14 Nov 2023 22:13:20 GMT') + 250; // sub-second part is ignored
+const AT = 'Tue, 14 Nov 2023 22:13:20 GMT';
+const BEFORE = 'Tue, 14 Nov 2023 22:13:19 GMT';
+const AFTER = 'Wed, 15 Nov 2023 00:00:00 GMT';
+
+test('checkConditions', async (t) => {
+	const cases = [
+		[{}, 200],
+		// If-None-Match: weak comparison
+		[{ 'if-none-match': ETAG }, 304],
+		[{ 'if-none-match': `W/${ETAG}` }, 304],
+		[{ 'if-none-match': `"other", ${ETAG}` }, 304],
+		[{ 'if-none-match': '*' }, 304],
+		[{ 'if-none-match': '"other"' }, 200],
+		// If-Modified-Since, to the second
+		[{ 'if-modified-since': AT }, 304],
+		[{ 'if-modified-since': AFTER }, 304],
+		[{ 'if-modified-since': BEFORE }, 200],
+		[{ 'if-modified-since': 'not a date' }, 200],
+		// If-None-Match wins over If-Modified-Since, either way round
+		[{ 'if-none-match': '"other"', 'if-modified-since': AFTER }, 200],
+		[{ 'if-none-match': ETAG, 'if-modified-since': BEFORE }, 304],
+		// If-Match: strong comparison
+		[{ 'if-match': ETAG }, 200],
+		[{ 'if-match': '*' }, 200],
+		[{ 'if-match': `W/${ETAG}` }, 412],
+		[{ 'if-match': '"other"' }, 412],
+		// If-Unmodified-Since
+		[{ 'if-unmodified-since': AT }, 200],
+		[{ 'if-unmodified-since': BEFORE }, 412],
+		[{ 'if-unmodified-since': 'not a date' }, 200],
+		// If-Match wins over If-Unmodified-Since, either way round
+		[{ 'if-match': ETAG, 'if-unmodified-since': BEFORE }, 200],
+		[{ 'if-match': '"other"', 'if-unmodified-since': AFTER }, 412],
+		// preconditions are checked before the cache validators
+		[{ 'if-match': '"other"', 'if-none-match': ETAG }, 412],
+		[{ 'if-unmodified-since': BEFORE, 'if-modified-since': AFTER }, 412],
+		[{ 'if-match': ETAG, 'if-none-match': ETAG }, 304],
+	];
+	for (const [headers, expected] of cases) {
+		await t.test(JSON.stringify(headers), () => assert.equal(checkConditions({ headers }, ETAG, MODIFIED), expected));
+	}
+});
+
+test('ifRangeMatches', async (t) => {
+	const cases = [
+		[undefined, true],
+		[ETAG, true],
+		[` ${ETAG} `, true],
+		['"other"', false],
+		// a weak tag is never good enough for a range
+		[`W/${ETAG}`, false],
+		[AT, true],
+		[BEFORE, false],
+		[AFTER, false],
+		['not a date', false],
+	];
+	for (const [value, expected] of cases) {
+		const headers = value === undefined ? {} : { 'if-range': value };
+		await t.test(String(value), () => assert.equal(ifRangeMatches({ headers }, ETAG, MODIFIED), expected));
+	}
+});